@@ -4,11 +4,23 @@ import { Board } from 'board/board';
 import { PartFactory } from 'parts/factory';
 import { Toolbar } from 'ui/toolbar';
 import { Actionbar } from 'ui/actionbar';
+import { OutputPanel } from 'ui/output';
+import { ChallengePanel } from 'ui/challenge';
+import { TimelinePanel } from 'ui/timeline';
+import { TruthTablePanel } from 'ui/truthtable';
+import { RegisterPanel } from 'ui/registers';
+import { LibraryPanel } from 'ui/library';
+import { ScreenRecorder } from 'ui/recording';
+import { DialogPanel } from 'ui/dialog';
+import { BoardLibrary } from 'board/library';
+import { Challenge } from 'board/challenge';
 import { Renderer } from 'renderer';
 import { Animator } from 'ui/animator';
 import { PhysicalBallRouter } from 'board/physics';
-import { makeKeyHandler } from 'ui/keyboard';
+import { makeKeyHandler, isTextInput } from 'ui/keyboard';
 import { GearBase } from 'parts/gearbit';
+import { TextBoardFormat } from 'board/text';
+import { copyText } from 'util/clipboard';
 
 export class SimulatorApp extends PIXI.Container {
 
@@ -20,9 +32,32 @@ export class SimulatorApp extends PIXI.Container {
     this.actionbar = new Actionbar(this.board);
     this.actionbar.peer = this.toolbar;
     this.toolbar.peer = this.actionbar;
+    this.board.history.onChange = () => this.actionbar.updateToggled();
+    this.outputPanel = new OutputPanel(this.board.recorder);
+    this.challengePanel = new ChallengePanel(this.board);
+    this.timelinePanel = new TimelinePanel(this.board.timeline);
+    this.truthTablePanel = new TruthTablePanel(this.board.truthTable);
+    this.registerPanel = new RegisterPanel(this.board.registers);
+    this.dialogPanel = new DialogPanel();
+    this.actionbar.dialogPanel = this.dialogPanel;
+    this.libraryPanel = new LibraryPanel(this.board, new BoardLibrary(),
+      this.dialogPanel);
+    this.libraryPanel.onOpen = () => this.actionbar.zoomToFit();
+    this.libraryPanel.onShowChange = () => this.actionbar.updateToggled();
+    this.actionbar.libraryPanel = this.libraryPanel;
+    this.screenRecorder = new ScreenRecorder(this.board);
+    this.screenRecorder.onStop = () => this.actionbar.updateToggled();
+    this.actionbar.screenRecorder = this.screenRecorder;
     this.addChild(this.board.view);
+    this.addChild(this.outputPanel);
+    this.addChild(this.timelinePanel);
+    this.addChild(this.challengePanel);
+    this.addChild(this.truthTablePanel);
+    this.addChild(this.registerPanel);
+    this.addChild(this.libraryPanel);
     this.addChild(this.toolbar);
     this.addChild(this.actionbar);
+    this.addChild(this.dialogPanel);
     this._layout();
     // add event listeners
     this._addKeyHandlers();
@@ -31,14 +66,40 @@ export class SimulatorApp extends PIXI.Container {
   public readonly board:Board;
   public readonly toolbar:Toolbar;
   public readonly actionbar:Actionbar;
+  public readonly outputPanel:OutputPanel;
+  public readonly challengePanel:ChallengePanel;
+  public readonly timelinePanel:TimelinePanel;
+  public readonly truthTablePanel:TruthTablePanel;
+  public readonly registerPanel:RegisterPanel;
+  public readonly libraryPanel:LibraryPanel;
+  public readonly dialogPanel:DialogPanel;
+  public readonly screenRecorder:ScreenRecorder;
   public readonly physicalRouter:PhysicalBallRouter;
 
   public update(delta:number):void {
     Animator.current.update(delta);
     this.board.update(delta);
     GearBase.update();
+    // truth tables are made one row at a time so the display keeps updating
+    this.board.truthTable.update();
+    // router checks also run a few steps per frame
+    this.actionbar.update();
+    this.toolbar.updateCounts();
+    // the simulation can pause itself when it hits a breakpoint
+    if (this.board.paused !== this._wasPaused) {
+      this._wasPaused = this.board.paused;
+      this.actionbar.updateToggled();
+    }
+    // some tools can't be used during a challenge
+    if (this.board.challenge !== this._lastChallenge) {
+      this._lastChallenge = this.board.challenge;
+      this.toolbar.updateToggled();
+    }
     Renderer.render();
+    this.screenRecorder.update();
   }
+  private _wasPaused:boolean = false;
+  private _lastChallenge:Challenge = null;
 
   public get width():number { return(this._width); }
   public set width(v:number) {
@@ -56,21 +117,143 @@ export class SimulatorApp extends PIXI.Container {
   }
   private _height:number = 0;
 
+  // whether the app is embedded in another page, which hides the toolbars
+  //  so the whole space goes to the board
+  public get embedded():boolean { return(this._embedded); }
+  public set embedded(v:boolean) {
+    if (v === this._embedded) return;
+    this._embedded = v;
+    this.toolbar.visible = this.actionbar.visible = ! v;
+    this._layout();
+  }
+  private _embedded:boolean = false;
+
   protected _layout():void {
     this.toolbar.height = this.height;
     this.actionbar.height = this.height;
     this.actionbar.x = this.width - this.actionbar.width;
-    this.board.view.x = this.toolbar.width;
+    const toolbarWidth = this.embedded ? 0 : this.toolbar.width;
+    const actionbarWidth = this.embedded ? 0 : this.actionbar.width;
+    this.board.view.x = toolbarWidth;
     this.board.width = Math.max(0, 
-      this.width - (this.toolbar.width + this.actionbar.width));
+      this.width - (toolbarWidth + actionbarWidth));
     this.board.height = this.height;
+    this.outputPanel.x = this.board.view.x;
+    this.outputPanel.y = this.height - this.outputPanel.height;
+    this.outputPanel.width = this.board.width;
+    this.timelinePanel.x = this.board.view.x;
+    this.timelinePanel.y = this.outputPanel.y - this.timelinePanel.height;
+    this.timelinePanel.width = this.board.width;
+    this.challengePanel.x = this.board.view.x;
+    this.challengePanel.width = this.board.width;
+    this.truthTablePanel.right = this.board.view.x + this.board.width;
+    this.registerPanel.x = this.board.view.x;
+    this.libraryPanel.x = this.board.view.x;
+    this.libraryPanel.width = this.board.width;
+    this.libraryPanel.height = this.board.height;
+    this.dialogPanel.width = this.width;
+    this.dialogPanel.height = this.height;
     Renderer.needsUpdate();
   }
 
   protected _addKeyHandlers():void {
-    makeKeyHandler('w').press = () => { 
-      this.board.physicalRouter.showWireframe = 
-        ! this.board.physicalRouter.showWireframe; };
+    // single keys are shortcuts, while combinations with ctrl or command
+    //  like ctrl+L are left to the browser, as are keys that do nothing
+    const addShortcut = (key:string, action:() => boolean|void) => {
+      const handler = makeKeyHandler(key);
+      handler.press = () => ((! handler.ctrlKey) && (action() !== false));
+    };
+    // pause and step through the simulation
+    addShortcut(' ', () => this.actionbar.togglePause());
+    addShortcut('.', () => this.actionbar.step());
+    addShortcut('>', () => this.actionbar.stepToInteraction());
+    addShortcut(',', () => this.actionbar.stepBack());
+    // show the paths balls take
+    addShortcut('t', () => this.actionbar.toggleTrails());
+    addShortcut('l', () => this.actionbar.toggleLogic());
+    addShortcut('L', () => this.actionbar.toggleAnimateLogic());
+    addShortcut('w', () => { 
+      this.board.showWireframe = ! this.board.showWireframe; });
+    // undo with ctrl+z, redo with ctrl+shift+z or ctrl+y
+    const z = makeKeyHandler('z');
+    z.press = () => {
+      if (! z.ctrlKey) return(false);
+      if (z.shiftKey) this.actionbar.redo();
+      else this.actionbar.undo();
+      return(true);
+    };
+    const shiftZ = makeKeyHandler('Z');
+    shiftZ.press = () => {
+      if (! shiftZ.ctrlKey) return(false);
+      this.actionbar.redo();
+      return(true);
+    };
+    const y = makeKeyHandler('y');
+    y.press = () => {
+      if (! y.ctrlKey) return(false);
+      this.actionbar.redo();
+      return(true);
+    };
+    // cut, copy, paste, and delete selected parts
+    const x = makeKeyHandler('x');
+    x.press = () => { 
+      if (! ((x.ctrlKey) && (this.board.cutSelection()))) return(false);
+      this._copyClipboardText();
+      return(true);
+    };
+    const c = makeKeyHandler('c');
+    c.press = () => { 
+      if (! ((c.ctrlKey) && (this.board.copySelection()))) return(false);
+      this._copyClipboardText();
+      return(true);
+    };
+    // pasting is handled through the paste event so we can get text from
+    //  the system clipboard without asking for permission
+    document.addEventListener('paste', (e:any) => {
+      if (isTextInput(e.target)) return;
+      if (this._pasteClipboardText(e.clipboardData ? 
+            e.clipboardData.getData('text/plain') : null)) {
+        e.preventDefault();
+      }
+    });
+    makeKeyHandler('Delete').press = () => this.board.deleteSelection();
+    makeKeyHandler('Backspace').press = () => this.board.deleteSelection();
+    makeKeyHandler('Escape').press = () => {
+      if (! this.board.selection) return(false);
+      this.board.selection = null;
+      return(true);
+    };
+    // count balls arriving in the selected area as output
+    addShortcut('o', () => this.board.recordSelectionOutput());
+    // mirror and nudge selected parts
+    addShortcut('m', () => this.board.mirrorSelection());
+    addShortcut('ArrowLeft', () => this.board.nudgeSelection(-1, 0));
+    addShortcut('ArrowRight', () => this.board.nudgeSelection(1, 0));
+    addShortcut('ArrowUp', () => this.board.nudgeSelection(0, -1));
+    addShortcut('ArrowDown', () => this.board.nudgeSelection(0, 1));
+  }
+
+  // put a text version of the board's clipboard on the system clipboard,
+  //  so parts can be shared with other people and programs
+  protected _copyClipboardText():void {
+    if (! this.board.clipboard) return;
+    this._clipboardText = TextBoardFormat.writeClipping(this.board.clipboard);
+    copyText(this._clipboardText);
+  }
+  private _clipboardText:string = null;
+
+  // paste text from the system clipboard, unless it's the same as what we 
+  //  last copied, in which case the board's clipboard has more information,
+  //  and return whether anything was pasted so the browser can handle text
+  //  that isn't board notation
+  protected _pasteClipboardText(text:string):boolean {
+    if ((text !== null) && (text !== this._clipboardText)) {
+      const clipping = TextBoardFormat.readClipping(this.board, text);
+      if (! clipping) return(false);
+      this.board.clipboard = clipping;
+      this._clipboardText = text;
+    }
+    return(this.board.paste());
   }
 
 }
\ No newline at end of file
@@ -1,28 +1,33 @@
 import * as filter from 'pixi-filters';
 
 import { Part, Layer } from 'parts/part';
-import { Slope, Side } from 'parts/fence';
 import { PartFactory, PartType } from 'parts/factory';
-import { GearBase, Gear } from 'parts/gearbit';
-import { Alphas, Delays, Sizes, Zooms, Speeds, Colors } from 'ui/config';
-import { DisjointSet } from 'util/disjoint';
+import { Alphas, Delays, Sizes, Zooms, Colors, colorFromHSL,
+         htmlColor } from 'ui/config';
 import { Renderer } from 'renderer';
 import { Ball } from 'parts/ball';
-import { BALL_RADIUS, SPACING } from './constants';
-import { PhysicalBallRouter } from './physics';
-import { SchematicBallRouter } from './schematic';
-import { IBoardSerializer } from './serializer';
+import { SPACING, SPACING_FACTOR } from './constants';
 import { Drop } from 'parts/drop';
 import { ColorWheel, DropButton, TurnButton, BallCounter } from './controls';
 import { Animator } from 'ui/animator';
 import { Turnstile } from 'parts/turnstile';
 import { makeKeyHandler } from 'ui/keyboard';
+import { BoardModel } from './model';
+import { GridRect, Clipping } from './selection';
+import { Challenge, ChallengeResult } from './challenge';
+import { TruthTable, TruthRole } from './truthtable';
+import { RegisterSet, GridLocation } from './registers';
 
 export const enum ToolType {
   NONE, MIN = NONE,
   PART,
   ERASER,
-  HAND, MAX = HAND
+  HAND,
+  SELECT,
+  LOCK,
+  BREAKPOINT,
+  TRUTH_TABLE,
+  REGISTER, MAX = REGISTER
 }
 
 export const enum ActionType {
@@ -35,104 +40,94 @@ export const enum ActionType {
   COLOR_WHEEL,
   DROP_BALL,
   TURN_TURNSTILE,
-  RESIZE_BOARD
+  RESIZE_BOARD,
+  SELECT,
+  MOVE_SELECTION,
+  TOGGLE_LOCK,
+  TOGGLE_BREAKPOINT,
+  CYCLE_TRUTH_ROLE,
+  TOGGLE_REGISTER_BIT
 }
 export const enum ActionSide { LEFT, TOP, RIGHT, BOTTOM }
 
-export const SPACING_FACTOR:number = 1.0625;
-
 type LayerToContainerMap = Map<Layer,PIXI.Container>;
 
-export class Board {
+// the number of recorded points to show behind each ball when showing trails
+const TRAIL_LENGTH:number = 48;
+
+// the largest width or height of a picture of the whole board, which keeps
+//  it within what graphics hardware can draw in one go
+const MAX_IMAGE_SIZE:number = 8192;
 
-  constructor(public readonly partFactory:PartFactory) {
+// a board model that can be displayed and edited by the user
+export class Board extends BoardModel {
+
+  constructor(partFactory:PartFactory) {
+    super(partFactory);
     this._bindMouseEvents();
     this.view.addChild(this._layers);
     this._initContainers();
+    this._layers.addChildAt(this._markers, 
+      this._layers.getChildIndex(this._containers.get(Layer.CONTROL)));
+    this._layers.addChildAt(this._trailGraphics, 
+      this._layers.getChildIndex(this._markers));
     this._updateDropShadows();
     this._makeControls();
     this._bindKeyEvents();
+    this.recorder.onRegionChange = () => this._updateOutputOverlay();
+    this.trails.onChange = () => { this._trailsChanged = true; };
+    this.truthTable.onRolesChange = () => this._updateMarkers();
+    this.events.on('ballsAtRest', () => this._checkChallenge());
+    this.registers.onChange = () => {
+      this._updateMarkers();
+      // registers are saved with the board
+      this.onChange();
+    };
   }
   public readonly view:PIXI.Sprite = new PIXI.Sprite();
   public readonly _layers:PIXI.Container = new PIXI.Container();
 
-  // a serializer for the board state
-  public serializer:IBoardSerializer = null;
-
-  // the set of balls currently on the board
-  public readonly balls:Set<Ball> = new Set();
-
-  // a counter that increments whenever the board changes
-  public get changeCounter():number { return(this._changeCounter); }
+  // track changes that may require sprites to be shown or hidden
   public onChange():void {
-    this._changeCounter++;
+    super.onChange();
     this._spriteChangeCounter++;
-    if (this.serializer) this.serializer.onBoardStateChanged();
   }
-  private _changeCounter:number = 0;
   private _spriteChangeCounter:number = 0;
 
-  // register changes to UI state
-  public onUIChange():void {
-    if (this.serializer) this.serializer.onUIStateChanged();
-  }
-  
   // whether to show parts in schematic form
   public get schematicView():boolean {
-    return((this._schematic) || (this.spacing <= this.partSize));
+    return((this._schematic) || (this._logic) || 
+           (this.spacing <= this.partSize));
   }
 
   // whether to route parts using the schematic router
-  public get schematic():boolean { return(this._schematic); }
+  public get schematic():boolean { return(super.schematic); }
   public set schematic(v:boolean) {
-    if (v === this._schematic) return;
-    this._schematic = v;
+    super.schematic = v;
     this._updateLayerVisibility();
-    // return all balls because their positions will be different in the two
-    //  routers and it can cause a lot of jumping and sticking
-    this.returnBalls();
-    this.onUIChange();
   }
-  protected _schematic:boolean = false;
 
-  // the speed to run the simulator at
-  public get speed():number { return(this._speed); }
-  public set speed(v:number) {
-    if ((isNaN(v)) || (v == null)) return;
-    v = Math.min(Math.max(Speeds[0], v), Speeds[Speeds.length - 1]);
-    if (v === this.speed) return;
-    this._speed = v;
-    this.onUIChange();
+  // whether to route balls by the logical rules of parts, which always
+  //  shows parts in schematic form
+  public get logic():boolean { return(super.logic); }
+  public set logic(v:boolean) {
+    super.logic = v;
+    this._updateLayerVisibility();
   }
-  private _speed:number = 1.0;
-
-  // routers to manage the positions of the balls
-  public readonly physicalRouter:PhysicalBallRouter = new PhysicalBallRouter(this);
-  public readonly schematicRouter:SchematicBallRouter = 
-    new SchematicBallRouter(this);
 
   // update the board state
   public update(correction:number):void {
-    if (this.schematic) this.schematicRouter.update(this.speed, correction);
-    else this.physicalRouter.update(this.speed, correction);
-    if (++this._counter % 30 == 0) {
-      this._areBallsAtRest = this._checkBallMovement();
-      if (this.areBallsAtRest) this._checkBitRotations();
-      this._counter = 0;
-    }
+    super.update(correction);
     // update sprite visibility if the board changes
     if (this._spriteChangeCounter !== this._lastSpriteChangeCounter) {
       this._updateSpriteVisibility();
+      this._updateMarkers();
       this._lastSpriteChangeCounter = this._spriteChangeCounter;
+    }
+    if (this._trailsChanged) this._drawTrails();
   }
-  }
-  private _counter:number = 0;
   private _lastSpriteChangeCounter:number;
 
-  // whether all balls on the board have been basically motionless for a bit
-  public get areBallsAtRest():boolean { return(this._areBallsAtRest); }
-  private _areBallsAtRest:boolean = true;
-
   // LAYERS *******************************************************************
 
   protected _updateSpriteVisibility():void {
@@ -165,8 +160,10 @@ export class Board {
           (ball.row < rMin) || (ball.row > rMax)) continue;
       visible.add(ball);
     }
-    // add the prototype part if there is one
-    if (this.partPrototype) visible.add(this.partPrototype);
+    // add the prototype part if there is one, unless drawing a picture
+    if ((this.partPrototype) && (! this._renderingImage)) {
+      visible.add(this.partPrototype);
+    }
     // remove sprites for parts that are no longer visible
     const invisible:Set<Part> = new Set();
     for (const part of this._visibleParts) {
@@ -296,17 +293,17 @@ export class Board {
     this._containers.get(Layer.FRONT).filterArea = area;
   }
 
-  protected _updateLayerVisibility():void {
+  protected _updateLayerVisibility(schematic:boolean=this.schematicView):void {
     const showContainer = (layer:Layer, show:boolean) => {
       if (this._containers.has(layer)) this._containers.get(layer).visible = show;
     };
-    showContainer(Layer.BACK, ! this.schematicView);
-    showContainer(Layer.MID, ! this.schematicView);
-    showContainer(Layer.FRONT, ! this.schematicView);
-    showContainer(Layer.SCHEMATIC_BACK, this.schematicView && (this.partSize >= 12));
-    showContainer(Layer.SCHEMATIC, this.schematicView);
-    showContainer(Layer.SCHEMATIC_4, this.schematicView && (this.partSize == 4));
-    showContainer(Layer.SCHEMATIC_2, this.schematicView && (this.partSize == 2));
+    showContainer(Layer.BACK, ! schematic);
+    showContainer(Layer.MID, ! schematic);
+    showContainer(Layer.FRONT, ! schematic);
+    showContainer(Layer.SCHEMATIC_BACK, schematic && (this.partSize >= 12));
+    showContainer(Layer.SCHEMATIC, schematic);
+    showContainer(Layer.SCHEMATIC_4, schematic && (this.partSize == 4));
+    showContainer(Layer.SCHEMATIC_2, schematic && (this.partSize == 2));
     let showControls:boolean = false;
     for (const control of this._controls) {
       if (control.visible) {
@@ -332,6 +329,14 @@ export class Board {
     this._resizeOverlayGraphics = new PIXI.Graphics();
     this._resizeOverlay.addChild(this._resizeOverlayGraphics);
     this._controls.push(this._resizeOverlay);
+    this._selectionOverlay = new PIXI.Sprite();
+    this._selectionOverlayGraphics = new PIXI.Graphics();
+    this._selectionOverlay.addChild(this._selectionOverlayGraphics);
+    this._controls.push(this._selectionOverlay);
+    this._outputOverlay = new PIXI.Sprite();
+    this._outputOverlayGraphics = new PIXI.Graphics();
+    this._outputOverlay.addChild(this._outputOverlayGraphics);
+    this._controls.push(this._outputOverlay);
     const container = this._containers.get(Layer.CONTROL);
     for (const control of this._controls) {
       control.visible = false;
@@ -359,6 +364,32 @@ export class Board {
   private _ballCounter:BallCounter;
   private _resizeOverlay:PIXI.Sprite;
   private _resizeOverlayGraphics:PIXI.Graphics;
+  private _selectionOverlay:PIXI.Sprite;
+  private _selectionOverlayGraphics:PIXI.Graphics;
+  private _outputOverlay:PIXI.Sprite;
+  private _outputOverlayGraphics:PIXI.Graphics;
+
+  // whether to show the bodies in the physics engine for debugging
+  public get showWireframe():boolean {
+    return(this._wireframe ? true : false);
+  }
+  public set showWireframe(v:boolean) {
+    if ((v) && (! this._wireframe)) {
+      this._wireframe = new PIXI.Sprite();
+      const graphics = new PIXI.Graphics();
+      this._wireframe.addChild(graphics);
+      this._layers.addChild(this._wireframe);
+      this.physicalRouter.wireframeScale = this.spacing / SPACING;
+      this.physicalRouter.wireframe = graphics;
+    }
+    else if ((! v) && (this._wireframe)) {
+      this.physicalRouter.wireframe = null;
+      this._layers.removeChild(this._wireframe);
+      this._wireframe = null;
+      Renderer.needsUpdate();
+    }
+  }
+  private _wireframe:PIXI.Sprite = null;
 
   protected _updateResizeOverlay(active:boolean, side:ActionSide, delta:number):void {
     const x0 = this.xForColumn(-1 - (side == ActionSide.LEFT ? delta : 0));
@@ -374,6 +405,166 @@ export class Board {
     Renderer.needsUpdate();
   }
 
+  // show the selected area, optionally offset to preview a move
+  protected _updateSelectionOverlay(columns:number=0, rows:number=0):void {
+    const selection = this.selection;
+    if (! selection) {
+      if (this._selectionOverlay.visible) this._hideControl(this._selectionOverlay);
+      return;
+    }
+    const rect = selection.offset(columns, rows);
+    const x0 = this.xForColumn(rect.column - 0.5);
+    const y0 = this.yForRow(rect.row - 0.5);
+    const x1 = this.xForColumn(rect.right - 0.5);
+    const y1 = this.yForRow(rect.bottom - 0.5);
+    const g = this._selectionOverlayGraphics;
+    g.clear();
+    g.lineStyle(2, Colors.HIGHLIGHT, 0.75);
+    g.beginFill(Colors.HIGHLIGHT, 0.15);
+    g.drawRect(x0, y0, x1 - x0, y1 - y0);
+    g.endFill();
+    this._showControl(this._selectionOverlay);
+    Renderer.needsUpdate();
+  }
+
+  // show the area the output recorder is counting balls in
+  protected _updateOutputOverlay():void {
+    const rect = this.recorder.region;
+    if (! rect) {
+      if (this._outputOverlay.visible) this._hideControl(this._outputOverlay);
+      return;
+    }
+    const x0 = this.xForColumn(rect.column - 0.5);
+    const y0 = this.yForRow(rect.row - 0.5);
+    const x1 = this.xForColumn(rect.right - 0.5);
+    const y1 = this.yForRow(rect.bottom - 0.5);
+    const g = this._outputOverlayGraphics;
+    g.clear();
+    g.lineStyle(2, Colors.OUTPUT_REGION, 0.75);
+    g.drawRect(x0, y0, x1 - x0, y1 - y0);
+    this._showControl(this._outputOverlay);
+    Renderer.needsUpdate();
+  }
+
+  // mark parts that are locked in place, which would otherwise look the
+  //  same as unlocked parts, parts with breakpoints, the inputs and
+  //  outputs of the truth table, and the bits of registers
+  protected _updateMarkers():void {
+    const g = this._markers;
+    g.clear();
+    this._drawLockMarkers(g);
+    this._drawBreakpointMarkers(g);
+    this._drawTruthTableMarkers(g);
+    this._drawRegisterMarkers(g);
+    Renderer.needsUpdate();
+  }
+  private _markers:PIXI.Graphics = new PIXI.Graphics();
+
+  protected _drawLockMarkers(g:PIXI.Graphics):void {
+    // while the lock tool is in use, show all locks so they can be changed,
+    //  otherwise only show locks on parts people usually place themselves
+    const showAll = (this.tool === ToolType.LOCK);
+    const s = this.partSize / 8;
+    for (let r:number = 0; r < this.rowCount; r++) {
+      for (let c:number = 0; c < this.columnCount; c++) {
+        const part = this.getPart(c, r);
+        if ((! part) || (! part.isLocked)) continue;
+        if ((! showAll) && (part.type !== PartType.PARTLOC) &&
+            (part.type !== PartType.GEARLOC) &&
+            (! ((part.type >= PartType.RAMP) && (part.type <= PartType.GEAR)))) {
+          continue;
+        }
+        // draw a padlock in the top right corner of the part
+        const x = this.xForColumn(c) + (this.partSize / 2) - (s * 1.5);
+        const y = this.yForRow(r) - (this.partSize / 2) + (s * 1.5);
+        g.lineStyle(Math.max(1, s / 3), Colors.LOCK_MARKER);
+        g.arc(x, y - (s / 2), s / 2, Math.PI, 0);
+        g.lineStyle(0);
+        g.beginFill(Colors.LOCK_MARKER);
+        g.drawRect(x - (s * 0.75), y - (s / 2), s * 1.5, s);
+        g.endFill();
+      }
+    }
+  }
+
+  protected _drawBreakpointMarkers(g:PIXI.Graphics):void {
+    const s = this.partSize / 8;
+    for (const part of this.breakpoints) {
+      // skip parts that have been removed from the board
+      if (this.getPart(part.column, part.row) !== part) continue;
+      const x = this.xForColumn(part.column);
+      const y = this.yForRow(part.row);
+      // draw a dot in the top left corner of the part
+      g.lineStyle(Math.max(1, s / 4), Colors.BREAKPOINT_BORDER);
+      g.beginFill(Colors.BREAKPOINT);
+      g.drawCircle(x - (this.partSize / 2) + (s * 1.5), 
+                   y - (this.partSize / 2) + (s * 1.5), s * 0.75);
+      g.endFill();
+    }
+    // highlight the part that paused the simulation
+    const hit = this.breakpointHit;
+    if ((hit) && (this.getPart(hit.column, hit.row) === hit)) {
+      const hs = this.partSize / 2;
+      g.lineStyle(Math.max(2, s / 2), Colors.HIGHLIGHT);
+      g.beginFill(Colors.HIGHLIGHT, 0.15);
+      g.drawRect(this.xForColumn(hit.column) - hs, 
+                 this.yForRow(hit.row) - hs, hs * 2, hs * 2);
+      g.endFill();
+    }
+  }
+
+  protected _drawTruthTableMarkers(g:PIXI.Graphics):void {
+    const s = this.partSize / 8;
+    const table = this.truthTable;
+    for (const part of table.inputs.concat(table.outputs)) {
+      const isInput = table.roleForPart(part) === TruthRole.INPUT;
+      // draw an arrow along the bottom of the part, pointing in for inputs
+      //  and out for outputs
+      const x = this.xForColumn(part.column);
+      const y = this.yForRow(part.row) + (this.partSize / 2) - (s * 1.5);
+      const sign = isInput ? 1 : -1;
+      g.lineStyle(Math.max(1, s / 4), Colors.TRUTH_TABLE_BORDER);
+      g.beginFill(isInput ? Colors.TRUTH_TABLE_INPUT : 
+                            Colors.TRUTH_TABLE_OUTPUT);
+      g.drawPolygon([ x - (s * sign), y - s, x + (s * sign), y, 
+                      x - (s * sign), y + s ]);
+      g.endFill();
+    }
+  }
+
+  protected _drawRegisterMarkers(g:PIXI.Graphics):void {
+    // registers are only shown while they're being edited
+    if (this.tool !== ToolType.REGISTER) return;
+    const s = this.partSize / 8;
+    // link the bits of each register from least to most significant
+    const link = (bits:GridLocation[], alpha:number) => {
+      g.lineStyle(Math.max(1, s / 3), Colors.REGISTER_LINK, alpha);
+      bits.forEach((bit:GridLocation, i:number) => {
+        const x = this.xForColumn(bit.column);
+        const y = this.yForRow(bit.row);
+        if (i == 0) g.moveTo(x, y);
+        else g.lineTo(x, y);
+      });
+    };
+    for (const register of this.registers.registers) link(register.bits, 0.4);
+    const pending = this.registers.pending;
+    link(pending, 0.8);
+    // put a dot on each bit picked for a new register, marking the least
+    //  significant one so the order is clear
+    pending.forEach((bit:GridLocation, i:number) => {
+      g.lineStyle(Math.max(1, s / 4), Colors.REGISTER_BORDER);
+      g.beginFill(i == 0 ? Colors.REGISTER_LSB : Colors.REGISTER_BIT);
+      g.drawCircle(this.xForColumn(bit.column), this.yForRow(bit.row),
+        i == 0 ? s : s * 0.75);
+      g.endFill();
+    });
+  }
+
+  protected _onBreakpointsChanged():void {
+    super._onBreakpointsChanged();
+    this._updateMarkers();
+  }
+
   // LAYOUT *******************************************************************
 
   // change the size to draw parts at
@@ -387,8 +578,10 @@ export class Board {
     this._updateDropShadows();
     this._updateLayerVisibility();
     this._updatePan();
+    this.physicalRouter.wireframeScale = this.spacing / SPACING;
     this.physicalRouter.onBoardSizeChanged();
     this.schematicRouter.onBoardSizeChanged();
+    this.logicRouter.onBoardSizeChanged();
     this.onUIChange();
   }
   private _partSize:number = 64;
@@ -439,6 +632,13 @@ export class Board {
   }
   private _centerRow:number = 0.0;
 
+  // keep the same parts in view when the grid grows or shrinks
+  protected _onGridShifted(columns:number, rows:number):void {
+    super._onGridShifted(columns, rows);
+    this.centerColumn += columns;
+    this.centerRow += rows;
+  }
+
   protected _updatePan():void {
     this._layers.x = 
       Math.round((this.width / 2) - this.xForColumn(this.centerColumn));
@@ -449,12 +649,125 @@ export class Board {
     Renderer.needsUpdate();
   }
 
+  // get a picture of what's in view, scaled to fit in a square of the
+  //  given size, as a PNG data URL
+  public makeThumbnail(size:number):string {
+    if ((! (this.width > 0)) || (! (this.height > 0))) return('');
+    const source = Renderer.instance.extract.canvas(this.view);
+    // the extracted canvas covers only what's drawn, so find where the
+    //  visible area starts in it
+    const bounds = this.view.getLocalBounds();
+    const scale = Math.min(size / this.width, size / this.height, 1);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(this.width * scale));
+    canvas.height = Math.max(1, Math.round(this.height * scale));
+    const context = canvas.getContext('2d');
+    context.fillStyle = htmlColor(Colors.BACKGROUND);
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(source, - bounds.x, - bounds.y, this.width, this.height,
+      0, 0, canvas.width, canvas.height);
+    return(canvas.toDataURL('image/png'));
+  }
+
+  // draw the whole board rather than just what's in view, with the given
+  //  number of pixels for each part, in physical or schematic style
+  public renderImage(pixelsPerPart:number,
+                     schematic:boolean):HTMLCanvasElement {
+    // parts have textures for the largest zoom, so lay them out at a zoom
+    //  level and draw at a higher resolution to get bigger sizes
+    let partSize:number = Zooms[0];
+    for (const zoom of Zooms) {
+      if (zoom <= pixelsPerPart) partSize = zoom;
+    }
+    const view = { partSize: this.partSize, width: this.width,
+      height: this.height, centerColumn: this.centerColumn,
+      centerRow: this.centerRow };
+    const overlays:PIXI.DisplayObject[] = [ this._markers, this._trailGraphics ];
+    if (this._containers.has(Layer.CONTROL)) {
+      overlays.push(this._containers.get(Layer.CONTROL));
+    }
+    const overlaysVisible = overlays.map((overlay) => overlay.visible);
+    // make the view cover the whole board so every part gets a sprite
+    this.partSize = partSize;
+    const width = this.columnCount * this.spacing;
+    const height = this.rowCount * this.spacing;
+    const resolution = Math.min(pixelsPerPart / partSize,
+      MAX_IMAGE_SIZE / Math.max(width, height, 1));
+    this._renderingImage = true;
+    this.width = width;
+    this.height = height;
+    this.centerColumn = (this.columnCount - 1) / 2;
+    this.centerRow = (this.rowCount - 1) / 2;
+    this._updateSpriteVisibility();
+    this._updateLayerVisibility(schematic);
+    for (const overlay of overlays) overlay.visible = false;
+    // drop shadows only draw inside their filter area, which normally
+    //  follows the view on the screen
+    const area = new PIXI.Rectangle(0, 0, width, height);
+    for (const layer of [ Layer.BACK, Layer.MID, Layer.FRONT ]) {
+      if (! this._containers.has(layer)) continue;
+      this._containers.get(layer).filterArea = area;
+    }
+    const texture = PIXI.RenderTexture.create(width, height,
+      PIXI.SCALE_MODES.LINEAR, resolution);
+    let source:HTMLCanvasElement;
+    try {
+      Renderer.instance.render(this._layers, texture);
+      source = Renderer.instance.extract.canvas(texture);
+    }
+    finally {
+      texture.destroy(true);
+      // put the view back the way it was
+      this._renderingImage = false;
+      overlays.forEach((overlay, i) => {
+        overlay.visible = overlaysVisible[i];
+      });
+      this.partSize = view.partSize;
+      this.width = view.width;
+      this.height = view.height;
+      this.centerColumn = view.centerColumn;
+      this.centerRow = view.centerRow;
+      this._updateSpriteVisibility();
+      this._updateLayerVisibility();
+      this._updateFilterAreas();
+    }
+    // parts are drawn on a transparent background, so fill it in
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = htmlColor(Colors.BACKGROUND);
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(source, 0, 0);
+    return(canvas);
+  }
+  private _renderingImage:boolean = false;
+
+  // get the area of the screen where the view shows the given cells, or
+  //  the whole view if no cells are given
+  public screenRect(cells:GridRect=null):PIXI.Rectangle {
+    const v0 = this.view.toGlobal(new PIXI.Point(0, 0));
+    const v1 = this.view.toGlobal(new PIXI.Point(this.width, this.height));
+    if (! cells) {
+      return(new PIXI.Rectangle(v0.x, v0.y, v1.x - v0.x, v1.y - v0.y));
+    }
+    const p0 = this._layers.toGlobal(new PIXI.Point(
+      this.xForColumn(cells.column - 0.5), this.yForRow(cells.row - 0.5)));
+    const p1 = this._layers.toGlobal(new PIXI.Point(
+      this.xForColumn(cells.right - 0.5), this.yForRow(cells.bottom - 0.5)));
+    // cells can be scrolled partly or entirely out of view
+    const x0 = Math.min(Math.max(v0.x, p0.x), v1.x);
+    const y0 = Math.min(Math.max(v0.y, p0.y), v1.y);
+    const x1 = Math.min(Math.max(v0.x, p1.x), v1.x);
+    const y1 = Math.min(Math.max(v0.y, p1.y), v1.y);
+    return(new PIXI.Rectangle(x0, y0, x1 - x0, y1 - y0));
+  }
+
   // do layout for one part at the given location
   public layoutPart(part:Part, column:number, row:number):void {
     if (! part) return;
+    super.layoutPart(part, column, row);
     part.size = this.partSize;
-    part.column = column;
-    part.row = row;
     part.x = this.xForColumn(column);
     part.y = this.yForRow(row);
     this._spriteChangeCounter++;
@@ -462,18 +775,11 @@ export class Board {
 
   // do layout for all parts on the grid
   public layoutParts():void {
-    let r:number = 0;
-    for (const row of this._grid) {
-      let c:number = 0;
-      for (const part of row) {
-        this.layoutPart(part, c, r);
-        c++;
-      }
-      r++;
-    }
-    for (const ball of this.balls) {
-      this.layoutPart(ball, ball.column, ball.row);
-    }
+    super.layoutParts();
+    this._updateSelectionOverlay();
+    this._updateOutputOverlay();
+    this._updateMarkers();
+    this._drawTrails();
   }
 
   // get the spacing between part centers
@@ -500,266 +806,7 @@ export class Board {
     return(Math.round(row * this.spacing));
   }
 
-  // GRID MANAGEMENT **********************************************************
-
-  // get the size of the part grid
-  public get columnCount():number { return(this._columnCount); }
-  private _columnCount:number = 0;
-  public get rowCount():number { return(this._rowCount); }
-  private _rowCount:number = 0;
-
-  // storage for the part grid
-  private _grid:Part[][] = [ ];
-
-  // suspend expensive operations when updating parts in bulk
-  public get bulkUpdate():boolean { return(this._bulkUpdate); }
-  public set bulkUpdate(v:boolean) {
-    if (v === this._bulkUpdate) return;
-    this._bulkUpdate = v;
-    // when finishing a bulk update, execute deferred tasks
-    if (! v) {
-      this._connectSlopes();
-      this._connectTurnstiles();
-      this._connectGears();
-      // average gear rotations in connected sets
-      for (const row of this._grid) {
-        for (const part of row) {
-          if (part instanceof GearBase) {
-            part.rotation = part.rotation >= 0.5 ? 1.0 : 0.0;
-          }
-        }
-      }
-    }
-  }
-  private _bulkUpdate:boolean = false;
-
-  public sizeRight(delta:number, addBackground:boolean=true):void {
-    delta = Math.max(- this.columnCount, delta);
-    if (delta == 0) return;
-    const oldBulkUpdate = this.bulkUpdate;
-    this.bulkUpdate = true;
-    const newColumnCount:number = this.columnCount + delta;
-    let c:number, r:number;
-    if (delta < 0) {
-      r = 0;
-      for (const row of this._grid) {
-        for (c = newColumnCount; c < this.columnCount; c++) {
-          this.setPart(null, c, r);
-        }
-        row.splice(newColumnCount, - delta);
-        r++;
-      }
-    }
-    else {
-      r = 0;
-      for (const row of this._grid) {
-        for (c = this.columnCount; c < newColumnCount; c++) {
-          if (addBackground) {
-            row.push(this.makeBackgroundPart(c, r));
-          }
-          else row.push(null);
-        }
-        r++;
-      }
-    }
-    this._columnCount = newColumnCount;
-    this.bulkUpdate = oldBulkUpdate;
-    this.layoutParts();
-    this.physicalRouter.onBoardSizeChanged();
-    this.schematicRouter.onBoardSizeChanged();
-    this.onChange();
-  }
-
-  public sizeBottom(delta:number, addBackground:boolean=true):void {
-    delta = Math.max(- this.rowCount, delta);
-    if (delta == 0) return;
-    const oldBulkUpdate = this.bulkUpdate;
-    this.bulkUpdate = true;
-    const newRowCount:number = this.rowCount + delta;
-    let c:number, r:number;
-    if (delta < 0) {
-      for (r = newRowCount; r < this.rowCount; r++) {
-        for (c = 0; c < this.columnCount; c++) {
-          this.setPart(null, c, r);
-        }
-      }
-      this._grid.splice(newRowCount, - delta);
-    }
-    else {
-      for (r = this.rowCount; r < newRowCount; r++) {
-        const row:Part[] = [ ];
-        for (c = 0; c < this.columnCount; c++) {
-          if (addBackground) {
-            row.push(this.makeBackgroundPart(c, r));
-          }
-          else row.push(null);
-        }
-        this._grid.push(row);
-      }
-    }
-    this._rowCount = newRowCount;
-    this.bulkUpdate = oldBulkUpdate;
-    this.layoutParts();
-    this.physicalRouter.onBoardSizeChanged();
-    this.schematicRouter.onBoardSizeChanged();
-    this.onChange();
-  }
-
-  public sizeLeft(delta:number, addBackground:boolean=true):void {
-    // we must increase/decrease by even numbers to keep part/gear locations
-    //  on the same diagonals
-    if (delta % 2 !== 0) delta += 1;
-    delta = Math.max(- this.columnCount, delta);
-    if (delta == 0) return;
-    const oldBulkUpdate = this.bulkUpdate;
-    this.bulkUpdate = true;
-    const newColumnCount:number = this.columnCount + delta;
-    let c:number, r:number;
-    if (delta < 0) {
-      r = 0;
-      for (const row of this._grid) {
-        for (c = 0; c < Math.abs(delta); c++) {
-          this.setPart(null, c, r);
-        }
-        row.splice(0, Math.abs(delta));
-        r++;
-      }
-    }
-    else {
-      r = 0;
-      for (const row of this._grid) {
-        for (c = delta - 1; c >= 0; c--) {
-          if (addBackground) {
-            row.unshift(this.makeBackgroundPart(c, r));
-          }
-          else row.unshift(null);
-        }
-        r++;
-      }
-    }
-    this._columnCount = newColumnCount;
-    this.centerColumn += delta;
-    this.bulkUpdate = oldBulkUpdate;
-    this.layoutParts();
-    this.physicalRouter.onBoardSizeChanged();
-    this.schematicRouter.onBoardSizeChanged();
-    this.onChange();
-  }
-
-  public sizeTop(delta:number, addBackground:boolean=true):void {
-    // we must increase/decrease by even numbers to keep part/gear locations
-    //  on the same diagonals
-    if (delta % 2 !== 0) delta += 1;
-    delta = Math.max(- this.rowCount, delta);
-    if (delta == 0) return;
-    const oldBulkUpdate = this.bulkUpdate;
-    this.bulkUpdate = true;
-    const newRowCount:number = this.rowCount + delta;
-    let c:number, r:number, part:Part;
-    if (delta < 0) {
-      for (r = 0; r < Math.abs(delta); r++) {
-        for (c = 0; c < this.columnCount; c++) {
-          this.setPart(null, c, r);
-        }
-      }
-      this._grid.splice(0, Math.abs(delta));
-    }
-    else {
-      for (r = delta - 1; r >= 0; r--) {
-        const row:Part[] = [ ];
-        for (c = 0; c < this.columnCount; c++) {
-          if (addBackground) {
-            part = this.makeBackgroundPart(c, r);
-            this.layoutPart(part, c, r);
-            row.push(part);
-          }
-          else row.push(null);
-        }
-        this._grid.unshift(row);
-      }
-    }
-    this._rowCount = newRowCount;
-    this.centerRow += delta;
-    this.bulkUpdate = oldBulkUpdate;
-    this.layoutParts();
-    this.physicalRouter.onBoardSizeChanged();
-    this.schematicRouter.onBoardSizeChanged();
-    this.onChange();
-  }
-
-  // update the part grid
-  public setSize(columnCount:number, rowCount:number, addBackground:boolean=true):void {
-    this.sizeRight(columnCount - this.columnCount, addBackground);
-    this.sizeBottom(rowCount - this.rowCount, addBackground);
-  }
-
-  // remove everything from the board
-  public clear(addBackground:boolean=true):void {
-    const oldBulkUpdate = this.bulkUpdate;
-    this.bulkUpdate = true;
-    // remove parts
-    let part:Part;
-    for (let r:number = 0; r < this.rowCount; r++) {
-      for (let c:number = 0; c < this.columnCount; c++) {
-        part = addBackground ? this.makeBackgroundPart(c, r) : null;
-        this.setPart(part, c, r);
-      }
-    }
-    // remove balls
-    this.clearBalls();
-    this.bulkUpdate = oldBulkUpdate;
-  }
-
-  // remove balls from the board
-  public clearBalls():void {
-    for (const ball of this.balls) this.removeBall(ball);
-  }
-
-  // whether a part can be placed at the given row and column
-  public canPlacePart(type:PartType, column:number, row:number):boolean {
-    if (type == PartType.BALL) {
-      return((row >= 0.0) && (column >= 0.0) &&
-             (row < this.rowCount) && (column < this.columnCount));
-    }
-    if ((column < 0) || (column >= this._columnCount) ||
-        (row < 0) || (row >= this._rowCount)) return(false);
-    const oldPart = this.getPart(column, row);
-    if ((oldPart) && (oldPart.isLocked)) return(false);
-    else if ((type == PartType.PARTLOC) || (type == PartType.GEARLOC) ||
-             (type == PartType.GEAR) || (type == PartType.SLOPE) ||
-             (type == PartType.SIDE)) return(true);
-    else return((row + column) % 2 == 0);
-  }
-
-  // whether the part at the given location can be flipped
-  public canFlipPart(column:number, row:number):boolean {
-    const part = this.getPart(column, row);
-    return((part) && (part.canFlip || part.canRotate) && (! part.isLocked));
-  }
-
-  // whether the part at the given location can be dragged
-  public canDragPart(column:number, row:number):boolean {
-    const part = this.getPart(column, row);
-    return((part) && (part.type !== PartType.GEARLOC) && 
-                     (part.type !== PartType.PARTLOC) &&
-                     (part.type !== PartType.BLANK) &&
-                     (! part.isLocked));
-  }
-
-  // whether the part at the given location is a background part
-  public isBackgroundPart(column:number, row:number):boolean {
-    const part = this.getPart(column, row);
-    return((! part) || 
-           (part.type === PartType.PARTLOC) ||
-           (part.type === PartType.GEARLOC));
-  }
-
-  // make a background part for the given row and column position
-  public makeBackgroundPart(column:number, row:number):Part {
-    return(this.partFactory.make(
-      (row + column) % 2 == 0 ?
-        PartType.PARTLOC : PartType.GEARLOC));
-  }
+  // PARTS ********************************************************************
 
   // set the tool to use when the user clicks
   public get tool():ToolType { return(this._tool); }
@@ -767,7 +814,12 @@ export class Board {
     if (! (v >= 0)) return;
     v = Math.min(Math.max(ToolType.MIN, v), ToolType.MAX);
     if (v === this._tool) return;
+    // the hand tool is the only one that can't change a read-only board
+    if ((this.isReadOnly) && (v !== ToolType.HAND)) return;
+    if ((this.challenge) && (v === ToolType.LOCK)) return;
     this._tool = v;
+    if (v !== ToolType.SELECT) this.selection = null;
+    this._updateMarkers();
     this.onUIChange();
   }
   private _tool:ToolType = ToolType.HAND;
@@ -795,478 +847,339 @@ export class Board {
   }
   private _partPrototype:Part = null;
 
-  // get the part at the given coordinates
-  public getPart(column:number, row:number):Part {
-    if ((isNaN(column)) || (isNaN(row)) ||
-        (column < 0) || (column >= this._columnCount) ||
-        (row < 0) || (row >= this._rowCount)) return(null);
-    return(this._grid[row][column]);
-  }
-
-  // set the part at the given coordinates
-  public setPart(newPart:Part, column:number, row:number):void {
-    if ((column < 0) || (column >= this._columnCount) ||
-        (row < 0) || (row >= this._rowCount)) return;
-    const oldPart = this.getPart(column, row);
-    if (oldPart === newPart) return;
-    this._grid[row][column] = newPart;
-    if (newPart) this.layoutPart(newPart, column, row);
-    // tell gears what kind of location they're on
-    if (newPart instanceof Gear) {
-      newPart.isOnPartLocation = ((column + row) % 2) == 0;
-    }
-    // update gear connections
-    if ((oldPart instanceof GearBase) || (newPart instanceof GearBase)) {
-      // disconnect the old part
-      if (oldPart instanceof GearBase) oldPart.connected = null;
-      // rebuild connections between gears and gearbits
-      if (! this.bulkUpdate) this._connectGears();
-      // merge the new part's rotation with the connected set
-      if ((newPart instanceof GearBase) && (newPart.connected)) {
-        let sum:number = 0.0;
-        for (const part of newPart.connected) {
-          sum += part.rotation;
-        }
-        newPart.rotation = ((sum / newPart.connected.size) >= 0.5) ? 1.0 : 0.0;
-      }
-    }
-    // update fences
-    if ((oldPart instanceof Slope) || (newPart instanceof Slope)) {
-      if (! this.bulkUpdate) this._connectSlopes();
-    }
-    // maintain our set of drops
-    if ((oldPart instanceof Drop) && (oldPart !== this.partPrototype)) {
-      this.drops.delete(oldPart);
-      for (const ball of oldPart.balls) {
-        this.removeBall(ball);
-      }
-    }
-    if (newPart instanceof Drop) {
-      this.drops.add(newPart);
-      newPart.onRelease = () => {
-        if ((this._ballCounter.visible) &&
-            (this._ballCounter.drop === newPart)) this._ballCounter.update();
-      };
-    }
-    if ((oldPart instanceof Drop) || (newPart instanceof Drop) ||
-        (oldPart instanceof Turnstile) || (newPart instanceof Turnstile)) {
-      if (! this.bulkUpdate) this._connectTurnstiles();
-    }
-    // remove and destroy sprites for the old part to avoid memory leaks
-    if ((oldPart) && (oldPart !== this.partPrototype)) {
-      this._removeSpritesForPart(oldPart);
-      oldPart.destroySprites();
-    }
-    this.onChange();
+  // the prototype can be temporarily placed on the board while dragging
+  protected _isPreviewPart(part:Part):boolean {
+    return(part === this.partPrototype);
   }
-  
-  // flip the part at the given coordinates
-  public flipPart(column:number, row:number):void {
-    const part = this.getPart(column, row);
-    if ((part instanceof Slope) || (part instanceof Side)) {
-      this._flipFence(column, row);
-    }
-    else if (part) part.flip(Delays.FLIP);
-    this.onChange();
-  }
-
-  // clear parts from the given coordinates
-  public clearPart(column:number, row:number):void {
-    this.setPart(this.makeBackgroundPart(column, row), column, row);
-  }
-
-  // add a ball to the board
-  public addBall(ball:Ball, c:number, r:number) {
-    if (! this.balls.has(ball)) {
-      this.balls.add(ball);
-      this.layoutPart(ball, c, r);
-      // assign the ball to a drop if it doesn't have one
-      if (! ball.drop) {
-        let drop = this.catchmentDrop(c, r);
-        if (drop) {
-          ball.released = false;
-        }
-        else {
-          ball.released = true;
-          drop = this.nearestDrop(c, r);
-        }
-        if (drop) {
-          this.drops.add(drop);
-          drop.balls.add(ball);
-          ball.drop = drop;
-          ball.hue = drop.hue;
-        }
-      }
-      // update the ball counter
-      if (this._ballCounter.visible) this._ballCounter.update();
-      this.onChange();
-    }
-    this._spriteChangeCounter++;
+
+  // remove and destroy sprites for the old part to avoid memory leaks
+  protected _onPartRemoved(part:Part):void {
+    this._removeSpritesForPart(part);
+    part.destroySprites();
+    // make sure sprites get re-created if the part comes back (i.e. undo)
+    this._visibleParts.delete(part);
   }
 
-  // remove a ball from the board
-  public removeBall(ball:Ball) {
-    if (this.balls.has(ball)) {
-      if (ball.drop) ball.drop.balls.delete(ball);
-      this.balls.delete(ball);
-      // update the ball counter
-      if (this._ballCounter.visible) this._ballCounter.update();
-      Renderer.needsUpdate();
-      this.onChange();
+  // update the ball counter
+  protected _onBallCountChanged(drop:Drop):void {
+    if ((this._ballCounter.visible) && 
+        ((! drop) || (this._ballCounter.drop === drop))) {
+      this._ballCounter.update();
     }
   }
 
-  // add a ball to the given drop without returning all balls to it
-  public addBallToDrop(drop:Drop):void {
-    // get the highest ball associated with the drop
-    let topBall:Ball;
-    for (const ball of drop.balls) {
-      if ((! topBall) || (ball.row < topBall.row)) {
-        topBall = ball;
-      }
-    }
-    // get the fraction of a grid unit a ball's radius takes up
-    const radius:number = BALL_RADIUS / SPACING;
-    let c:number = drop.column;
-    let r:number = drop.row;
-    // if the highest ball is on or above the drop, add the new ball above it
-    if ((topBall) && (topBall.row <= drop.row + (0.5 - radius))) {
-      c = topBall.column;
-      r = topBall.row - (2 * radius);
-    }
-    this.addBall(this.partFactory.make(PartType.BALL) as Ball, c, Math.max(-0.5, r));
-  }
-
-  // fill the drop with the given number of balls, adjusting its total count
-  public setDropBallCount(drop:Drop, count:number=drop.balls.size) {
-    // turn off bulk updating so we can make sure slopes are configured properly
-    const oldBulkUpdate = this.bulkUpdate;
-    this.bulkUpdate = false;
-    // remove all existing balls (we'll create new ones)
-    for (const ball of drop.balls) {
-      this.removeBall(ball);
-    }
-    // dividing each grid square into thirds, make a list of all open locations
-    const spots:{c:number,r:number}[] = [ ];
-    // find all grid locations that drain into the drop
-    let part:Part, x:number, y:number, t:PartType;
-    for (let r:number = drop.row; r >= -1; r--) {
-      for (let c:number = 0; c < this.columnCount; c++) {
-        if (this.catchmentDrop(c, r) !== drop) continue;
-        // add up to 9 locations for each grid unit
-        part = this.getPart(c, r);
-        t = part ? part.type : PartType.BLANK;
-        if ((t == PartType.BLANK) || (t == PartType.DROP) || 
-            (t == PartType.SIDE) || (t == PartType.PARTLOC) || 
-            (t == PartType.GEARLOC)) {
-          for (x = -1; x <= 1; x++) {
-            for (y = -1; y <= 1; y++) {
-              // leave room for the pins on part/gear locations
-              if ((x == 0) && (y == 0) && (! this.schematic) && 
-                  ((t == PartType.GEARLOC) || (t == PartType.PARTLOC))) {
-                continue;
-              }
-              spots.push({ c: c + (x / 3), r: r + (y / 3) });
-            }
-          }
-        }
-        // slopes require special handling so that we don't 
-        //  place balls below the fence
-        else if (part instanceof Slope) {
-          const left = part.sequence / part.modulus;
-          const right = (part.sequence + 1) / part.modulus;
-          const sign = part.isFlipped ? -1 : 1;
-          for (x = -1; x <= 1; x++) {
-            const bottom = ((right + left) / 2) + 
-              ((x / 3) * sign * (right - left)) - 0.5 - (1 / 6);
-            for (y = -1; y <= 1; y++) {
-              if ((y / 3) > bottom) continue;
-              spots.push({ c: c + (x / 3), r: r + (y / 3) });
-            }
-          }
-        }
-      }
-    }
-    // sort all the spots from bottom to top and center to edge
-    spots.sort((a, b) => {
-      if (a.r > b.r) return(-1);
-      if (a.r < b.r) return(1);
-      if (Math.abs(a.c - drop.column) < Math.abs(b.c - drop.column)) return(-1);
-      if (Math.abs(a.c - drop.column) > Math.abs(b.c - drop.column)) return(1);
-      return(0);
-    });
-    // place balls in the spots
-    for (let i:number = 0; i < count; i++) {
-      const spot = spots[i % spots.length]; // re-use spots if we run out
-      this.addBall(this.partFactory.make(PartType.BALL) as Ball, 
-                   spot.c, spot.r);
+  // SELECTION ****************************************************************
+
+  // the rectangular area of the grid that's selected, or null if none is
+  public get selection():GridRect {
+    if (! this._selection) return(null);
+    return(this._selection.clamp(this.columnCount, this.rowCount));
+  }
+  public set selection(v:GridRect) {
+    if ((v === this._selection) || ((v) && (v.equals(this._selection)))) return;
+    this._selection = v;
+    this._updateSelectionOverlay();
+    this.onUIChange();
+  }
+  private _selection:GridRect = null;
+
+  // count balls arriving in the selected area as output, or balls passing
+  //  through turnstiles if nothing is selected, returning whether that
+  //  changed anything
+  public recordSelectionOutput():boolean {
+    if ((! this.selection) && (! this.recorder.region)) return(false);
+    this.recorder.region = this.selection;
+    this.selection = null;
+    return(true);
+  }
+
+  // parts that have been cut or copied from the board
+  public clipboard:Clipping = null;
+
+  // copy the selected parts to the clipboard
+  public copySelection():boolean {
+    const selection = this.selection;
+    if (! selection) return(false);
+    this.clipboard = this.copyRegion(selection);
+    return(true);
+  }
+
+  // move the selected parts to the clipboard
+  public cutSelection():boolean {
+    const selection = this.selection;
+    if ((! selection) || (this.isReadOnly)) return(false);
+    this.clipboard = this.copyRegion(selection, false);
+    this.clearRegion(selection);
+    return(true);
+  }
+
+  // remove the selected parts from the board
+  public deleteSelection():boolean {
+    const selection = this.selection;
+    if ((! selection) || (this.isReadOnly)) return(false);
+    this.clearRegion(selection);
+    return(true);
+  }
+
+  // whether the user is kept from changing the board, which still lets
+  //  them release balls, turn turnstiles and move the view around
+  public get isReadOnly():boolean { return(this._isReadOnly); }
+  public set isReadOnly(v:boolean) {
+    if (v === this._isReadOnly) return;
+    if (v) {
+      this.tool = ToolType.HAND;
+      this.partPrototype = null;
+      this.selection = null;
     }
-    this.bulkUpdate = oldBulkUpdate;
+    this._isReadOnly = v;
+    this._updateAction();
   }
+  private _isReadOnly:boolean = false;
 
-  // return all balls to their appropriate drops
-  public returnBalls():void {
-    for (const drop of this.drops) {
-      this.setDropBallCount(drop);
-    }
+  // edits made before the board became read-only can't be undone either
+  public undo():void {
+    if (! this.isReadOnly) super.undo();
+  }
+  public redo():void {
+    if (! this.isReadOnly) super.redo();
   }
 
-  // get the ball under the given point in fractional column/row units
-  public ballUnder(column:number, row:number):Ball {
-    const radius = (BALL_RADIUS / SPACING) * 1.2;
-    let closest:Ball = null;
-    let minDistance:number = Infinity;
-    for (const ball of this.balls) {
-      const dx:number = Math.abs(column - ball.column);
-      const dy:number = Math.abs(row - ball.row);
-      if ((dx > radius) || (dy > radius)) continue;
-      const d:number = Math.sqrt((dx * dx) + (dy * dy));
-      if (d < minDistance) {
-        closest = ball;
-        minDistance = d;
-      }
-    }
-    return(closest);
-  }
-
-  // keep a set of all drops on the board
-  public readonly drops:Set<Drop> = new Set();
-
-  // return the drop that would definitely collect a ball dropped at the given
-  //  location, or null if it won't definitely reach one
-  public catchmentDrop(c:number, r:number):Drop {
-    c = Math.round(c);
-    r = Math.max(0, Math.round(r));
-    let lc:number = c; // the last column the ball was in
-    while ((r < this.rowCount) && (c >= 0) && (c < this.columnCount)) {
-      const p = this.getPart(c, r);
-      // don't go off the board
-      if (! p) break;
-      // if we hit a drop we're done
-      if (p instanceof Drop) return(p);
-      // follow deterministic parts
-      else if (p.type == PartType.SLOPE) {
-        c += p.isFlipped ? -1 : 1;
-      }
-      else if (p.type == PartType.RAMP) {
-        c += p.isFlipped ? -1 : 1;
-        r++;
-      }
-      else if (p.type == PartType.CROSSOVER) {
-        if (lc < c) { c++; r++; }
-        else if (lc > c) { c--; r++; }
-        else break; // a vertical drop onto a crossover is non-deterministic
-      }
-      // this stops the fall
-      else if (p.type == PartType.INTERCEPTOR) break;
-      // these are non-deterministic
-      else if ((p.type == PartType.BIT) || (p.type == PartType.GEARBIT)) break;
-      // in all other cases, assume an uncontrolled fall
-      else r++;
-      lc = c;
-    }
-    return(null);
-  }
-
-  // return the drop that's closest to the given location
-  public nearestDrop(c:number, r:number):Drop {
-    let nearest:Drop = null;
-    let minDistance:number = Infinity;
-    for (const drop of this.drops) {
-      const d = Math.pow(c - drop.column, 2) + Math.pow(r - drop.row, 2);
-      if (d < minDistance) {
-        minDistance = d;
-        nearest = drop;
-      }
-    }
-    return(nearest);
-  }
-
-  // connect adjacent sets of gears
-  //  see: https://en.wikipedia.org/wiki/Connected-component_labeling
-  protected _connectGears():void {
-    let r:number;
-    let c:number;
-    let label:number = 0;
-    let min:number, max:number;
-    let westPart:Part, westLabel:number;
-    let northPart:Part, northLabel:number;
-    let allGears:Set<GearBase> = new Set();
-    for (const row of this._grid) {
-      for (const part of row) {
-        if (part instanceof GearBase) allGears.add(part);
-      }
+  // paste parts from the clipboard at the selection, or at the last place 
+  //  the user pointed to if nothing is selected
+  public paste():boolean {
+    if ((! this.clipboard) || (this.isReadOnly)) return(false);
+    const selection = this.selection;
+    const column = selection ? selection.column : this._actionColumn;
+    const row = selection ? selection.row : this._actionRow;
+    if ((isNaN(column)) || (isNaN(row)) || (column == null) || (row == null)) {
+      return(false);
     }
-    let equivalence:DisjointSet = new DisjointSet(allGears.size);
-    r = 0;
-    for (const row of this._grid) {
-      c = 0;
-      westPart = null;
-      for (const part of row) {
-        northPart = r > 0 ? this.getPart(c, r - 1) : null;
-        if (part instanceof GearBase) {
-          northLabel = (northPart instanceof GearBase) ? 
-            northPart._connectionLabel : -1;
-          westLabel = (westPart instanceof GearBase) ? 
-            westPart._connectionLabel : -1;
-          if ((northLabel >= 0) && (westLabel >= 0)) {
-            if (northLabel === westLabel) {
-              part._connectionLabel = northLabel;
-            }
-            else {
-              min = Math.min(northLabel, westLabel);
-              max = Math.max(northLabel, westLabel);
-              part._connectionLabel = min;
-              equivalence.mergeSets(min, max);
-            }
-          }
-          else if (northLabel >= 0) {
-            part._connectionLabel = northLabel;
-          }
-          else if (westLabel >= 0) {
-            part._connectionLabel = westLabel;
-          }
-          else part._connectionLabel = label++;
-        }
-        westPart = part;
-        c++;
-      }
-      r++;
+    const area = this.pasteClipping(this.challenge ?
+      this._unlockClipping(this.clipboard) : this.clipboard, column, row);
+    if (! area) return(false);
+    if (this.tool === ToolType.SELECT) this.selection = area;
+    return(true);
+  }
+
+  // copies of the locked parts of a challenge would be stuck on the board,
+  //  since locked parts can't be removed and the lock tool is off, so they
+  //  get pasted as parts the user can change
+  protected _unlockClipping(clipping:Clipping):Clipping {
+    const unlocked = new Clipping(clipping.columnCount, clipping.rowCount,
+      clipping.parity);
+    for (const item of clipping.parts) {
+      const part = this.partFactory.copy(item.part);
+      part.isLocked = false;
+      unlocked.parts.push({ part: part, column: item.column, row: item.row,
+        ballCount: item.ballCount });
+    }
+    return(unlocked);
+  }
+
+  // flip the selected parts from left to right
+  public mirrorSelection():boolean {
+    const selection = this.selection;
+    if ((! selection) || (this.isReadOnly)) return(false);
+    const clipping = this.copyRegion(selection, false);
+    // the area is cleared before pasting, so empty locations can be left out
+    const items = clipping.parts.filter((item) =>
+      ! this.isBackgroundType(item.part.type));
+    // mirroring an area with an even number of columns puts each part on the
+    //  opposite kind of location, so shift the parts by a column in whichever
+    //  direction keeps them inside the selection
+    const w = selection.columnCount;
+    let shift:number = 0;
+    if ((w % 2 === 0) && (this._hasFixedParts(clipping))) {
+      const columns = items.map((item) => (w - 1) - item.column);
+      if (Math.max(...columns) < w - 1) shift = 1;
+      else if (Math.min(...columns) > 0) shift = -1;
+      else return(false);
+    }
+    const mirrored = new Clipping(w, selection.rowCount, clipping.parity);
+    for (const item of items) {
+      // the copies aren't on the board, so they can be flipped directly
+      if ((item.part.canFlip) || (item.part.canRotate)) item.part.flip();
+      mirrored.parts.push({
+        part: item.part,
+        column: (w - 1) - item.column + shift,
+        row: item.row,
+        ballCount: item.ballCount
+      });
     }
-    // group labeled gears into sets
-    const sets:Map<number,Set<GearBase>> = new Map();
-    for (const part of allGears) {
-      label = equivalence.getRepr(part._connectionLabel);
-      if (! sets.has(label)) sets.set(label, new Set());
-      const set = sets.get(label);
-      set.add(part);
-      part.connected = set;
+    // locked parts stay where they are, so the mirrored parts can't
+    //  always go around them
+    if (! this.canPasteClipping(mirrored, selection.column, selection.row)) {
+      return(false);
     }
+    this.history.beginGroup();
+    this.clearRegion(selection);
+    this.selection = this.pasteClipping(mirrored, 
+      selection.column, selection.row);
+    this.history.endGroup();
+    return(true);
+  }
+
+  // move the selected parts by one step in the given direction, which is 
+  //  doubled if needed to keep parts on the same kind of location
+  public nudgeSelection(columns:number, rows:number):boolean {
+    const selection = this.selection;
+    if ((! selection) || (this.isReadOnly)) return(false);
+    if (((columns + rows) % 2 !== 0) && 
+        (this._hasFixedParts(this.copyRegion(selection, false)))) {
+      columns *= 2;
+      rows *= 2;
+    }
+    return(this.moveSelection(columns, rows));
+  }
+
+  // move the selected parts by the given number of columns and rows
+  public moveSelection(columns:number, rows:number):boolean {
+    const selection = this.selection;
+    if ((! selection) || (this.isReadOnly) ||
+        ((columns == 0) && (rows == 0))) return(false);
+    const clipping = this.copyRegion(selection, false);
+    // make sure no part would be lost off the board or under a locked part
+    //  before taking them away
+    if (! this.canPasteClipping(clipping,
+        selection.column + columns, selection.row + rows)) return(false);
+    this.history.beginGroup();
+    this.clearRegion(selection);
+    this.selection = this.pasteClipping(clipping, 
+      selection.column + columns, selection.row + rows);
+    this.history.endGroup();
+    return(true);
+  }
+
+  // TRAILS *******************************************************************
+
+  // whether to show the recent path of each ball behind it
+  public get showTrails():boolean { return(this._showTrails); }
+  public set showTrails(v:boolean) {
+    if (v === this._showTrails) return;
+    this._showTrails = v;
+    this._drawTrails();
+    this.onUIChange();
   }
+  private _showTrails:boolean = false;
 
-  // connect turnstiles to their nearest drops
-  protected _connectTurnstiles():void {
-    for (const row of this._grid) {
-      for (const part of row) {
-        if (part instanceof Turnstile) {
-          part.drop = this.nearestDrop(part.column, part.row);
-        }
-      }
-    }
+  // a ball whose whole path is shown whether or not trails are showing,
+  //  which stays visible after the ball leaves the board
+  public get pinnedBall():Ball { return(this._pinnedBall); }
+  public set pinnedBall(v:Ball) {
+    if (v === this._pinnedBall) return;
+    this._pinnedBall = v;
+    this._drawTrails();
   }
+  private _pinnedBall:Ball = null;
 
-  // configure slope angles by grouping adjacent ones
-  protected _connectSlopes():void {
-    let slopes:Slope[] = [ ];
-    for (const row of this._grid) {
-      for (const part of row) {
-        if (part instanceof Slope) {
-          if ((slopes.length > 0) && 
-              (slopes[0].isFlipped !== part.isFlipped)) {
-            this._makeSlope(slopes);
+  protected _drawTrails():void {
+    this._trailsChanged = false;
+    const g = this._trailGraphics;
+    g.clear();
+    const width = Math.max(1, this.partSize / 16);
+    if (this.showTrails) {
+      for (const ball of this.balls) {
+        if (ball === this.pinnedBall) continue;
+        const trail = this.trails.trailForBall(ball);
+        if (! trail) continue;
+        // fade out older parts of the trail
+        const points = trail.points;
+        const start = Math.max(0, points.length - TRAIL_LENGTH);
+        const color = colorFromHSL(trail.hue / 360, 1, 0.53);
+        for (let i:number = start; i < points.length; i++) {
+          const x = this.xForColumn(points[i].column);
+          const y = this.yForRow(points[i].row);
+          if (i === start) {
+            g.moveTo(x, y);
+            continue;
           }
-          slopes.push(part);
-        }
-        else if (slopes.length > 0) {
-          this._makeSlope(slopes);
+          g.lineStyle(width, color, 0.75 * (i - start) / (points.length - start));
+          g.lineTo(x, y);
         }
-      }
-      if (slopes.length > 0) {
-        this._makeSlope(slopes);
-      }
-    }
-  }
-  // configure a horizontal run of fence parts
-  protected _makeSlope(slopes:Slope[]):void {
-    if (! (slopes.length > 0)) return;
-    for (let i:number = 0; i < slopes.length; i++) {
-      slopes[i].modulus = slopes.length;
-      slopes[i].sequence = slopes[i].isFlipped ? 
-        ((slopes.length - 1) - i) : i;
-    }
-    slopes.splice(0, slopes.length);
-  }
-  // flip a fence part
-  protected _flipFence(column:number, row:number) {
-    const part:Part = this.getPart(column, row);
-    if ((! (part instanceof Slope)) && (! (part instanceof Side))) return;
-    const wasFlipped:boolean = part.isFlipped;
-    const type:PartType = part.type;
-    part.flip();
-    // make a test function to shorten the code below
-    const shouldContinue = (part:Part):boolean => {
-      if ((part.isFlipped == wasFlipped) && (part.type == type)) {
-        part.flip();
-        return(true);
-      }
-      return(false);
-    };
-    if (part instanceof Slope) {
-      // go right
-      for (let c:number = column + 1; c < this._columnCount; c++) {
-        if (! shouldContinue(this.getPart(c, row))) break;
-      }
-      // go left
-      for (let c:number = column - 1; c >= 0; c--) {
-        if (! shouldContinue(this.getPart(c, row))) break;
+        g.lineStyle(0);
       }
     }
-    else if (part instanceof Side) {
-      // go down
-      for (let r:number = row + 1; r < this._rowCount; r++) {
-        if (! shouldContinue(this.getPart(column, r))) break;
-      }
-      // go up
-      for (let r:number = row - 1; r >= 0; r--) {
-        if (! shouldContinue(this.getPart(column, r))) break;
+    // draw the whole path of the pinned ball
+    const pinned = this.pinnedBall ? 
+      this.trails.trailForBall(this.pinnedBall) : null;
+    if (pinned) {
+      const points = pinned.points;
+      g.lineStyle(width * 2, colorFromHSL(pinned.hue / 360, 1, 0.53), 0.9);
+      for (let i:number = 0; i < points.length; i++) {
+        const x = this.xForColumn(points[i].column);
+        const y = this.yForRow(points[i].row);
+        if (i === 0) g.moveTo(x, y);
+        else g.lineTo(x, y);
       }
+      g.lineStyle(0);
     }
-    // update sequence numbers for slopes
-    this._connectSlopes();
+    // a trail that was cleared can't be shown again
+    else this._pinnedBall = null;
+    Renderer.needsUpdate();
   }
+  private _trailGraphics:PIXI.Graphics = new PIXI.Graphics();
+  private _trailsChanged:boolean = false;
 
-  // return whether all balls appear to be at rest since the last check
-  protected _checkBallMovement():boolean {
-    let atRest:boolean = true;
-    let p;
-    for (const ball of this.balls) {
-      if (! this._ballPositions.has(ball)) {
-        atRest = false;
-        this._ballPositions.set(ball, { c: ball.column, r: ball.row });
-      }
-      else {
-        p = this._ballPositions.get(ball);
-        if ((atRest) &&
-            (Math.max(Math.abs(p.c - ball.column), 
-                      Math.abs(p.r - ball.row)) > 0.05)) {
-          atRest = false;
-        }
-        p.c = ball.column;
-        p.r = ball.row;
-      }
-    }
-    return(atRest);
-  }
-  private _ballPositions:WeakMap<Part,{c:number,r:number}> = new WeakMap();
-
-  // see if any bits or gearbits have changed their rotation states from 
-  //  interaction with balls, and notify if so
-  protected _checkBitRotations():void {
-    let changed:boolean = false;
-    for (const row of this._grid) {
-      for (const part of row) {
-        if (! part) continue;
-        if ((part.type !== PartType.BIT) && 
-            (part.type !== PartType.GEARBIT)) continue;
-        if (this._bitState.get(part) !== part.bitValue) {
-          changed = true;
-          this._bitState.set(part, part.bitValue);
-        }
-      }
-    }
-    if (changed) this.onChange();
+  // CHALLENGE ****************************************************************
+
+  // the challenge being attempted on the board, if any
+  public get challenge():Challenge { return(this._challenge); }
+  public set challenge(v:Challenge) {
+    if (v === this._challenge) return;
+    // locking parts could free parts from the puzzle or the supply
+    if ((v) && (this.tool === ToolType.LOCK)) this.tool = ToolType.HAND;
+    this._challenge = v;
+    this._challengeResult = null;
+    // limit parts to the challenge's supply
+    this.inventory = v ? v.makeInventory() : null;
+    this.onChallengeChange();
+  }
+  private _challenge:Challenge = null;
+
+  // the result of checking the last run against the challenge, or null if
+  //  there hasn't been a run since the challenge started or balls were reset
+  public get challengeResult():ChallengeResult { return(this._challengeResult); }
+  private _challengeResult:ChallengeResult = null;
+
+  // called when the challenge or its result changes
+  public onChallengeChange():void { }
+
+  // set up the board for the given challenge, returning whether its board
+  //  could be read
+  public startChallenge(challenge:Challenge):boolean {
+    if (! challenge.load(this)) return(false);
+    this.challenge = challenge;
+    return(true);
+  }
+
+  // the puzzle's parts are the locked ones, so locking and unlocking parts
+  //  isn't allowed during a challenge
+  public setPartLocked(column:number, row:number, locked:boolean):void {
+    if (this.challenge) return;
+    super.setPartLocked(column, row, locked);
+  }
+
+  // check the challenge when a run ends
+  protected _checkChallenge():void {
+    if (! this.challenge) return;
+    this._challengeResult = this.challenge.check(this);
+    this.onChallengeChange();
+  }
+
+  // forget the result of the last run when balls are reset
+  public returnBalls():void {
+    super.returnBalls();
+    this._clearChallengeResult();
+  }
+  public clearBalls():void {
+    super.clearBalls();
+    this._clearChallengeResult();
+  }
+  protected _clearChallengeResult():void {
+    if (! this._challengeResult) return;
+    this._challengeResult = null;
+    this.onChallengeChange();
   }
-  private _bitState:WeakMap<Part,boolean> = new WeakMap();
 
   // INTERACTION **************************************************************
 
@@ -1342,12 +1255,18 @@ export class Board {
   }
 
   private _onDragStart(x:number, y:number):void {
+    // group all changes made during a drag into a single undo step
+    this.history.beginGroup();
     this._panStartColumn = this.centerColumn;
     this._panStartRow = this.centerRow;
     if ((this._action === ActionType.FLIP_PART) && 
         (this.canDragPart(this._actionColumn, this._actionRow))) {
       this._action = ActionType.DRAG_PART;
     }
+    if (this._action === ActionType.TOGGLE_LOCK) {
+      const part = this.getPart(this._actionColumn, this._actionRow);
+      this._dragLockState = part ? ! part.isLocked : true;
+    }
     if ((this._action === ActionType.DRAG_PART) && (this._actionPart)) {
       this.partPrototype = this._actionPart;
       this._action = ActionType.DRAG_PART;
@@ -1356,7 +1275,7 @@ export class Board {
       this.view.cursor = 'grabbing';
     }
     if ((this._action === ActionType.DROP_BALL) && 
-        (this._actionPart instanceof Drop)) {
+        (this._actionPart instanceof Drop) && (! this.isReadOnly)) {
       this._colorWheel.x = this._actionPart.x;
       this._colorWheel.y = this._actionPart.y;
       this._colorWheel.hue = this._actionPart.hue;
@@ -1368,6 +1287,9 @@ export class Board {
       this._action = ActionType.COLOR_WHEEL;
       this.view.cursor = 'grabbing';
     }
+    if (this._action === ActionType.MOVE_SELECTION) {
+      this._selectionMoveColumns = this._selectionMoveRows = 0;
+    }
     if (this.view.cursor === 'grab') this.view.cursor = 'grabbing';
   }
   private _panStartColumn:number;
@@ -1413,6 +1335,10 @@ export class Board {
         this._dragFlippedParts.add(part);
       }
     }
+    else if (this._action === ActionType.TOGGLE_LOCK) {
+      // apply the same change to every part dragged across
+      this.setPartLocked(column, row, this._dragLockState);
+    }
     else if (this._action === ActionType.DRAG_PART) {
       this._actionX += currentX - lastX;
       this._actionY += currentY - lastY;
@@ -1455,8 +1381,32 @@ export class Board {
       this._actionResizeDelta = delta;
       this._updateResizeOverlay(true, this._actionSide, delta);
     }
+    else if (this._action === ActionType.SELECT) {
+      this.selection = GridRect.fromCorners(
+        this._actionColumn, this._actionRow, column, row);
+    }
+    else if (this._action === ActionType.MOVE_SELECTION) {
+      let dc = Math.round(deltaColumn);
+      let dr = Math.round(deltaRow);
+      // parts can only move diagonally without changing the type of location
+      //  they're on, so snap to the nearest offset that allows that
+      if ((dc + dr) % 2 !== 0) {
+        if (Math.abs(deltaColumn - dc) > Math.abs(deltaRow - dr)) {
+          dc += deltaColumn > dc ? 1 : -1;
+        }
+        else {
+          dr += deltaRow > dr ? 1 : -1;
+        }
+      }
+      this._selectionMoveColumns = dc;
+      this._selectionMoveRows = dr;
+      this._updateSelectionOverlay(dc, dr);
+    }
   }
+  private _selectionMoveColumns:number = 0;
+  private _selectionMoveRows:number = 0;
   private _dragFlippedParts:Set<Part> = new Set();
+  private _dragLockState:boolean = true;
 
   private _onDragFinish():void {
     this._dragFlippedParts.clear();
@@ -1480,6 +1430,17 @@ export class Board {
       Animator.current.animate(this._colorWheel, 'size', 64, this.controlSize, 
         Delays.HIDE_CONTROL);
       this._hideControl(this._colorWheel);
+      if (this._actionPart instanceof Drop) {
+        const drop = this._actionPart;
+        const oldHue = this._actionHue;
+        const newHue = drop.hue;
+        if (newHue !== oldHue) {
+          this.history.record({
+            undo: () => { drop.hue = oldHue; this.onChange(); },
+            redo: () => { drop.hue = newHue; this.onChange(); }
+          });
+        }
+      }
     }
     if (this._action === ActionType.RESIZE_BOARD) {
       if (this._actionSide == ActionSide.LEFT)
@@ -1492,6 +1453,13 @@ export class Board {
         this.sizeBottom(this._actionResizeDelta, true);
       this._updateResizeOverlay(false, this._actionSide, 0);
     }
+    if (this._action === ActionType.MOVE_SELECTION) {
+      if (! this.moveSelection(this._selectionMoveColumns, 
+                               this._selectionMoveRows)) {
+        this._updateSelectionOverlay();
+      }
+    }
+    this.history.endGroup();
   }
 
   private _updateAction(e?:PIXI.interaction.InteractionEvent):void {
@@ -1530,6 +1498,35 @@ export class Board {
       this._action = ActionType.CLEAR_PART;
       cursor = 'pointer';
     }
+    else if ((this.tool == ToolType.SELECT) && (this.selection) &&
+             (this.selection.contains(column, row))) {
+      this._action = ActionType.MOVE_SELECTION;
+      cursor = 'move';
+    }
+    else if (this.tool == ToolType.SELECT) {
+      this._action = ActionType.SELECT;
+      cursor = 'crosshair';
+    }
+    else if ((this.tool == ToolType.LOCK) && (this._actionPart)) {
+      this._action = ActionType.TOGGLE_LOCK;
+      cursor = 'pointer';
+    }
+    else if ((this.tool == ToolType.BREAKPOINT) && (this._actionPart) &&
+             (! this.isBackgroundPart(column, row)) &&
+             (this._actionPart.type !== PartType.BLANK)) {
+      this._action = ActionType.TOGGLE_BREAKPOINT;
+      cursor = 'pointer';
+    }
+    else if ((this.tool == ToolType.TRUTH_TABLE) &&
+             (TruthTable.canHaveRole(this._actionPart))) {
+      this._action = ActionType.CYCLE_TRUTH_ROLE;
+      cursor = 'pointer';
+    }
+    else if ((this.tool == ToolType.REGISTER) &&
+             (RegisterSet.canHoldBit(this._actionPart))) {
+      this._action = ActionType.TOGGLE_REGISTER_BIT;
+      cursor = 'pointer';
+    }
     else if ((this.tool == ToolType.HAND) && 
              (this._actionPart instanceof Drop) &&
              (Math.abs(this._actionX - this._actionPart.x) <= this.controlSize / 2) &&
@@ -1544,6 +1541,11 @@ export class Board {
       this._action = ActionType.TURN_TURNSTILE;
       cursor = 'pointer';
     }
+    // leave only panning for the rest of a read-only board
+    else if (this.isReadOnly) {
+      this._action = ActionType.PAN;
+      this._actionPart = null;
+    }
     else if ((this.tool == ToolType.HAND) && 
              (ball = this.ballUnder(c, r))) {
       this._action = ActionType.DRAG_PART;
@@ -1692,10 +1694,13 @@ export class Board {
                                   this.rowForY(this._actionY));
       if (ball) {
         this.removeBall(ball);
+        this._recordBall(ball, false);
       }
       else {
-        this.addBall(this.partFactory.copy(this.partPrototype) as Ball, 
+        const newBall = this.partFactory.copy(this.partPrototype) as Ball;
+        this.addBall(newBall, 
           this.columnForX(this._actionX), this.rowForY(this._actionY));
+        this._recordBall(newBall, true);
       }
     }
     // clear parts
@@ -1713,6 +1718,39 @@ export class Board {
     else if (this._action === ActionType.FLIP_PART) {
       this.flipPart(this._actionColumn, this._actionRow);
     }
+    // lock and unlock parts
+    else if ((this._action === ActionType.TOGGLE_LOCK) && 
+             (this._actionPart)) {
+      this.setPartLocked(this._actionColumn, this._actionRow, 
+        ! this._actionPart.isLocked);
+    }
+    // add and remove breakpoints
+    else if ((this._action === ActionType.TOGGLE_BREAKPOINT) &&
+             (this._actionPart)) {
+      this.toggleBreakpoint(this._actionPart);
+    }
+    // mark bits as inputs and outputs of the truth table
+    else if ((this._action === ActionType.CYCLE_TRUTH_ROLE) &&
+             (this._actionPart)) {
+      this.truthTable.cycleRole(this._actionPart);
+    }
+    // pick bits for a new register in order
+    else if ((this._action === ActionType.TOGGLE_REGISTER_BIT) &&
+             (this._actionPart)) {
+      this.registers.togglePending(this._actionColumn, this._actionRow);
+    }
+    // pin and unpin the path of a ball
+    else if ((this._action === ActionType.DRAG_PART) &&
+             (this._actionPart instanceof Ball)) {
+      this.pinnedBall = (this._actionPart === this.pinnedBall) ? 
+        null : this._actionPart;
+    }
+    // select single parts
+    else if ((this._action === ActionType.SELECT) ||
+             (this._action === ActionType.MOVE_SELECTION)) {
+      const cell = new GridRect(this._actionColumn, this._actionRow, 1, 1);
+      this.selection = cell.clamp(this.columnCount, this.rowCount);
+    }
     // drop balls
     else if ((this._action === ActionType.DROP_BALL) &&
              (this._actionPart instanceof Drop)) {
@@ -1722,7 +1760,7 @@ export class Board {
     else if ((this._action === ActionType.TURN_TURNSTILE) &&
              (this._actionPart instanceof Turnstile)) {
       const ts = this._actionPart;
-      Animator.current.animate(ts, 'rotation', 0, 1, 
+      ts.animator.animate(ts, 'rotation', 0, 1, 
         Delays.TURN, () => { ts.rotation = 0.0 });
     }
   }
@@ -1,11 +1,11 @@
-import { Board } from 'board/board';
+import { BoardModel } from 'board/model';
 import { PartType } from 'parts/factory';
 import { Slope, Side } from 'parts/fence';
 import { Drop } from 'parts/drop';
 
 export class BoardBuilder {
 
-  public static initStandardBoard(board:Board,
+  public static initStandardBoard(board:BoardModel,
       redBlueDistance:number=5, verticalDrop:number=11):void {
     let r:number, c:number, run:number;
     const width:number = (redBlueDistance * 2) + 3;
@@ -17,6 +17,8 @@ export class BoardBuilder {
     const steps:number = Math.ceil(center / Slope.maxModulus);
     const maxModulus:number = Math.ceil(center / steps);
     const height:number = collectLevel + steps + 4;
+    // make the whole operation into one undo step
+    board.history.beginGroup();
     board.bulkUpdate = true;
     board.setSize(width, height, false);
     board.clear(true);
@@ -114,6 +116,7 @@ export class BoardBuilder {
     redTurnstile.isFlipped = true;
     board.setPart(redTurnstile, center + 1, turnstileLevel);
     board.bulkUpdate = false;
+    board.history.endGroup();
   }
 
 }
\ No newline at end of file
@@ -0,0 +1,220 @@
+import { BoardModel } from './model';
+import { JSONBoardFormat, BoardData } from './json';
+import { nameForHue } from './recorder';
+import { Inventory } from './inventory';
+import { PartType } from 'parts/factory';
+
+// the version of the format written by this code, which should be
+//  incremented whenever a change is made that older code can't read
+export const CHALLENGE_FORMAT_VERSION:number = 1;
+
+// the value a bit or gearbit should have at the end of a run
+export type BitGoal = { column:number, row:number, value:boolean };
+
+// what a board has to do to complete a challenge
+export type ChallengeGoal = {
+  // the colors of the balls that should reach the output, in order
+  output?:string[],
+  // the values chosen bits should have when all balls come to rest
+  bits?:BitGoal[]
+};
+
+// the outcome of checking a board against a challenge
+export type ChallengeResult = {
+  passed:boolean,
+  // descriptions of the ways the board failed to meet the goal
+  problems:string[]
+};
+
+// the JSON representation of a challenge
+type ChallengeData = {
+  format:string,
+  version:number,
+  title:string,
+  description:string,
+  // the number of each type of part that can be added to the board, keyed
+  //  by part name, or null if parts are unlimited
+  parts:{ [name:string]:number },
+  goal:ChallengeGoal,
+  board:BoardData
+};
+
+// a puzzle made of a board whose locked parts can't be changed, a supply of
+//  parts to add to it, and a goal to meet
+export class Challenge {
+
+  constructor(public readonly title:string,
+              public readonly description:string,
+              public readonly board:BoardData,
+              // the number of each type of part that can be added, or
+              //  null if parts are unlimited
+              public readonly inventory:Map<PartType,number>,
+              public readonly goal:ChallengeGoal) {
+
+  }
+
+  // make a challenge from a working solution, where the locked parts make
+  //  up the puzzle, the unlocked parts make up the inventory, and the
+  //  output of the last run (or the current bit values if there's no output)
+  //  is the goal
+  public static fromSolution(board:BoardModel, title:string='',
+                             description:string=''):Challenge {
+    const data = JSONBoardFormat.writeData(board);
+    data.parts = data.parts.filter((part) => part.locked);
+    // let drops be refilled with their balls
+    delete data.balls;
+    const goal:ChallengeGoal = { };
+    const output = board.recorder.output;
+    if (output.length > 0) {
+      goal.output = output.map((ball) => nameForHue(ball.hue));
+    }
+    else {
+      goal.bits = [ ];
+      for (let r:number = 0; r < board.rowCount; r++) {
+        for (let c:number = 0; c < board.columnCount; c++) {
+          const part = board.getPart(c, r);
+          if ((part) && ((part.type === PartType.BIT) ||
+                         (part.type === PartType.GEARBIT))) {
+            goal.bits.push({ column: c, row: r, value: part.bitValue });
+          }
+        }
+      }
+    }
+    return(new Challenge(title, description, data,
+      Inventory.countParts(board), goal));
+  }
+
+  // SERIALIZATION ************************************************************
+
+  public write():string {
+    let parts:{ [name:string]:number } = null;
+    if (this.inventory) {
+      parts = { };
+      this.inventory.forEach((count:number, type:PartType) => {
+        parts[JSONBoardFormat.nameForType(type)] = count;
+      });
+    }
+    const data:ChallengeData = {
+      format: 'ttsim-challenge',
+      version: CHALLENGE_FORMAT_VERSION,
+      title: this.title,
+      description: this.description,
+      parts: parts,
+      goal: this.goal,
+      board: this.board
+    };
+    return(JSON.stringify(data, null, 2)+'\n');
+  }
+
+  // read a challenge from JSON, returning null if it can't be read
+  public static read(json:string):Challenge {
+    let data:ChallengeData;
+    try {
+      data = JSON.parse(json);
+    }
+    catch (e) {
+      console.warn(e);
+      return(null);
+    }
+    if ((! data) || (data.format !== 'ttsim-challenge')) return(null);
+    if (! (data.version <= CHALLENGE_FORMAT_VERSION)) {
+      console.warn('Unsupported challenge format version: '+data.version);
+      return(null);
+    }
+    let inventory:Map<PartType,number> = null;
+    if (data.parts) {
+      inventory = new Map();
+      for (const name in data.parts) {
+        const type = JSONBoardFormat.typeForName(name);
+        if (! Inventory.isInventoryType(type)) {
+          console.warn('Unexpected part type in inventory: '+name);
+          continue;
+        }
+        inventory.set(type, Math.max(0, Math.floor(data.parts[name])));
+      }
+    }
+    return(new Challenge(String(data.title || ''),
+      String(data.description || ''), data.board, inventory,
+      data.goal || { }));
+  }
+
+  // whether the given text looks like a challenge rather than a board
+  public static isChallenge(json:string):boolean {
+    return(/"format"\s*:\s*"ttsim-challenge"/.test(json));
+  }
+
+  // set up the challenge's board, returning whether it could be read
+  public load(board:BoardModel):boolean {
+    return(JSONBoardFormat.readData(board, this.board));
+  }
+
+  // make an inventory that limits parts to the challenge's supply, or
+  //  return null if parts are unlimited
+  public makeInventory():Inventory {
+    if (! this.inventory) return(null);
+    // parts that aren't in the supply can't be used at all
+    const limits:Map<PartType,number> = new Map();
+    for (let type = PartType.TOOLBOX_MIN; type <= PartType.TOOLBOX_MAX; type++) {
+      if (! Inventory.isInventoryType(type)) continue;
+      limits.set(type, this.inventory.has(type) ? this.inventory.get(type) : 0);
+    }
+    return(new Inventory(limits));
+  }
+
+  // CHECKING *****************************************************************
+
+  // describe the goal in words
+  public describeGoal():string {
+    const goals:string[] = [ ];
+    if ((this.goal.output) && (this.goal.output.length > 0)) {
+      goals.push('Output: '+this.goal.output.join(', '));
+    }
+    if ((this.goal.bits) && (this.goal.bits.length > 0)) {
+      goals.push('Bits: '+this.goal.bits.map((bit) =>
+        bit.value ? '1' : '0').join(''));
+    }
+    return(goals.join('\n'));
+  }
+
+  // check whether the board meets the goal and uses only the allowed parts
+  public check(board:BoardModel):ChallengeResult {
+    const problems:string[] = [ ];
+    if (this.goal.output) {
+      const expected:string[] = this.goal.output.map((name:string) =>
+        String(name).toLowerCase());
+      const actual:string[] = board.recorder.output.map((ball) =>
+        nameForHue(ball.hue));
+      if (expected.join(', ') !== actual.join(', ')) {
+        problems.push('Expected output '+expected.join(', ')+
+          ' but got '+(actual.length > 0 ? actual.join(', ') : 'nothing'));
+      }
+    }
+    for (const bit of (this.goal.bits || [ ])) {
+      const part = board.getPart(bit.column, bit.row);
+      if ((! part) || ((part.type !== PartType.BIT) &&
+                       (part.type !== PartType.GEARBIT))) {
+        problems.push('Missing bit at column '+bit.column+', row '+bit.row);
+      }
+      else if (part.bitValue !== bit.value) {
+        problems.push('Bit at column '+bit.column+', row '+bit.row+
+          ' should be '+(bit.value ? '1' : '0'));
+      }
+    }
+    if (this.inventory) {
+      // only parts that were locked when the challenge started are part
+      //  of the puzzle
+      const counts = board.inventory ? board.inventory.countParts(board) :
+        Inventory.countParts(board);
+      counts.forEach((count:number, type:PartType) => {
+        const allowed:number = this.inventory.has(type) ?
+          this.inventory.get(type) : 0;
+        if (count > allowed) {
+          problems.push('Uses '+count+' '+JSONBoardFormat.nameForType(type)+
+            ' parts but only '+allowed+' are allowed');
+        }
+      });
+    }
+    return({ passed: problems.length == 0, problems: problems });
+  }
+
+}
\ No newline at end of file
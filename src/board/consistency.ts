@@ -0,0 +1,379 @@
+import { BoardModel } from './model';
+import { JSONBoardFormat } from './json';
+import { Simulation, BitState } from './simulation';
+import { nameForHue } from './recorder';
+import { Part } from 'parts/part';
+import { Ball } from 'parts/ball';
+import { PartType } from 'parts/factory';
+
+// a location on the part grid
+export type GridLocation = { column:number, row:number };
+
+// the parts one ball entered during a run, in order
+export type BallPath = {
+  // a name for the ball that's the same in every run of the board, which
+  //  is its color and the order it was released in among balls of that
+  //  color, like "blue ball 2"
+  name:string,
+  parts:GridLocation[]
+};
+
+// the outcome of running a board with one router
+export type RouterRun = {
+  // whether all balls came to rest before the step limit was reached
+  finished:boolean,
+  // the paths of all balls in the order they were released
+  paths:BallPath[],
+  // the state of all bits and gearbits in reading order
+  bits:BitState[]
+};
+
+// the first place where a ball went a different way in the two routers
+export type Divergence = {
+  // the name of the ball that went a different way
+  ball:string,
+  // the location of the part where the paths split
+  column:number,
+  row:number,
+  // where the ball went next in each router, or null if it stopped there
+  physical:GridLocation,
+  schematic:GridLocation
+};
+
+// the outcome of comparing runs of a board with both routers
+export type ConsistencyReport = {
+  consistent:boolean,
+  // the first ball to take a different path, or null if all balls took
+  //  the same paths
+  divergence:Divergence,
+  // descriptions of all the ways the runs differed
+  problems:string[],
+  physical:RouterRun,
+  schematic:RouterRun
+};
+
+// the most steps to run each router for before giving up on balls
+//  coming to rest
+const MAX_CHECK_STEPS:number = 100000;
+
+// runs the same board with the physical and schematic routers and compares
+//  the parts each ball passes through and the values of bits at the end,
+//  which finds boards that only work in one of the modes
+export class ConsistencyChecker {
+
+  // check the given board by returning all balls to their drops and
+  //  releasing one from the drop at the given index in reading order,
+  //  leaving the board itself unchanged
+  public static check(board:BoardModel, dropIndex:number=0,
+                      maxSteps:number=MAX_CHECK_STEPS):ConsistencyReport {
+    return(ConsistencyChecker.checkJSON(JSONBoardFormat.write(board),
+      dropIndex, maxSteps));
+  }
+
+  // check a board in the JSON format, returning null if it can't be read
+  public static checkJSON(json:string, dropIndex:number=0,
+                          maxSteps:number=MAX_CHECK_STEPS):ConsistencyReport {
+    const physical = ConsistencyChecker.run(json, false, dropIndex, maxSteps);
+    const schematic = ConsistencyChecker.run(json, true, dropIndex, maxSteps);
+    if ((! physical) || (! schematic)) return(null);
+    return(ConsistencyChecker.compare(physical, schematic, maxSteps));
+  }
+
+  // run a board in the JSON format with one of the routers, returning null
+  //  if it can't be read
+  public static run(json:string, schematic:boolean, dropIndex:number=0,
+                    maxSteps:number=MAX_CHECK_STEPS):RouterRun {
+    const runner = new RouterRunner(json, schematic, dropIndex, maxSteps);
+    if (! runner.sim) return(null);
+    while (! runner.result) runner.update(maxSteps);
+    return(runner.result);
+  }
+
+  // compare runs of the same board with the physical and schematic routers
+  public static compare(physical:RouterRun, schematic:RouterRun,
+                        maxSteps:number=MAX_CHECK_STEPS):ConsistencyReport {
+    const problems:string[] = [ ];
+    let divergence:Divergence = null;
+    if (! physical.finished) {
+      problems.push('Balls didn\'t come to rest in physical mode within '+
+        maxSteps+' steps');
+    }
+    if (! schematic.finished) {
+      problems.push('Balls didn\'t come to rest in schematic mode within '+
+        maxSteps+' steps');
+    }
+    // compare paths in the order balls were released, since a ball that
+    //  goes a different way usually changes the paths of the balls after it
+    const physicalPaths:Map<string,BallPath> = new Map();
+    for (const path of physical.paths) physicalPaths.set(path.name, path);
+    const names:string[] = schematic.paths.map((path) => path.name);
+    for (const path of physical.paths) {
+      if (names.indexOf(path.name) < 0) names.push(path.name);
+    }
+    const schematicPaths:Map<string,BallPath> = new Map();
+    for (const path of schematic.paths) schematicPaths.set(path.name, path);
+    for (const name of names) {
+      const p = physicalPaths.has(name) ? physicalPaths.get(name).parts : [ ];
+      const s = schematicPaths.has(name) ? schematicPaths.get(name).parts : [ ];
+      const i = ConsistencyChecker._splitIndex(p, s);
+      if (i < 0) continue;
+      // a ball that differs from the start is described by the first part
+      //  it entered in either router
+      const at = i > 0 ? p[i - 1] : (i < p.length ? p[i] : s[i]);
+      const d:Divergence = { ball: name, column: at.column, row: at.row,
+        physical: i < p.length ? p[i] : null,
+        schematic: i < s.length ? s[i] : null };
+      problems.push(ConsistencyChecker.describeDivergence(d, i == 0));
+      if (! divergence) divergence = d;
+    }
+    // compare the final values of bits
+    for (const bit of physical.bits) {
+      for (const other of schematic.bits) {
+        if ((other.column !== bit.column) || (other.row !== bit.row)) continue;
+        if (other.value !== bit.value) {
+          problems.push('Bit at '+ConsistencyChecker._describeLocation(bit)+
+            ' ends up '+(bit.value ? '1' : '0')+' in physical mode but '+
+            (other.value ? '1' : '0')+' in schematic mode');
+        }
+      }
+    }
+    return({ consistent: problems.length == 0, divergence: divergence,
+      problems: problems, physical: physical, schematic: schematic });
+  }
+
+  // record the parts each ball enters on the given board, naming balls as
+  //  they're released
+  public static trackPaths(board:BoardModel):Map<Ball,BallPath> {
+    const paths:Map<Ball,BallPath> = new Map();
+    const colorCounts:Map<string,number> = new Map();
+    // name balls when they're released, since the routers can move balls
+    //  into their first parts in a different order
+    board.events.on('ballReleased', (e) => {
+      if (paths.has(e.ball)) return;
+      const color = nameForHue(e.ball.hue);
+      const n = (colorCounts.has(color) ? colorCounts.get(color) : 0) + 1;
+      colorCounts.set(color, n);
+      paths.set(e.ball, { name: color+' ball '+n, parts: [ ] });
+    });
+    board.events.on('ballEnteredPart', (e) => {
+      const path = paths.get(e.ball);
+      if ((! path) || (! ConsistencyChecker._isRouting(e.part))) return;
+      const location = ConsistencyChecker._visitLocation(board, e.part);
+      // balls can bounce back and forth between parts in physical mode,
+      //  but passing from a part into empty space and back isn't a new visit
+      const last = path.parts.length > 0 ? 
+        path.parts[path.parts.length - 1] : null;
+      if ((last) && (last.column === location.column) && 
+          (last.row === location.row)) return;
+      path.parts.push(location);
+    });
+    return(paths);
+  }
+
+  // describe where a ball's paths split in words
+  public static describeDivergence(d:Divergence,
+                                   fromStart:boolean=false):string {
+    const describe = (location:GridLocation) => location ?
+      'went to '+ConsistencyChecker._describeLocation(location) : 'stopped';
+    if (fromStart) {
+      const describeFirst = (location:GridLocation) => location ?
+        'first entered '+ConsistencyChecker._describeLocation(location) :
+        'didn\'t reach any parts';
+      return('The '+d.ball+' '+describeFirst(d.physical)+
+        ' in physical mode but '+describeFirst(d.schematic)+
+        ' in schematic mode');
+    }
+    return('After the part at '+ConsistencyChecker._describeLocation(d)+
+      ', the '+d.ball+' '+describe(d.physical)+' in physical mode but '+
+      describe(d.schematic)+' in schematic mode');
+  }
+
+  // whether the part can change the path of a ball, which leaves out
+  //  gears that balls roll past, sides they roll along, and drops they
+  //  move around in while waiting their turn
+  private static _isRouting(part:Part):boolean {
+    switch (part.type) {
+      case PartType.RAMP:        // fall-through
+      case PartType.CROSSOVER:   // fall-through
+      case PartType.INTERCEPTOR: // fall-through
+      case PartType.BIT:         // fall-through
+      case PartType.GEARBIT:     // fall-through
+      case PartType.SLOPE:       // fall-through
+      case PartType.TURNSTILE: return(true);
+      default: return(false);
+    }
+  }
+
+  // get the location that stands for a visit to a part, which for slopes
+  //  is the first part in reading order of the run of slopes and sides
+  //  connected to it, since balls roll along a run and touch different
+  //  parts of it in each router
+  private static _visitLocation(board:BoardModel, part:Part):GridLocation {
+    let first:GridLocation = { column: part.column, row: part.row };
+    if (! ConsistencyChecker._isFence(part)) return(first);
+    const seen:Set<Part> = new Set([ part ]);
+    const queue:Part[] = [ part ];
+    while (queue.length > 0) {
+      const p = queue.shift();
+      if ((p.row < first.row) || 
+          ((p.row === first.row) && (p.column < first.column))) {
+        first = { column: p.column, row: p.row };
+      }
+      const neighbors:Part[] = [
+        board.getPart(p.column - 1, p.row), board.getPart(p.column + 1, p.row),
+        board.getPart(p.column, p.row - 1), board.getPart(p.column, p.row + 1)
+      ];
+      for (const next of neighbors) {
+        if ((! next) || (seen.has(next)) || 
+            (! ConsistencyChecker._areConnected(p, next))) continue;
+        seen.add(next);
+        queue.push(next);
+      }
+    }
+    return(first);
+  }
+
+  private static _isFence(part:Part):boolean {
+    return((part.type === PartType.SLOPE) || (part.type === PartType.SIDE));
+  }
+
+  // whether balls can roll from one neighboring fence part to the other
+  //  without being routed, which leaves out slopes that meet at a peak
+  private static _areConnected(a:Part, b:Part):boolean {
+    if ((! ConsistencyChecker._isFence(a)) || 
+        (! ConsistencyChecker._isFence(b))) return(false);
+    if (a.row === b.row) {
+      if ((a.type === PartType.SLOPE) && (b.type === PartType.SLOPE)) {
+        return(a.isFlipped === b.isFlipped);
+      }
+      return(true);
+    }
+    return((a.type === PartType.SIDE) && (b.type === PartType.SIDE));
+  }
+
+  // get the index of the first place two paths differ, or -1 if they're
+  //  the same
+  private static _splitIndex(a:GridLocation[], b:GridLocation[]):number {
+    const n = Math.max(a.length, b.length);
+    for (let i:number = 0; i < n; i++) {
+      if ((i >= a.length) || (i >= b.length) ||
+          (a[i].column !== b[i].column) || (a[i].row !== b[i].row)) return(i);
+    }
+    return(-1);
+  }
+
+  private static _describeLocation(location:GridLocation):string {
+    return('column '+location.column+', row '+location.row);
+  }
+
+}
+
+// a check of a board that's done a few steps at a time, so the display
+//  can keep updating while it runs
+export class ConsistencyCheck {
+
+  // check the board as it is now, so it can be changed while the check runs
+  constructor(board:BoardModel, public readonly dropIndex:number=0,
+              public readonly maxSteps:number=MAX_CHECK_STEPS) {
+    this._json = JSONBoardFormat.write(board);
+    this._runner = new RouterRunner(this._json, false, dropIndex, maxSteps);
+  }
+  private _json:string;
+  private _runner:RouterRunner;
+  private _physical:RouterRun = null;
+
+  // whether both routers have been run and compared
+  public get isFinished():boolean { return(this._isFinished); }
+  private _isFinished:boolean = false;
+
+  // the result of the check, which is null until it's finished or if the
+  //  board couldn't be read
+  public get report():ConsistencyReport { return(this._report); }
+  private _report:ConsistencyReport = null;
+
+  // a description of how far along the check is
+  public get progress():string {
+    if (this.isFinished) return('Done');
+    return('Running the board in '+
+      (this._runner.schematic ? 'schematic' : 'physical')+' mode ('+
+      (this._runner.sim ? this._runner.sim.stepCount : 0)+' steps)');
+  }
+
+  // run the given number of steps of the check, or as many as fit in
+  //  a frame of the display if no number is given
+  public update(steps?:number):void {
+    let stepsLeft:number = steps;
+    while (! this._isFinished) {
+      const runner = this._runner;
+      if (! runner.sim) {
+        this._isFinished = true;
+        return;
+      }
+      if (runner.result) {
+        if (! this._physical) {
+          this._physical = runner.result;
+          this._runner = new RouterRunner(this._json, true, this.dropIndex,
+            this.maxSteps);
+          continue;
+        }
+        this._report = ConsistencyChecker.compare(this._physical,
+          runner.result, this.maxSteps);
+        this._isFinished = true;
+        return;
+      }
+      if (stepsLeft === undefined) stepsLeft = runner.sim.stepsPerUpdate;
+      if (! (stepsLeft > 0)) return;
+      const stepCount = runner.sim.stepCount;
+      runner.update(stepsLeft);
+      stepsLeft -= runner.sim.stepCount - stepCount;
+    }
+  }
+
+}
+
+// runs a copy of a board with one router a few steps at a time
+class RouterRunner {
+
+  constructor(json:string, public readonly schematic:boolean,
+              dropIndex:number, public readonly maxSteps:number) {
+    const sim = new Simulation();
+    if (! sim.loadJSON(json)) return;
+    sim.logic = false;
+    sim.schematic = schematic;
+    sim.board.returnBalls();
+    // balls put back in drops fall into place differently in each router,
+    //  so they need to stop before one is released
+    sim.startSettling();
+    this._paths = ConsistencyChecker.trackPaths(sim.board);
+    this._dropIndex = dropIndex;
+    this.sim = sim;
+  }
+  private _paths:Map<Ball,BallPath>;
+  private _dropIndex:number;
+  private _isSettling:boolean = true;
+
+  // the simulation being run, or null if the board couldn't be read
+  public readonly sim:Simulation = null;
+
+  // the outcome of the run, or null if it isn't finished
+  public result:RouterRun = null;
+
+  // run up to the given number of steps
+  public update(steps:number):void {
+    const sim = this.sim;
+    if ((! sim) || (this.result)) return;
+    if (this._isSettling) {
+      if (sim.continueSettling(steps) === null) return;
+      this._isSettling = false;
+      const drops = sim.drops;
+      if (this._dropIndex < drops.length) sim.release(drops[this._dropIndex]);
+      sim.startRun(this.maxSteps);
+      return;
+    }
+    const result = sim.continueRun(steps);
+    if (! result) return;
+    this.result = { finished: result.finished,
+      paths: Array.from(this._paths.values()), bits: result.bits };
+  }
+
+}
\ No newline at end of file
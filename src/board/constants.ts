@@ -1,6 +1,8 @@
 // the canonical part size the simulator runs at
 export const PART_SIZE:number = 64;
 export const SPACING:number = 68;
+// the ratio of the spacing between part centers to the part size
+export const SPACING_FACTOR:number = 1.0625;
 // the size of a ball in simulator units
 export const BALL_RADIUS = 10;
 
@@ -0,0 +1,36 @@
+import { Part } from 'parts/part';
+import { Ball } from 'parts/ball';
+import { Drop } from 'parts/drop';
+
+// details of an event that happens to a part at a grid location
+export type PartEvent = { part:Part, column:number, row:number };
+
+// the events a board emits, mapped to the details passed to listeners
+export type BoardEventMap = {
+  // a part other than an empty location was put on the board
+  partPlaced:PartEvent,
+  // a part other than an empty location was taken off the board
+  partRemoved:PartEvent,
+  // a part was flipped by the user
+  partFlipped:PartEvent,
+  // a bit or gearbit changed value, whether from a ball, a connected gear,
+  //  or the user
+  bitChanged:{ part:Part, value:boolean },
+  // a ball was added to or removed from the board
+  ballCreated:{ ball:Ball },
+  ballRemoved:{ ball:Ball },
+  // a drop let go of a ball
+  ballReleased:{ ball:Ball, drop:Drop },
+  // a ball moved into a part that can affect it
+  ballEnteredPart:{ ball:Ball, part:Part },
+  // balls stopped moving after a ball was released, which is usually the
+  //  end of a run
+  ballsAtRest:{ },
+  // a breakpoint paused the simulation, where the part is null if it was
+  //  paused because balls came to rest
+  breakpointHit:{ part:Part },
+  // something that's saved with the board changed
+  boardChanged:{ },
+  // something that's saved with the user interface state changed
+  uiChanged:{ }
+};
\ No newline at end of file
@@ -0,0 +1,120 @@
+// an undoable change to the board
+export interface IBoardCommand {
+  // reverse the change
+  undo():void;
+  // apply the change again after it's been undone
+  redo():void;
+}
+
+// the maximum number of steps to keep in the history
+export const HISTORY_LIMIT:number = 256;
+
+// a sequence of commands that are undone and redone as a unit
+class CommandGroup implements IBoardCommand {
+
+  public readonly commands:IBoardCommand[] = [ ];
+
+  public undo():void {
+    for (let i:number = this.commands.length - 1; i >= 0; i--) {
+      this.commands[i].undo();
+    }
+  }
+
+  public redo():void {
+    for (const command of this.commands) {
+      command.redo();
+    }
+  }
+
+}
+
+// a stack of commands that can be undone and redone
+export class BoardHistory {
+
+  // a callback that's called whenever the undo or redo stacks change
+  public onChange:() => void;
+
+  public get canUndo():boolean { return(this._undoStack.length > 0); }
+  public get canRedo():boolean { return(this._redoStack.length > 0); }
+
+  // whether a command is currently being undone or redone, during which
+  //  time no new commands will be recorded
+  public get isReplaying():boolean { return(this._replaying); }
+  private _replaying:boolean = false;
+
+  // add a command that has just been executed to the history
+  public record(command:IBoardCommand):void {
+    if ((this._replaying) || (! command)) return;
+    if (this._group) {
+      this._group.commands.push(command);
+      return;
+    }
+    this._push(command);
+  }
+
+  // start collecting commands into a single step, which can be nested
+  public beginGroup():void {
+    if (this._replaying) return;
+    if (this._groupDepth++ == 0) this._group = new CommandGroup();
+  }
+  // finish collecting commands into a single step
+  public endGroup():void {
+    if ((this._replaying) || (! (this._groupDepth > 0))) return;
+    if (--this._groupDepth > 0) return;
+    const group = this._group;
+    this._group = null;
+    if (group.commands.length == 1) this._push(group.commands[0]);
+    else if (group.commands.length > 1) this._push(group);
+  }
+  private _group:CommandGroup = null;
+  private _groupDepth:number = 0;
+
+  // undo the most recent step
+  public undo():void {
+    if ((this._replaying) || (! this.canUndo)) return;
+    const command = this._undoStack.pop();
+    this._replay(() => command.undo());
+    this._redoStack.push(command);
+    this._changed();
+  }
+
+  // redo the most recently undone step
+  public redo():void {
+    if ((this._replaying) || (! this.canRedo)) return;
+    const command = this._redoStack.pop();
+    this._replay(() => command.redo());
+    this._undoStack.push(command);
+    this._changed();
+  }
+
+  // forget all recorded steps
+  public clear():void {
+    this._undoStack.splice(0, this._undoStack.length);
+    this._redoStack.splice(0, this._redoStack.length);
+    this._changed();
+  }
+
+  protected _push(command:IBoardCommand):void {
+    this._undoStack.push(command);
+    if (this._undoStack.length > HISTORY_LIMIT) {
+      this._undoStack.splice(0, this._undoStack.length - HISTORY_LIMIT);
+    }
+    // a new step invalidates anything that was undone
+    this._redoStack.splice(0, this._redoStack.length);
+    this._changed();
+  }
+
+  protected _replay(f:() => void):void {
+    this._replaying = true;
+    try { f(); }
+    finally { this._replaying = false; }
+  }
+
+  protected _changed():void {
+    if (this.onChange) this.onChange();
+  }
+
+  private _undoStack:IBoardCommand[] = [ ];
+  private _redoStack:IBoardCommand[] = [ ];
+
+}
\ No newline at end of file
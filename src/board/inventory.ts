@@ -0,0 +1,91 @@
+import { BoardModel } from './model';
+import { PartType } from 'parts/factory';
+import { Part } from 'parts/part';
+
+// the loose parts that come in the retail Turing Tumble box, which are the
+//  only ones limited by the standard inventory since the rest are built
+//  into the board
+const STANDARD_KIT:[ PartType, number ][] = [
+  [ PartType.RAMP, 30 ],
+  [ PartType.CROSSOVER, 6 ],
+  [ PartType.INTERCEPTOR, 3 ],
+  [ PartType.BIT, 8 ],
+  [ PartType.GEARBIT, 10 ],
+  [ PartType.GEAR, 6 ]
+];
+
+// a limited supply of parts that can be added to the board
+export class Inventory {
+
+  constructor(limits:Map<PartType,number>) {
+    limits.forEach((count:number, type:PartType) => {
+      this._limits.set(type, count);
+    });
+  }
+  private _limits:Map<PartType,number> = new Map();
+
+  // make an inventory with the parts in the retail box
+  public static standard():Inventory {
+    return(new Inventory(new Map(STANDARD_KIT)));
+  }
+
+  // whether a part of the given type uses up the supply when it's placed
+  //  on the board
+  public static isInventoryType(type:PartType):boolean {
+    return((type >= PartType.TOOLBOX_MIN) && (type <= PartType.TOOLBOX_MAX) &&
+           (type !== PartType.BALL));
+  }
+
+  // count the parts on the board that use up the supply, leaving out the
+  //  ones the given function says are part of the board, which by default
+  //  are the ones locked in place
+  public static countParts(board:BoardModel,
+      isFixed:(part:Part) => boolean=(part) => part.isLocked):
+      Map<PartType,number> {
+    const counts:Map<PartType,number> = new Map();
+    for (let r:number = 0; r < board.rowCount; r++) {
+      for (let c:number = 0; c < board.columnCount; c++) {
+        const part = board.getPart(c, r);
+        if ((! part) || (isFixed(part)) ||
+            (! Inventory.isInventoryType(part.type))) continue;
+        counts.set(part.type, (counts.has(part.type) ?
+          counts.get(part.type) : 0) + 1);
+      }
+    }
+    return(counts);
+  }
+
+  // treat the parts that are locked on the board as part of it, so they
+  //  don't use up the supply, while parts locked after this still do
+  public fixParts(board:BoardModel):void {
+    for (let r:number = 0; r < board.rowCount; r++) {
+      for (let c:number = 0; c < board.columnCount; c++) {
+        const part = board.getPart(c, r);
+        if ((part) && (part.isLocked)) this._fixedParts.add(part);
+      }
+    }
+  }
+  private _fixedParts:WeakSet<Part> = new WeakSet();
+
+  // count the parts on the board that use up the supply
+  public countParts(board:BoardModel):Map<PartType,number> {
+    return(Inventory.countParts(board,
+      (part) => this._fixedParts.has(part)));
+  }
+
+  // get the total number of parts of the given type, which is infinite
+  //  if the type isn't limited
+  public limit(type:PartType):number {
+    return(this._limits.has(type) ? this._limits.get(type) : Infinity);
+  }
+
+  // get the number of parts of the given type that haven't been placed
+  //  on the board yet
+  public remaining(board:BoardModel, type:PartType):number {
+    const limit = this.limit(type);
+    if (limit === Infinity) return(limit);
+    const used = this.countParts(board).get(type);
+    return(Math.max(0, limit - (used ? used : 0)));
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,336 @@
+import { BoardModel } from './model';
+import { Part } from 'parts/part';
+import { PartType } from 'parts/factory';
+import { Drop } from 'parts/drop';
+import { Ball } from 'parts/ball';
+import { Turnstile } from 'parts/turnstile';
+
+// the version of the format written by this code, which should be
+//  incremented whenever a change is made that older code can't read
+export const JSON_FORMAT_VERSION:number = 1;
+
+// the largest board that will be read, like for boards stored in the URL
+const MAX_JSON_BOARD_SIZE:number = 1024;
+
+// names for part types, which must never change once published
+const PART_NAMES:string[] = [ ];
+PART_NAMES[PartType.BLANK] = 'blank';
+PART_NAMES[PartType.PARTLOC] = 'partloc';
+PART_NAMES[PartType.GEARLOC] = 'gearloc';
+PART_NAMES[PartType.RAMP] = 'ramp';
+PART_NAMES[PartType.CROSSOVER] = 'crossover';
+PART_NAMES[PartType.INTERCEPTOR] = 'interceptor';
+PART_NAMES[PartType.BIT] = 'bit';
+PART_NAMES[PartType.GEARBIT] = 'gearbit';
+PART_NAMES[PartType.GEAR] = 'gear';
+PART_NAMES[PartType.BALL] = 'ball';
+PART_NAMES[PartType.DROP] = 'drop';
+PART_NAMES[PartType.TURNSTILE] = 'turnstile';
+PART_NAMES[PartType.SIDE] = 'side';
+PART_NAMES[PartType.SLOPE] = 'slope';
+
+// a reference to a grid location
+export type GridLocation = { column:number, row:number };
+
+// the JSON representation of a part
+type PartData = {
+  type:string,
+  column:number,
+  row:number,
+  flipped?:boolean,
+  rotation?:number,
+  locked?:boolean,
+  // drop properties
+  hue?:number,
+  balls?:number,
+  // turnstile properties
+  drop?:GridLocation
+};
+
+// the JSON representation of a ball
+type BallData = {
+  column:number,
+  row:number,
+  released:boolean,
+  drop:GridLocation
+};
+
+// the JSON representation of a named group of bits
+type RegisterData = {
+  name:string,
+  // least significant bit first
+  bits:GridLocation[]
+};
+
+// the JSON representation of a board
+export type BoardData = {
+  format:string,
+  version:number,
+  columns:number,
+  rows:number,
+  parts:PartData[],
+  balls:BallData[],
+  // older readers ignore this, so it doesn't need a new version
+  registers?:RegisterData[]
+};
+
+// reads and writes boards as human-readable JSON, which unlike the PNG
+//  encoding preserves all part state and diffs well in version control
+export class JSONBoardFormat {
+
+  // get the name used for the given part type
+  public static nameForType(type:PartType):string {
+    return(PART_NAMES[type]);
+  }
+
+  // get the part type for the given name, or -1 if it's not recognized
+  public static typeForName(name:string):PartType {
+    return(PART_NAMES.indexOf(name));
+  }
+
+  // WRITING ******************************************************************
+
+  public static write(board:BoardModel):string {
+    return(JSONBoardFormat._stringify(JSONBoardFormat.writeData(board)));
+  }
+
+  // get the board's state as an object that can be converted to JSON
+  public static writeData(board:BoardModel):BoardData {
+    const data:BoardData = {
+      format: 'ttsim',
+      version: JSON_FORMAT_VERSION,
+      columns: board.columnCount,
+      rows: board.rowCount,
+      parts: [ ],
+      balls: [ ]
+    };
+    for (let r:number = 0; r < board.rowCount; r++) {
+      for (let c:number = 0; c < board.columnCount; c++) {
+        const part = board.getPart(c, r);
+        // background parts are implied, so we only need to write them
+        //  if they differ from the default
+        if ((! part) || ((board.isBackgroundPart(c, r)) &&
+            (part.type === board.makeBackgroundPart(c, r).type) &&
+            (! part.isLocked))) continue;
+        data.parts.push(JSONBoardFormat._writePart(part, c, r));
+      }
+    }
+    for (const ball of JSONBoardFormat._getSortedBalls(board)) {
+      data.balls.push({
+        column: JSONBoardFormat._round(ball.column),
+        row: JSONBoardFormat._round(ball.row),
+        released: ball.released,
+        drop: JSONBoardFormat._writeLocation(ball.drop)
+      });
+    }
+    const registers = board.registers.registers;
+    if (registers.length > 0) {
+      data.registers = registers.map((register) =>
+        ({ name: register.name, bits: register.bits.slice() }));
+    }
+    return(data);
+  }
+
+  protected static _writePart(part:Part, column:number, row:number):PartData {
+    const data:PartData = {
+      type: JSONBoardFormat.nameForType(part.type),
+      column: column,
+      row: row
+    };
+    if (part.canFlip) data.flipped = part.isFlipped;
+    if (part.canRotate) data.rotation = JSONBoardFormat._round(part.rotation);
+    if (part.isLocked) data.locked = true;
+    if (part instanceof Drop) {
+      data.hue = part.hue;
+      data.balls = part.balls.size;
+    }
+    if (part instanceof Turnstile) {
+      data.drop = JSONBoardFormat._writeLocation(part.drop);
+    }
+    return(data);
+  }
+
+  protected static _writeLocation(part:Part):GridLocation {
+    if (! part) return(null);
+    return({ column: part.column, row: part.row });
+  }
+
+  // sort balls from top to bottom and left to right so the output is stable
+  protected static _getSortedBalls(board:BoardModel):Ball[] {
+    const balls:Ball[] = Array.from(board.balls);
+    balls.sort((a, b) => {
+      if (a.row !== b.row) return(a.row - b.row);
+      return(a.column - b.column);
+    });
+    return(balls);
+  }
+
+  // limit the precision of fractional values to keep the output readable
+  protected static _round(n:number):number {
+    return(Math.round(n * 1000) / 1000);
+  }
+
+  // put each part and ball on its own line so that a change to one part
+  //  shows up as a change to one line in a diff
+  protected static _stringify(data:BoardData):string {
+    const lines:string[] = [ '{' ];
+    const keys:string[] = Object.keys(data);
+    keys.forEach((key:string, i:number) => {
+      const value = (data as any)[key];
+      const comma = (i < keys.length - 1) ? ',' : '';
+      if ((Array.isArray(value)) && (value.length > 0)) {
+        lines.push('  '+JSON.stringify(key)+': [');
+        value.forEach((item:any, j:number) => {
+          lines.push('    '+JSON.stringify(item)+
+            ((j < value.length - 1) ? ',' : ''));
+        });
+        lines.push('  ]'+comma);
+      }
+      else {
+        lines.push('  '+JSON.stringify(key)+': '+JSON.stringify(value)+comma);
+      }
+    });
+    lines.push('}');
+    return(lines.join('\n')+'\n');
+  }
+
+  // READING ******************************************************************
+
+  // replace the contents of the board with the given JSON, returning
+  //  whether it could be read
+  public static read(board:BoardModel, json:string):boolean {
+    let data:BoardData;
+    try {
+      data = JSON.parse(json);
+    }
+    catch (e) {
+      console.warn(e);
+      return(false);
+    }
+    return(JSONBoardFormat.readData(board, data));
+  }
+
+  // replace the contents of the board with the given object, returning
+  //  whether it could be read
+  public static readData(board:BoardModel, data:BoardData):boolean {
+    if ((! data) || (data.format !== 'ttsim')) {
+      console.warn('Unexpected board format: '+(data ? data.format : data));
+      return(false);
+    }
+    if (! ((Number.isInteger(data.version)) &&
+           (data.version >= 1) && (data.version <= JSON_FORMAT_VERSION))) {
+      console.warn('Unsupported board format version: '+data.version);
+      return(false);
+    }
+    if (! ((Number.isInteger(data.columns)) && (data.columns >= 0) &&
+           (data.columns <= MAX_JSON_BOARD_SIZE) &&
+           (Number.isInteger(data.rows)) && (data.rows >= 0) &&
+           (data.rows <= MAX_JSON_BOARD_SIZE))) {
+      console.warn('Invalid board size: '+data.columns+'x'+data.rows);
+      return(false);
+    }
+    if (! Array.isArray(data.parts)) {
+      console.warn('Board has no list of parts');
+      return(false);
+    }
+    // make the whole operation into one undo step
+    board.history.beginGroup();
+    board.bulkUpdate = true;
+    board.clearBalls();
+    board.setSize(data.columns, data.rows, false);
+    board.clear(true);
+    // place parts
+    const turnstileDrops:Map<Turnstile,GridLocation> = new Map();
+    const dropBallCounts:Map<Drop,number> = new Map();
+    for (const partData of data.parts) {
+      const part = JSONBoardFormat._readPart(board, partData);
+      if (! part) continue;
+      board.setPart(part, partData.column, partData.row);
+      if (part instanceof Turnstile) turnstileDrops.set(part, partData.drop);
+      if (part instanceof Drop) dropBallCounts.set(part, partData.balls);
+    }
+    board.bulkUpdate = false;
+    // restore explicit links between turnstiles and drops, keeping the ones
+    //  to drops other than the nearest so later edits don't undo them
+    turnstileDrops.forEach((location:GridLocation, turnstile:Turnstile) => {
+      const drop = JSONBoardFormat._readDrop(board, location);
+      if (! drop) return;
+      if (drop !== board.nearestDrop(turnstile.column, turnstile.row)) {
+        turnstile.linkedDrop = drop;
+      }
+      turnstile.drop = drop;
+    });
+    // add balls where they were, or fill drops if positions weren't given
+    if (Array.isArray(data.balls)) {
+      for (const ballData of data.balls) {
+        JSONBoardFormat._readBall(board, ballData);
+      }
+    }
+    else {
+      dropBallCounts.forEach((count:number, drop:Drop) => {
+        if (count > 0) board.setDropBallCount(drop, Math.floor(count));
+      });
+    }
+    board.registers.clear();
+    board.registers.clearPending();
+    if (Array.isArray(data.registers)) {
+      for (const registerData of data.registers) {
+        if ((! registerData) || (typeof registerData.name !== 'string') ||
+            (! Array.isArray(registerData.bits))) continue;
+        board.registers.define(registerData.name, registerData.bits.filter(
+          (bit) => (bit) && (typeof bit.column === 'number') &&
+                   (typeof bit.row === 'number')));
+      }
+    }
+    // locked parts on a board that's loaded don't use up the supply
+    if (board.inventory) board.inventory.fixParts(board);
+    board.history.endGroup();
+    return(true);
+  }
+
+  protected static _readPart(board:BoardModel, data:PartData):Part {
+    if (! data) return(null);
+    const type = JSONBoardFormat.typeForName(data.type);
+    if ((! (type >= 0)) || (type === PartType.BALL)) {
+      console.warn('Unexpected part type: '+data.type);
+      return(null);
+    }
+    if (! ((Number.isInteger(data.column)) && (Number.isInteger(data.row)) &&
+           (data.column >= 0) && (data.column < board.columnCount) &&
+           (data.row >= 0) && (data.row < board.rowCount))) {
+      console.warn('Part is outside the board: '+data.column+','+data.row);
+      return(null);
+    }
+    const part = board.partFactory.make(type);
+    if (data.flipped) part.isFlipped = true;
+    if (typeof data.rotation === 'number') part.rotation = data.rotation;
+    if (data.locked) part.isLocked = true;
+    if ((part instanceof Drop) && (typeof data.hue === 'number')) {
+      part.hue = data.hue;
+    }
+    return(part);
+  }
+
+  protected static _readDrop(board:BoardModel, location:GridLocation):Drop {
+    if (! location) return(null);
+    const part = board.getPart(location.column, location.row);
+    return((part instanceof Drop) ? part : null);
+  }
+
+  protected static _readBall(board:BoardModel, data:BallData):void {
+    if ((! data) || (typeof data.column !== 'number') ||
+        (typeof data.row !== 'number')) return;
+    const ball = board.partFactory.make(PartType.BALL) as Ball;
+    // assign the ball to its drop before adding it, otherwise the board
+    //  will pick a drop based on its position
+    const drop = JSONBoardFormat._readDrop(board, data.drop);
+    if (drop) {
+      ball.drop = drop;
+      drop.balls.add(ball);
+      ball.hue = drop.hue;
+    }
+    board.addBall(ball, data.column, data.row);
+    ball.released = !! data.released;
+  }
+
+}
\ No newline at end of file
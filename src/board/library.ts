@@ -0,0 +1,147 @@
+// a board saved in the library
+export type LibraryEntry = {
+  // the name the board was saved under, which is unique in the library
+  name:string,
+  // the board in the JSON format
+  json:string,
+  // a small picture of the board as a data URL
+  thumbnail:string,
+  // when the board was last saved, in milliseconds since the epoch
+  modified:number
+};
+
+// where the library is kept in the browser's database
+const DATABASE_NAME:string = 'ttsim';
+const DATABASE_VERSION:number = 1;
+const STORE_NAME:string = 'boards';
+
+// stores named boards in the browser's IndexedDB database, so designs can
+//  be kept without keeping track of long URLs or files
+export class BoardLibrary {
+
+  // get all boards whose names contain the given text, ignoring case,
+  //  sorted by name
+  public list(query:string=''):Promise<LibraryEntry[]> {
+    const q = query.trim().toLowerCase();
+    return(this._transaction('readonly', (store, resolve) => {
+      const entries:LibraryEntry[] = [ ];
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor:IDBCursorWithValue = request.result;
+        if (cursor) {
+          const entry = cursor.value as LibraryEntry;
+          if (entry.name.toLowerCase().indexOf(q) >= 0) entries.push(entry);
+          cursor.continue();
+        }
+        else {
+          entries.sort((a, b) => a.name.localeCompare(b.name));
+          resolve(entries);
+        }
+      };
+    }));
+  }
+
+  // get the board with the given name, or null if there isn't one
+  public get(name:string):Promise<LibraryEntry> {
+    return(this._transaction('readonly', (store, resolve) => {
+      const request = store.get(name);
+      request.onsuccess = () => resolve(request.result ? request.result : null);
+    }));
+  }
+
+  // save a board, replacing any board with the same name
+  public save(entry:LibraryEntry):Promise<void> {
+    return(this._transaction('readwrite', (store, resolve) => {
+      store.put(entry).onsuccess = () => resolve(undefined);
+    }));
+  }
+
+  // remove the board with the given name
+  public remove(name:string):Promise<void> {
+    return(this._transaction('readwrite', (store, resolve) => {
+      store.delete(name).onsuccess = () => resolve(undefined);
+    }));
+  }
+
+  // give a board a new name, resolving to false if there's no board with
+  //  the old name or there's already one with the new name
+  public rename(oldName:string, newName:string):Promise<boolean> {
+    if (oldName === newName) return(Promise.resolve(true));
+    return(this._transaction('readwrite', (store, resolve) => {
+      const oldRequest = store.get(oldName);
+      const newRequest = store.get(newName);
+      newRequest.onsuccess = () => {
+        const entry:LibraryEntry = oldRequest.result;
+        if ((! entry) || (newRequest.result)) {
+          resolve(false);
+          return;
+        }
+        store.delete(oldName);
+        store.put({ name: newName, json: entry.json,
+          thumbnail: entry.thumbnail, modified: entry.modified });
+        resolve(true);
+      };
+    }));
+  }
+
+  // save a copy of a board under a name that isn't taken yet, resolving to
+  //  the new name, or null if there's no board with the given name
+  public duplicate(name:string):Promise<string> {
+    return(Promise.all([ this.get(name), this.list() ]).then(
+      ([ entry, entries ]) => {
+        if (! entry) return(null);
+        const copyName = BoardLibrary.uniqueName(name+' copy',
+          entries.map((e) => e.name));
+        return(this.save({ name: copyName, json: entry.json,
+          thumbnail: entry.thumbnail, modified: Date.now() }).then(
+            () => copyName));
+      }));
+  }
+
+  // get a name based on the given one that isn't in the list of names
+  public static uniqueName(name:string, names:string[]):string {
+    if (names.indexOf(name) < 0) return(name);
+    let i:number = 2;
+    while (names.indexOf(name+' '+i) >= 0) i++;
+    return(name+' '+i);
+  }
+
+  // run requests against the store in a transaction, rejecting if the
+  //  database can't be used or the transaction fails
+  protected _transaction<T>(mode:IDBTransactionMode,
+      f:(store:IDBObjectStore, resolve:(value:T) => void) => void):Promise<T> {
+    return(this._open().then((db:IDBDatabase) => new Promise<T>(
+      (resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        let result:T;
+        // wait for the transaction to finish so changes have been written
+        //  by the time the promise resolves
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+        f(transaction.objectStore(STORE_NAME), (value:T) => { result = value; });
+      })));
+  }
+
+  protected _open():Promise<IDBDatabase> {
+    if (! this._database) {
+      this._database = new Promise((resolve, reject) => {
+        if (! window.indexedDB) {
+          reject(new Error('This browser can\'t store boards'));
+          return;
+        }
+        const request = window.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'name' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // try again next time if the database couldn't be opened
+      this._database.catch(() => { this._database = null; });
+    }
+    return(this._database);
+  }
+  private _database:Promise<IDBDatabase> = null;
+
+}
\ No newline at end of file
@@ -0,0 +1,215 @@
+import { IBallRouter, RouterState } from './router';
+import { BoardModel } from './model';
+import { Part } from 'parts/part';
+import { PartType } from 'parts/factory';
+import { Ball } from 'parts/ball';
+import { Drop } from 'parts/drop';
+import { Turnstile } from 'parts/turnstile';
+import { GearBase } from 'parts/gearbit';
+
+// the number of updates between hops when hops are shown at normal speed
+const UPDATES_PER_HOP:number = 8;
+
+// a location on the part grid
+type Hop = { column:number, row:number };
+
+// moves balls from part to part in discrete hops using the logical rules of
+//  each part instead of simulating their motion, which is much faster and
+//  gives the same result for boards that work the way they're meant to
+export class LogicBallRouter implements IBallRouter {
+
+  constructor(public readonly board:BoardModel) {
+    this.balls = this.board.balls;
+  }
+  public balls:Set<Ball>;
+
+  public onBoardSizeChanged() { }
+
+  // make one hop after a number of updates that depends on the speed,
+  //  which is only used when hops are being shown
+  public update(speed:number, correction:number):void {
+    this._updates += speed * correction;
+    if (this._updates < UPDATES_PER_HOP) return;
+    // never hop more than once per update so every hop gets displayed
+    this._updates %= UPDATES_PER_HOP;
+    this.step();
+  }
+  private _updates:number = 0;
+
+  // the number of balls that hopped during the last step, which is zero
+  //  when all balls have stopped
+  public get hopCount():number { return(this._hopCount); }
+  private _hopCount:number = 0;
+
+  // move every ball that can move by one hop
+  public step():void {
+    this._hopCount = 0;
+    // settle gear trains before reading the values of gearbits
+    GearBase.update(this.board.animator);
+    // count the balls at each location so balls don't hop into each other
+    this._occupied.clear();
+    for (const ball of this.balls) {
+      if (this._collected.has(ball)) continue;
+      this.occupy(Math.round(ball.column), Math.round(ball.row), 1);
+    }
+    for (const ball of this._collected) {
+      if (! this.balls.has(ball)) this._collected.delete(ball);
+    }
+    for (const ball of this.balls) {
+      if (this.isWaiting(ball)) continue;
+      const c = Math.round(ball.column);
+      const r = Math.round(ball.row);
+      const part = this.board.getPart(c, r);
+      const hop = this.nextHop(ball, part, c, r);
+      if (! hop) continue;
+      // balls that leave the grid are gone for good
+      if ((hop.row >= this.board.rowCount) || (hop.column < 0) ||
+          (hop.column >= this.board.columnCount)) {
+        this.occupy(c, r, -1);
+        this.board.removeBall(ball);
+        this._hopCount++;
+        continue;
+      }
+      const collected = this._collected.has(ball);
+      if ((! collected) && (this.isOccupied(hop.column, hop.row))) continue;
+      this.leavePart(ball, part);
+      if (! collected) {
+        this.occupy(c, r, -1);
+        this.occupy(hop.column, hop.row, 1);
+      }
+      this.board.layoutPart(ball, hop.column, hop.row);
+      this._hopCount++;
+    }
+    GearBase.update(this.board.animator);
+  }
+
+  // change the number of balls at the given location
+  protected occupy(c:number, r:number, delta:number):void {
+    const key = (r * this.board.columnCount) + c;
+    this._occupied.set(key, 
+      (this._occupied.has(key) ? this._occupied.get(key) : 0) + delta);
+  }
+  // whether there's a ball at the given location
+  protected isOccupied(c:number, r:number):boolean {
+    const key = (r * this.board.columnCount) + c;
+    return((this._occupied.has(key)) && (this._occupied.get(key) > 0));
+  }
+  private _occupied:Map<number,number> = new Map();
+
+  // balls that have gone through a turnstile, which don't block each other
+  //  so that any number of them can pile up below the turnstiles
+  private _collected:Set<Ball> = new Set();
+
+  public saveState():RouterState { return(new Set(this._collected)); }
+  public restoreState(state:RouterState):void {
+    this._collected = new Set(state);
+    this._updates = 0;
+    this._hopCount = 0;
+  }
+
+  // whether the ball is waiting in or above its drop to be released
+  protected isWaiting(ball:Ball):boolean {
+    return((ball.drop) && (! ball.released) &&
+           (Math.round(ball.row) <= ball.drop.row));
+  }
+
+  // get the location the ball should hop to from the given part, or null
+  //  if it should stay where it is
+  protected nextHop(ball:Ball, part:Part, c:number, r:number):Hop {
+    const sign = ((part) && (part.isFlipped)) ? -1 : 1;
+    // the direction the ball has been traveling
+    const direction = ball.lastDistinctColumn < c ? 1 : -1;
+    let dc:number = 0;
+    let dr:number = 1;
+    switch (part ? part.type : PartType.BLANK) {
+      case PartType.RAMP: dc = sign; break;
+      case PartType.CROSSOVER: dc = direction; break;
+      case PartType.BIT:     // fall-through
+      case PartType.GEARBIT: dc = part.bitValue ? -1 : 1; break;
+      case PartType.INTERCEPTOR: return(null);
+      case PartType.SLOPE: dc = sign; dr = 0; break;
+      case PartType.DROP:
+        if (! ball.released) return(null);
+        dc = sign;
+        break;
+      case PartType.TURNSTILE: dc = sign; dr = 0; break;
+      // a ball with another ball below it rolls along the top of that ball,
+      //  otherwise it falls straight down
+      default:
+        if (this.isOccupied(c, r + 1)) {
+          // balls can roll into open space but not into parts, which
+          //  only take balls from above
+          if (! this.isOpen(this.board.getPart(c + direction, r))) return(null);
+          dc = direction;
+          dr = 0;
+        }
+        break;
+    }
+    if ((dc !== 0) && (this.isWalled(c, r, dc))) {
+      // a ball rolling sideways into a wall stops, and one coming off a
+      //  ramp or bit drops straight down beside the wall
+      if (dr == 0) return(null);
+      dc = 0;
+    }
+    return({ column: c + dc, row: r + dr });
+  }
+
+  // whether a ball can roll into a location holding the given part from
+  //  the side
+  protected isOpen(part:Part):boolean {
+    return((! part) || (this.board.isBackgroundType(part.type)) ||
+           (part.type === PartType.BLANK) || (part.type === PartType.SLOPE) ||
+           (part.type === PartType.SIDE));
+  }
+
+  // whether a side blocks a ball at the given location from moving in the
+  //  given horizontal direction
+  protected isWalled(c:number, r:number, dc:number):boolean {
+    const here = this.board.getPart(c, r);
+    const there = this.board.getPart(c + dc, r);
+    // sides have their fence on the left unless they're flipped
+    if ((here) && (here.type === PartType.SIDE) &&
+        (here.isFlipped === (dc > 0))) return(true);
+    if ((there) && (there.type === PartType.SIDE) &&
+        (there.isFlipped === (dc < 0))) return(true);
+    return(false);
+  }
+
+  // apply the effects of a ball leaving the given part
+  protected leavePart(ball:Ball, part:Part):void {
+    if (! part) return;
+    if ((part.type === PartType.BIT) || (part.type === PartType.GEARBIT)) {
+      part.animator.stopAnimating(part, 'rotation');
+      part.rotation = part.bitValue ? 0.0 : 1.0;
+    }
+    else if (part instanceof Turnstile) {
+      this._collected.add(ball);
+      if (part.drop) part.drop.releaseBall();
+    }
+    else if (part instanceof Drop) {
+      this.advanceQueue(part, ball);
+    }
+  }
+
+  // move the balls waiting in a drop forward to fill the place of the one
+  //  that's leaving it, so the next one is in position to be released
+  protected advanceQueue(drop:Drop, leaving:Ball):void {
+    // order balls the same way the drop chooses which one to release
+    const sign = drop.isFlipped ? -1 : 1;
+    const priority = (ball:Ball) =>
+      ((ball.column - drop.column) * sign) + ball.row;
+    const queue:Ball[] = Array.from(drop.balls).filter((ball) =>
+      (ball !== leaving) && (this.isWaiting(ball)));
+    queue.sort((a, b) => priority(b) - priority(a));
+    let column:number = leaving.column;
+    let row:number = leaving.row;
+    for (const ball of queue) {
+      const c = ball.column;
+      const r = ball.row;
+      this.board.layoutPart(ball, column, row);
+      column = c;
+      row = r;
+    }
+  }
+
+}
@@ -0,0 +1,1504 @@
+import { Part } from 'parts/part';
+import { Slope, Side } from 'parts/fence';
+import { PartFactory, PartType } from 'parts/factory';
+import { GearBase, Gear } from 'parts/gearbit';
+import { Delays, Speeds } from 'ui/config';
+import { DisjointSet } from 'util/disjoint';
+import { Ball } from 'parts/ball';
+import { BALL_RADIUS, SPACING } from './constants';
+import { IBallRouter } from './router';
+import { PhysicalBallRouter } from './physics';
+import { SchematicBallRouter } from './schematic';
+import { LogicBallRouter } from './logic';
+import { IBoardSerializer } from './serializer';
+import { Drop } from 'parts/drop';
+import { Turnstile } from 'parts/turnstile';
+import { BoardHistory } from './history';
+import { GridRect, Clipping } from './selection';
+import { OutputRecorder } from './recorder';
+import { TrailRecorder } from './trails';
+import { Timeline, BoardSnapshot, BallSnapshot } from './timeline';
+import { Animator } from 'ui/animator';
+import { Inventory } from './inventory';
+import { TruthTable } from './truthtable';
+import { RegisterSet } from './registers';
+import { BoardEventMap } from './events';
+import { EventEmitter } from 'util/events';
+
+// the number of routing steps to take per update when stepping until a
+//  ball enters a part, which is slow enough to watch
+const SEEK_STEPS_PER_UPDATE:number = 4;
+
+// the most routing steps to take in one update when the logic router is
+//  finishing runs right away, which keeps a board that never comes to rest
+//  from freezing the display
+const INSTANT_STEPS_PER_UPDATE:number = 100000;
+
+// the state of a board and the parts on it, which can be simulated without
+//  being displayed
+export class BoardModel {
+
+  constructor(public readonly partFactory:PartFactory) {
+
+  }
+
+  // the animator that moves the board's parts
+  public get animator():Animator { return(this.partFactory.animator); }
+
+  // events that code outside the board can subscribe to, which is the
+  //  stable way for scripts and tools to follow what happens on the board
+  public readonly events:EventEmitter<BoardEventMap> = new EventEmitter();
+
+  // a serializer for the board state
+  public serializer:IBoardSerializer = null;
+
+  // the set of balls currently on the board
+  public readonly balls:Set<Ball> = new Set();
+
+  // a counter that increments whenever the board changes
+  public get changeCounter():number { return(this._changeCounter); }
+  public onChange():void {
+    this._changeCounter++;
+    if (this.serializer) this.serializer.onBoardStateChanged();
+    // edits like flipping a bit by hand change the values of registers
+    this.registers.update();
+    this.events.emit('boardChanged', { });
+  }
+  private _changeCounter:number = 0;
+
+  // register changes to UI state
+  public onUIChange():void {
+    if (this.serializer) this.serializer.onUIStateChanged();
+    this.events.emit('uiChanged', { });
+  }
+
+  // a record of edits to the board that can be undone and redone
+  public readonly history:BoardHistory = new BoardHistory();
+
+  // undo the last edit to the board
+  public undo():void {
+    this._replayHistory(() => this.history.undo());
+  }
+  // redo the last edit to the board that was undone
+  public redo():void {
+    this._replayHistory(() => this.history.redo());
+  }
+  protected _replayHistory(f:() => void):void {
+    const oldBulkUpdate = this.bulkUpdate;
+    this.bulkUpdate = true;
+    f();
+    this.bulkUpdate = oldBulkUpdate;
+  }
+
+  // whether to route parts using the schematic router
+  public get schematic():boolean { return(this._schematic); }
+  public set schematic(v:boolean) {
+    if (v === this._schematic) return;
+    this._schematic = v;
+    // return all balls because their positions will be different in the two
+    //  routers and it can cause a lot of jumping and sticking
+    this.returnBalls();
+    this.onUIChange();
+  }
+  protected _schematic:boolean = false;
+
+  // whether to route balls from part to part using the logical rules of
+  //  each part, which takes the place of both other routers
+  public get logic():boolean { return(this._logic); }
+  public set logic(v:boolean) {
+    if (v === this._logic) return;
+    this._logic = v;
+    // return all balls because the logic router only moves balls
+    //  between grid locations
+    this.returnBalls();
+    this.onUIChange();
+  }
+  protected _logic:boolean = false;
+
+  // whether to show each hop the logic router makes, rather than finishing
+  //  runs as fast as possible
+  public get animateLogic():boolean { return(this._animateLogic); }
+  public set animateLogic(v:boolean) {
+    if (v === this._animateLogic) return;
+    this._animateLogic = v;
+    this.onUIChange();
+  }
+  private _animateLogic:boolean = false;
+
+  // the speed to run the simulator at
+  public get speed():number { return(this._speed); }
+  public set speed(v:number) {
+    if ((isNaN(v)) || (v == null)) return;
+    v = Math.min(Math.max(Speeds[0], v), Speeds[Speeds.length - 1]);
+    if (v === this.speed) return;
+    this._speed = v;
+    this.onUIChange();
+  }
+  private _speed:number = 1.0;
+
+  // routers to manage the positions of the balls
+  public readonly physicalRouter:PhysicalBallRouter = new PhysicalBallRouter(this);
+  public readonly schematicRouter:SchematicBallRouter = 
+    new SchematicBallRouter(this);
+  public readonly logicRouter:LogicBallRouter = new LogicBallRouter(this);
+
+  // a log of balls that reach the output
+  public readonly recorder:OutputRecorder = new OutputRecorder(this);
+
+  // the paths balls have taken through the board
+  public readonly trails:TrailRecorder = new TrailRecorder(this);
+
+  // snapshots of the current run
+  public readonly timeline:Timeline = new Timeline(this);
+
+  // bits marked as inputs and outputs and the results of running the board
+  //  with every combination of inputs
+  public readonly truthTable:TruthTable = new TruthTable(this);
+
+  // named groups of bits whose values are shown as numbers
+  public readonly registers:RegisterSet = new RegisterSet(this);
+
+  // the router that's currently moving balls
+  public get router():IBallRouter {
+    if (this.logic) return(this.logicRouter);
+    return(this.schematic ? this.schematicRouter : this.physicalRouter);
+  }
+
+  // update the board state
+  public update(correction:number):void {
+    // bits can be changed by hand or by gears while the simulation is paused
+    this._checkBitValues();
+    if (this._seekingInteraction) {
+      for (let i:number = 0; 
+           (i < SEEK_STEPS_PER_UPDATE) && (this._seekingInteraction); i++) {
+        this._stepRouter();
+      }
+      return;
+    }
+    if (this.paused) return;
+    if ((this.logic) && (! this.animateLogic)) this._routeInstantly();
+    else {
+      this.router.update(this.speed, correction);
+      this._afterRouting();
+    }
+    if (++this._counter % 30 == 0) {
+      const wasAtRest = this._areBallsAtRest;
+      this._areBallsAtRest = this._checkBallMovement();
+      if (this.areBallsAtRest) this._checkBitRotations();
+      // only count balls coming to rest as the end of a run if a ball has
+      //  been released, since loading a board or returning balls to their
+      //  drops also moves balls around
+      if ((this.areBallsAtRest) && (! wasAtRest) && (this._isRunning)) {
+        this._isRunning = false;
+        this.events.emit('ballsAtRest', { });
+        if (this.breakOnRest) this._hitBreakpoint(null);
+      }
+      this._counter = 0;
+    }
+  }
+  private _counter:number = 0;
+
+  // whether a ball has been released since balls were last returned or
+  //  came to rest
+  public get isRunning():boolean { return(this._isRunning); }
+  private _isRunning:boolean = false;
+
+  // STEPPING *****************************************************************
+
+  // whether the simulation is stopped, except for explicit steps
+  public get paused():boolean { return(this._paused); }
+  public set paused(v:boolean) {
+    this._seekingInteraction = false;
+    this._setBreakpointHit(null);
+    if (v === this._paused) return;
+    this._paused = v;
+    this.onUIChange();
+  }
+  private _paused:boolean = false;
+
+  // pause the simulation and advance it by the smallest possible amount,
+  //  which is one routing step in schematic mode, one hop in logic mode,
+  //  or one update of the physics engine otherwise
+  public step():void {
+    this.paused = true;
+    this._stepRouter();
+  }
+
+  // pause the simulation and advance it until a ball enters a part
+  public stepToInteraction():void {
+    this.paused = true;
+    this._seekingInteraction = true;
+  }
+  private _seekingInteraction:boolean = false;
+
+  // step the logic router until balls stop hopping, so a whole run can
+  //  finish in one update
+  protected _routeInstantly():void {
+    for (let i:number = 0; 
+         (i < INSTANT_STEPS_PER_UPDATE) && (! this.paused); i++) {
+      this._stepRouter();
+      if (! (this.logicRouter.hopCount > 0)) break;
+    }
+  }
+
+  protected _stepRouter():void {
+    this.router.step();
+    this._afterRouting();
+  }
+
+  protected _afterRouting():void {
+    this._checkBallParts();
+    this._checkBitValues();
+    this._checkBreakpointBits();
+    this.recorder.update();
+    this.trails.update();
+    this.timeline.update();
+    this.registers.update();
+  }
+
+  // detect balls moving into new parts
+  protected _checkBallParts():void {
+    for (const ball of this.balls) {
+      const part = this.getPart(Math.round(ball.column), Math.round(ball.row));
+      if (! this._ballParts.has(ball)) {
+        // don't count the part a ball starts out in
+        this._ballParts.set(ball, part);
+        continue;
+      }
+      if (part === this._ballParts.get(ball)) continue;
+      this._ballParts.set(ball, part);
+      if ((! part) || (this.isBackgroundType(part.type)) || 
+          (part.type === PartType.BLANK)) continue;
+      this._seekingInteraction = false;
+      this.events.emit('ballEnteredPart', { ball: ball, part: part });
+      if ((this.breakpoints.has(part)) && (! this._breaksOnBitChange(part)) &&
+          (! (part instanceof Drop))) {
+        this._hitBreakpoint(part);
+      }
+    }
+    // forget about balls that have been removed from the board
+    for (const ball of this._ballParts.keys()) {
+      if (! this.balls.has(ball)) this._ballParts.delete(ball);
+    }
+  }
+  private _ballParts:Map<Ball,Part> = new Map();
+
+  // detect bits and gearbits changing value, which is only done while
+  //  something is listening because it checks every part on the board
+  protected _checkBitValues():void {
+    if (! this.events.hasListeners('bitChanged')) {
+      this._bitValues = new WeakMap();
+      return;
+    }
+    for (const row of this._grid) {
+      for (const part of row) {
+        if ((! part) || ((part.type !== PartType.BIT) && 
+                         (part.type !== PartType.GEARBIT))) continue;
+        const value = part.bitValue;
+        // don't count the value a part starts out with
+        if ((this._bitValues.has(part)) && 
+            (this._bitValues.get(part) !== value)) {
+          this.events.emit('bitChanged', { part: part, value: value });
+        }
+        this._bitValues.set(part, value);
+      }
+    }
+  }
+  private _bitValues:WeakMap<Part,boolean> = new WeakMap();
+
+  // BREAKPOINTS **************************************************************
+
+  // parts that pause the simulation when something happens to them, which
+  //  is a change of value for bits and gearbits, the release of a ball for
+  //  drops, and a ball entering the part for everything else
+  public readonly breakpoints:Set<Part> = new Set();
+
+  // add or remove a breakpoint on the given part
+  public toggleBreakpoint(part:Part):void {
+    if (! part) return;
+    if (this.breakpoints.has(part)) {
+      this.breakpoints.delete(part);
+      this._breakpointBits.delete(part);
+    }
+    else {
+      this.breakpoints.add(part);
+      if (this._breaksOnBitChange(part)) {
+        this._breakpointBits.set(part, part.bitValue);
+      }
+    }
+    this._onBreakpointsChanged();
+  }
+
+  // whether to pause the simulation when balls come to rest
+  public get breakOnRest():boolean { return(this._breakOnRest); }
+  public set breakOnRest(v:boolean) {
+    if (v === this._breakOnRest) return;
+    this._breakOnRest = v;
+    this.onUIChange();
+  }
+  private _breakOnRest:boolean = false;
+
+  // the part whose breakpoint paused the simulation, which is null if the
+  //  simulation hasn't been paused by a breakpoint or was paused because
+  //  balls came to rest
+  public get breakpointHit():Part { return(this._breakpointHit); }
+  private _breakpointHit:Part = null;
+
+  protected _hitBreakpoint(part:Part):void {
+    this.paused = true;
+    this._setBreakpointHit(part);
+    this.events.emit('breakpointHit', { part: part });
+  }
+
+  protected _setBreakpointHit(part:Part):void {
+    if (part === this._breakpointHit) return;
+    this._breakpointHit = part;
+    this._onBreakpointsChanged();
+  }
+
+  // called when breakpoints are added or removed or one is hit
+  protected _onBreakpointsChanged():void { }
+
+  protected _breaksOnBitChange(part:Part):boolean {
+    return((part.type === PartType.BIT) || (part.type === PartType.GEARBIT));
+  }
+
+  // detect bits with breakpoints changing value
+  protected _checkBreakpointBits():void {
+    this._breakpointBits.forEach((value:boolean, part:Part) => {
+      if (part.bitValue === value) return;
+      this._breakpointBits.set(part, part.bitValue);
+      // only break for parts that are still on the board
+      if (this.getPart(part.column, part.row) === part) {
+        this._hitBreakpoint(part);
+      }
+    });
+  }
+  private _breakpointBits:Map<Part,boolean> = new Map();
+
+  protected _onDropRelease(drop:Drop, ball:Ball):void {
+    // turning turnstiles back while restoring a snapshot can release balls,
+    //  but the balls get put back where they were anyway
+    if (this._restoringSnapshot) return;
+    this._onBallCountChanged(drop);
+    this.events.emit('ballReleased', { ball: ball, drop: drop });
+    // a ball is about to move even if the rest haven't been
+    this._areBallsAtRest = false;
+    this._isRunning = true;
+    // measure the ball's movement from where it was released, in case it
+    //  was added too recently to have been seen
+    this._ballPositions.set(ball, { c: ball.column, r: ball.row });
+    this.trails.markRelease(ball);
+    this.timeline.markRelease();
+    if (this.breakpoints.has(drop)) this._hitBreakpoint(drop);
+  }
+
+  // SNAPSHOTS ****************************************************************
+
+  // capture the state of the simulation so it can be restored later
+  public takeSnapshot(time:number=0, release:boolean=false):BoardSnapshot {
+    const rotations:Map<Part,number> = new Map();
+    for (const row of this._grid) {
+      for (const part of row) {
+        if ((part) && (part.canRotate)) rotations.set(part, part.rotation);
+      }
+    }
+    const balls:BallSnapshot[] = [ ];
+    for (const ball of this.balls) {
+      balls.push({ ball: ball, drop: ball.drop, hue: ball.hue,
+        column: ball.column, row: ball.row, released: ball.released,
+        lastColumn: ball.lastColumn, lastRow: ball.lastRow,
+        lastDistinctColumn: ball.lastDistinctColumn,
+        vx: ball.vx, vy: ball.vy,
+        minX: ball.minX, maxX: ball.maxX, maxY: ball.maxY });
+    }
+    return({ time: time, release: release, rotations: rotations,
+      balls: balls, output: this.recorder.output, 
+      trails: this.trails.lengths, router: this.router.saveState() });
+  }
+
+  // put parts and balls back the way they were when the snapshot was taken
+  public restoreSnapshot(snapshot:BoardSnapshot):void {
+    this._restoringSnapshot = true;
+    snapshot.rotations.forEach((rotation:number, part:Part) => {
+      if (this.getPart(part.column, part.row) !== part) return;
+      part.animator.stopAnimating(part, 'rotation');
+      part.rotation = rotation;
+    });
+    this._restoringSnapshot = false;
+    // remove balls that weren't on the board yet
+    const balls:Set<Ball> = new Set();
+    for (const s of snapshot.balls) balls.add(s.ball);
+    for (const ball of this.balls) {
+      if (! balls.has(ball)) this.removeBall(ball);
+    }
+    for (const s of snapshot.balls) {
+      const ball = s.ball;
+      // bring back balls that have left the board
+      if (! this.balls.has(ball)) {
+        ball.drop = null;
+        this.addBall(ball, s.column, s.row);
+      }
+      if (ball.drop !== s.drop) {
+        if (ball.drop) ball.drop.balls.delete(ball);
+        ball.drop = s.drop;
+        if (s.drop) s.drop.balls.add(ball);
+      }
+      ball.hue = s.hue;
+      this.layoutPart(ball, s.column, s.row);
+      // setting the location can change these, so they go last
+      ball.released = s.released;
+      ball.lastColumn = s.lastColumn;
+      ball.lastRow = s.lastRow;
+      ball.lastDistinctColumn = s.lastDistinctColumn;
+      ball.vx = s.vx;
+      ball.vy = s.vy;
+      ball.minX = s.minX;
+      ball.maxX = s.maxX;
+      ball.maxY = s.maxY;
+    }
+    this._onBallCountChanged(null);
+    this.recorder.restore(snapshot.output);
+    this.trails.restore(snapshot.trails);
+    // don't report changes that happened between now and the snapshot
+    this._ballParts.clear();
+    this._breakpointBits.forEach((value:boolean, part:Part) => {
+      this._breakpointBits.set(part, part.bitValue);
+    });
+    this._setBreakpointHit(null);
+    this._areBallsAtRest = false;
+    // snapshots are only taken during runs, so this continues one
+    this._isRunning = true;
+    this._counter = 0;
+    this.router.restoreState(snapshot.router);
+  }
+  private _restoringSnapshot:boolean = false;
+
+  // whether all balls on the board have been basically motionless for a bit
+  public get areBallsAtRest():boolean { return(this._areBallsAtRest); }
+  private _areBallsAtRest:boolean = true;
+
+  // GRID MANAGEMENT **********************************************************
+
+  // get the size of the part grid
+  public get columnCount():number { return(this._columnCount); }
+  private _columnCount:number = 0;
+  public get rowCount():number { return(this._rowCount); }
+  private _rowCount:number = 0;
+
+  // storage for the part grid
+  protected _grid:Part[][] = [ ];
+
+  // suspend expensive operations when updating parts in bulk
+  public get bulkUpdate():boolean { return(this._bulkUpdate); }
+  public set bulkUpdate(v:boolean) {
+    if (v === this._bulkUpdate) return;
+    this._bulkUpdate = v;
+    // when finishing a bulk update, execute deferred tasks
+    if (! v) {
+      this._connectSlopes();
+      this._connectTurnstiles();
+      this._connectGears();
+      // average gear rotations in connected sets
+      for (const row of this._grid) {
+        for (const part of row) {
+          if (part instanceof GearBase) {
+            part.rotation = part.rotation >= 0.5 ? 1.0 : 0.0;
+          }
+        }
+      }
+    }
+  }
+  private _bulkUpdate:boolean = false;
+
+  public sizeRight(delta:number, addBackground:boolean=true):void {
+    delta = Math.max(- this.columnCount, delta);
+    if (delta == 0) return;
+    this.history.beginGroup();
+    const oldBulkUpdate = this.bulkUpdate;
+    this.bulkUpdate = true;
+    const newColumnCount:number = this.columnCount + delta;
+    let c:number, r:number;
+    if (delta < 0) {
+      r = 0;
+      for (const row of this._grid) {
+        for (c = newColumnCount; c < this.columnCount; c++) {
+          this.setPart(null, c, r);
+        }
+        row.splice(newColumnCount, - delta);
+        r++;
+      }
+    }
+    else {
+      r = 0;
+      for (const row of this._grid) {
+        for (c = this.columnCount; c < newColumnCount; c++) {
+          if (addBackground) {
+            row.push(this.makeBackgroundPart(c, r));
+          }
+          else row.push(null);
+        }
+        r++;
+      }
+    }
+    this._columnCount = newColumnCount;
+    this.bulkUpdate = oldBulkUpdate;
+    this.layoutParts();
+    this.physicalRouter.onBoardSizeChanged();
+    this.schematicRouter.onBoardSizeChanged();
+    this.logicRouter.onBoardSizeChanged();
+    this.onChange();
+    this.history.record({
+      undo: () => this.sizeRight(- delta, true),
+      redo: () => this.sizeRight(delta, addBackground)
+    });
+    this.history.endGroup();
+  }
+
+  public sizeBottom(delta:number, addBackground:boolean=true):void {
+    delta = Math.max(- this.rowCount, delta);
+    if (delta == 0) return;
+    this.history.beginGroup();
+    const oldBulkUpdate = this.bulkUpdate;
+    this.bulkUpdate = true;
+    const newRowCount:number = this.rowCount + delta;
+    let c:number, r:number;
+    if (delta < 0) {
+      for (r = newRowCount; r < this.rowCount; r++) {
+        for (c = 0; c < this.columnCount; c++) {
+          this.setPart(null, c, r);
+        }
+      }
+      this._grid.splice(newRowCount, - delta);
+    }
+    else {
+      for (r = this.rowCount; r < newRowCount; r++) {
+        const row:Part[] = [ ];
+        for (c = 0; c < this.columnCount; c++) {
+          if (addBackground) {
+            row.push(this.makeBackgroundPart(c, r));
+          }
+          else row.push(null);
+        }
+        this._grid.push(row);
+      }
+    }
+    this._rowCount = newRowCount;
+    this.bulkUpdate = oldBulkUpdate;
+    this.layoutParts();
+    this.physicalRouter.onBoardSizeChanged();
+    this.schematicRouter.onBoardSizeChanged();
+    this.logicRouter.onBoardSizeChanged();
+    this.onChange();
+    this.history.record({
+      undo: () => this.sizeBottom(- delta, true),
+      redo: () => this.sizeBottom(delta, addBackground)
+    });
+    this.history.endGroup();
+  }
+
+  public sizeLeft(delta:number, addBackground:boolean=true):void {
+    // we must increase/decrease by even numbers to keep part/gear locations
+    //  on the same diagonals
+    if (delta % 2 !== 0) delta += 1;
+    delta = Math.max(- this.columnCount, delta);
+    if (delta == 0) return;
+    this.history.beginGroup();
+    const oldBulkUpdate = this.bulkUpdate;
+    this.bulkUpdate = true;
+    const newColumnCount:number = this.columnCount + delta;
+    let c:number, r:number;
+    if (delta < 0) {
+      r = 0;
+      for (const row of this._grid) {
+        for (c = 0; c < Math.abs(delta); c++) {
+          this.setPart(null, c, r);
+        }
+        row.splice(0, Math.abs(delta));
+        r++;
+      }
+    }
+    else {
+      r = 0;
+      for (const row of this._grid) {
+        for (c = delta - 1; c >= 0; c--) {
+          if (addBackground) {
+            row.unshift(this.makeBackgroundPart(c, r));
+          }
+          else row.unshift(null);
+        }
+        r++;
+      }
+    }
+    this._columnCount = newColumnCount;
+    this._onGridShifted(delta, 0);
+    this.bulkUpdate = oldBulkUpdate;
+    this.layoutParts();
+    this.physicalRouter.onBoardSizeChanged();
+    this.schematicRouter.onBoardSizeChanged();
+    this.logicRouter.onBoardSizeChanged();
+    this.onChange();
+    this.history.record({
+      undo: () => this.sizeLeft(- delta, true),
+      redo: () => this.sizeLeft(delta, addBackground)
+    });
+    this.history.endGroup();
+  }
+
+  public sizeTop(delta:number, addBackground:boolean=true):void {
+    // we must increase/decrease by even numbers to keep part/gear locations
+    //  on the same diagonals
+    if (delta % 2 !== 0) delta += 1;
+    delta = Math.max(- this.rowCount, delta);
+    if (delta == 0) return;
+    this.history.beginGroup();
+    const oldBulkUpdate = this.bulkUpdate;
+    this.bulkUpdate = true;
+    const newRowCount:number = this.rowCount + delta;
+    let c:number, r:number, part:Part;
+    if (delta < 0) {
+      for (r = 0; r < Math.abs(delta); r++) {
+        for (c = 0; c < this.columnCount; c++) {
+          this.setPart(null, c, r);
+        }
+      }
+      this._grid.splice(0, Math.abs(delta));
+    }
+    else {
+      for (r = delta - 1; r >= 0; r--) {
+        const row:Part[] = [ ];
+        for (c = 0; c < this.columnCount; c++) {
+          if (addBackground) {
+            part = this.makeBackgroundPart(c, r);
+            this.layoutPart(part, c, r);
+            row.push(part);
+          }
+          else row.push(null);
+        }
+        this._grid.unshift(row);
+      }
+    }
+    this._rowCount = newRowCount;
+    this._onGridShifted(0, delta);
+    this.bulkUpdate = oldBulkUpdate;
+    this.layoutParts();
+    this.physicalRouter.onBoardSizeChanged();
+    this.schematicRouter.onBoardSizeChanged();
+    this.logicRouter.onBoardSizeChanged();
+    this.onChange();
+    this.history.record({
+      undo: () => this.sizeTop(- delta, true),
+      redo: () => this.sizeTop(delta, addBackground)
+    });
+    this.history.endGroup();
+  }
+
+  // called when columns or rows are added or removed at the left or top
+  //  of the grid, moving existing parts by the given amounts
+  protected _onGridShifted(columns:number, rows:number):void {
+    this.recorder.shift(columns, rows);
+    this.trails.shift(columns, rows);
+    this.registers.shift(columns, rows);
+    this.timeline.clear();
+  }
+
+  // update the part grid
+  public setSize(columnCount:number, rowCount:number, addBackground:boolean=true):void {
+    this.history.beginGroup();
+    this.sizeRight(columnCount - this.columnCount, addBackground);
+    this.sizeBottom(rowCount - this.rowCount, addBackground);
+    this.history.endGroup();
+  }
+
+  // remove everything from the board
+  public clear(addBackground:boolean=true):void {
+    this.history.beginGroup();
+    const oldBulkUpdate = this.bulkUpdate;
+    this.bulkUpdate = true;
+    // remove parts
+    let part:Part;
+    for (let r:number = 0; r < this.rowCount; r++) {
+      for (let c:number = 0; c < this.columnCount; c++) {
+        part = addBackground ? this.makeBackgroundPart(c, r) : null;
+        this.setPart(part, c, r);
+      }
+    }
+    // remove balls
+    this.clearBalls();
+    this.bulkUpdate = oldBulkUpdate;
+    this.history.endGroup();
+  }
+
+  // remove balls from the board
+  public clearBalls():void {
+    for (const ball of this.balls) this.removeBall(ball);
+    this.recorder.clear();
+    this.trails.clear();
+    this.timeline.clear();
+    this._isRunning = false;
+  }
+
+  // a limited supply of parts that can be placed, or null if parts
+  //  are unlimited
+  public get inventory():Inventory { return(this._inventory); }
+  public set inventory(v:Inventory) {
+    if (v === this._inventory) return;
+    this._inventory = v;
+    if (v) v.fixParts(this);
+    this.onUIChange();
+  }
+  private _inventory:Inventory = null;
+
+  // whether a part can be placed at the given row and column
+  public canPlacePart(type:PartType, column:number, row:number):boolean {
+    if (type == PartType.BALL) {
+      return((row >= 0.0) && (column >= 0.0) &&
+             (row < this.rowCount) && (column < this.columnCount));
+    }
+    if ((column < 0) || (column >= this._columnCount) ||
+        (row < 0) || (row >= this._rowCount)) return(false);
+    const oldPart = this.getPart(column, row);
+    if ((oldPart) && (oldPart.isLocked)) return(false);
+    // replacing an unlocked part with one of the same type doesn't use up
+    //  any more of the inventory
+    if ((this.inventory) && (! ((oldPart) && (oldPart.type === type))) &&
+        (! (this.inventory.remaining(this, type) > 0))) return(false);
+    if (this.canPlaceAnywhere(type)) return(true);
+    else return((row + column) % 2 == 0);
+  }
+
+  // whether parts of the given type can go on both part and gear locations
+  public canPlaceAnywhere(type:PartType):boolean {
+    return((type == PartType.PARTLOC) || (type == PartType.GEARLOC) ||
+           (type == PartType.GEAR) || (type == PartType.SLOPE) ||
+           (type == PartType.SIDE));
+  }
+
+  // whether the part at the given location can be flipped
+  public canFlipPart(column:number, row:number):boolean {
+    const part = this.getPart(column, row);
+    return((part) && (part.canFlip || part.canRotate) && (! part.isLocked));
+  }
+
+  // whether the part at the given location can be dragged
+  public canDragPart(column:number, row:number):boolean {
+    const part = this.getPart(column, row);
+    return((part) && (part.type !== PartType.GEARLOC) && 
+                     (part.type !== PartType.PARTLOC) &&
+                     (part.type !== PartType.BLANK) &&
+                     (! part.isLocked));
+  }
+
+  // whether the part at the given location is a background part
+  public isBackgroundPart(column:number, row:number):boolean {
+    const part = this.getPart(column, row);
+    return((! part) || (this.isBackgroundType(part.type)));
+  }
+
+  // whether the given type of part is a background part
+  public isBackgroundType(type:PartType):boolean {
+    return((type === PartType.PARTLOC) || (type === PartType.GEARLOC));
+  }
+
+  // make a background part for the given row and column position
+  public makeBackgroundPart(column:number, row:number):Part {
+    return(this.partFactory.make(
+      (row + column) % 2 == 0 ?
+        PartType.PARTLOC : PartType.GEARLOC));
+  }
+
+  // get the part at the given coordinates
+  public getPart(column:number, row:number):Part {
+    if ((isNaN(column)) || (isNaN(row)) ||
+        (column < 0) || (column >= this._columnCount) ||
+        (row < 0) || (row >= this._rowCount)) return(null);
+    return(this._grid[row][column]);
+  }
+
+  // set the part at the given coordinates
+  public setPart(newPart:Part, column:number, row:number):void {
+    if ((column < 0) || (column >= this._columnCount) ||
+        (row < 0) || (row >= this._rowCount)) return;
+    const oldPart = this.getPart(column, row);
+    if (oldPart === newPart) return;
+    this._recordSetPart(oldPart, newPart, column, row);
+    this._grid[row][column] = newPart;
+    if (newPart) this.layoutPart(newPart, column, row);
+    // tell gears what kind of location they're on
+    if (newPart instanceof Gear) {
+      newPart.isOnPartLocation = ((column + row) % 2) == 0;
+    }
+    // update gear connections
+    if ((oldPart instanceof GearBase) || (newPart instanceof GearBase)) {
+      // disconnect the old part
+      if (oldPart instanceof GearBase) oldPart.connected = null;
+      // rebuild connections between gears and gearbits
+      if (! this.bulkUpdate) this._connectGears();
+      // merge the new part's rotation with the connected set
+      if ((newPart instanceof GearBase) && (newPart.connected)) {
+        let sum:number = 0.0;
+        for (const part of newPart.connected) {
+          sum += part.rotation;
+        }
+        newPart.rotation = ((sum / newPart.connected.size) >= 0.5) ? 1.0 : 0.0;
+      }
+    }
+    // update fences
+    if ((oldPart instanceof Slope) || (newPart instanceof Slope)) {
+      if (! this.bulkUpdate) this._connectSlopes();
+    }
+    // maintain our set of drops
+    if ((oldPart instanceof Drop) && (! this._isPreviewPart(oldPart))) {
+      this.drops.delete(oldPart);
+      for (const ball of oldPart.balls) {
+        this.removeBall(ball);
+      }
+    }
+    if (newPart instanceof Drop) {
+      this.drops.add(newPart);
+      newPart.onRelease = (ball:Ball) => this._onDropRelease(newPart, ball);
+    }
+    if ((oldPart instanceof Drop) || (newPart instanceof Drop) ||
+        (oldPart instanceof Turnstile) || (newPart instanceof Turnstile)) {
+      if (! this.bulkUpdate) this._connectTurnstiles();
+    }
+    if ((oldPart) && (! this._isPreviewPart(oldPart))) {
+      // snapshots can't bring back parts that have been replaced
+      this.timeline.clear();
+      this._onPartRemoved(oldPart);
+      if (! this.isBackgroundType(oldPart.type)) {
+        this.events.emit('partRemoved', 
+          { part: oldPart, column: column, row: row });
+      }
+    }
+    if ((newPart) && (! this._isPreviewPart(newPart)) &&
+        (! this.isBackgroundType(newPart.type))) {
+      this.events.emit('partPlaced', 
+        { part: newPart, column: column, row: row });
+    }
+    this.onChange();
+  }
+
+  // whether the given part is only being shown as a preview, in which case
+  //  it will be put back after being removed from the board
+  protected _isPreviewPart(part:Part):boolean {
+    return(false);
+  }
+
+  // called when a part has been taken off the board
+  protected _onPartRemoved(part:Part):void { }
+  
+  // record a change to the grid so it can be undone
+  protected _recordSetPart(oldPart:Part, newPart:Part, 
+                           column:number, row:number):void {
+    // removing a drop also removes its balls, so we need to put them back
+    const ballCount:number = (oldPart instanceof Drop) ? 
+      oldPart.balls.size : 0;
+    this.history.record({
+      undo: () => {
+        this.setPart(oldPart, column, row);
+        if (oldPart instanceof Drop) this.setDropBallCount(oldPart, ballCount);
+      },
+      redo: () => this.setPart(newPart, column, row)
+    });
+  }
+
+  // lock or unlock the part at the given coordinates
+  public setPartLocked(column:number, row:number, locked:boolean):void {
+    const part = this.getPart(column, row);
+    if ((! part) || (part.isLocked === locked)) return;
+    part.isLocked = locked;
+    this.onChange();
+    this.history.record({
+      undo: () => this.setPartLocked(column, row, ! locked),
+      redo: () => this.setPartLocked(column, row, locked)
+    });
+  }
+
+  // flip the part at the given coordinates
+  public flipPart(column:number, row:number):void {
+    const part = this.getPart(column, row);
+    if ((part instanceof Slope) || (part instanceof Side)) {
+      this._flipFence(column, row);
+    }
+    else if (part) part.flip(Delays.FLIP);
+    // flipping a bit by hand shouldn't trigger its breakpoint
+    if (this._breakpointBits.has(part)) {
+      this._breakpointBits.set(part, part.bitValue);
+    }
+    if (part) {
+      this.history.record({
+        undo: () => this.flipPart(column, row),
+        redo: () => this.flipPart(column, row)
+      });
+      this.events.emit('partFlipped', { part: part, column: column, row: row });
+    }
+    this.onChange();
+  }
+
+  // clear parts from the given coordinates
+  public clearPart(column:number, row:number):void {
+    this.setPart(this.makeBackgroundPart(column, row), column, row);
+  }
+
+  // add a ball to the board
+  public addBall(ball:Ball, c:number, r:number) {
+    if (! this.balls.has(ball)) {
+      this.balls.add(ball);
+      this.layoutPart(ball, c, r);
+      // assign the ball to a drop if it doesn't have one
+      if (! ball.drop) {
+        let drop = this.catchmentDrop(c, r);
+        if (drop) {
+          ball.released = false;
+        }
+        else {
+          ball.released = true;
+          drop = this.nearestDrop(c, r);
+        }
+        if (drop) {
+          this.drops.add(drop);
+          drop.balls.add(ball);
+          ball.drop = drop;
+          ball.hue = drop.hue;
+        }
+      }
+      this._onBallCountChanged(ball.drop);
+      this.events.emit('ballCreated', { ball: ball });
+      this.onChange();
+    }
+  }
+
+  // remove a ball from the board
+  public removeBall(ball:Ball) {
+    if (this.balls.has(ball)) {
+      if (ball.drop) ball.drop.balls.delete(ball);
+      this.balls.delete(ball);
+      this._onBallCountChanged(ball.drop);
+      this.events.emit('ballRemoved', { ball: ball });
+      this.onChange();
+    }
+  }
+
+  // called when balls are added to, removed from, or released by the given
+  //  drop, which may be null for balls that aren't associated with one
+  protected _onBallCountChanged(drop:Drop):void { }
+
+  // add a ball to the given drop without returning all balls to it
+  public addBallToDrop(drop:Drop):void {
+    // get the highest ball associated with the drop
+    let topBall:Ball;
+    for (const ball of drop.balls) {
+      if ((! topBall) || (ball.row < topBall.row)) {
+        topBall = ball;
+      }
+    }
+    // get the fraction of a grid unit a ball's radius takes up
+    const radius:number = BALL_RADIUS / SPACING;
+    let c:number = drop.column;
+    let r:number = drop.row;
+    // if the highest ball is on or above the drop, add the new ball above it
+    if ((topBall) && (topBall.row <= drop.row + (0.5 - radius))) {
+      c = topBall.column;
+      r = topBall.row - (2 * radius);
+    }
+    this.addBall(this.partFactory.make(PartType.BALL) as Ball, c, Math.max(-0.5, r));
+  }
+
+  // fill the drop with the given number of balls, adjusting its total count
+  public setDropBallCount(drop:Drop, count:number=drop.balls.size) {
+    const oldCount:number = drop.balls.size;
+    if (count !== oldCount) {
+      this.history.record({
+        undo: () => this.setDropBallCount(drop, oldCount),
+        redo: () => this.setDropBallCount(drop, count)
+      });
+    }
+    // turn off bulk updating so we can make sure slopes are configured properly
+    const oldBulkUpdate = this.bulkUpdate;
+    this.bulkUpdate = false;
+    // remove all existing balls (we'll create new ones)
+    for (const ball of drop.balls) {
+      this.removeBall(ball);
+    }
+    // dividing each grid square into thirds, make a list of all open locations
+    const spots:{c:number,r:number}[] = [ ];
+    // find all grid locations that drain into the drop
+    let part:Part, x:number, y:number, t:PartType;
+    for (let r:number = drop.row; r >= -1; r--) {
+      for (let c:number = 0; c < this.columnCount; c++) {
+        if (this.catchmentDrop(c, r) !== drop) continue;
+        // add up to 9 locations for each grid unit
+        part = this.getPart(c, r);
+        t = part ? part.type : PartType.BLANK;
+        if ((t == PartType.BLANK) || (t == PartType.DROP) || 
+            (t == PartType.SIDE) || (t == PartType.PARTLOC) || 
+            (t == PartType.GEARLOC)) {
+          for (x = -1; x <= 1; x++) {
+            for (y = -1; y <= 1; y++) {
+              // leave room for the pins on part/gear locations
+              if ((x == 0) && (y == 0) && (! this.schematic) && 
+                  ((t == PartType.GEARLOC) || (t == PartType.PARTLOC))) {
+                continue;
+              }
+              spots.push({ c: c + (x / 3), r: r + (y / 3) });
+            }
+          }
+        }
+        // slopes require special handling so that we don't 
+        //  place balls below the fence
+        else if (part instanceof Slope) {
+          const left = part.sequence / part.modulus;
+          const right = (part.sequence + 1) / part.modulus;
+          const sign = part.isFlipped ? -1 : 1;
+          for (x = -1; x <= 1; x++) {
+            const bottom = ((right + left) / 2) + 
+              ((x / 3) * sign * (right - left)) - 0.5 - (1 / 6);
+            for (y = -1; y <= 1; y++) {
+              if ((y / 3) > bottom) continue;
+              spots.push({ c: c + (x / 3), r: r + (y / 3) });
+            }
+          }
+        }
+      }
+    }
+    // sort all the spots from bottom to top and center to edge
+    spots.sort((a, b) => {
+      if (a.r > b.r) return(-1);
+      if (a.r < b.r) return(1);
+      if (Math.abs(a.c - drop.column) < Math.abs(b.c - drop.column)) return(-1);
+      if (Math.abs(a.c - drop.column) > Math.abs(b.c - drop.column)) return(1);
+      return(0);
+    });
+    // place balls in the spots
+    for (let i:number = 0; i < count; i++) {
+      const spot = spots[i % spots.length]; // re-use spots if we run out
+      this.addBall(this.partFactory.make(PartType.BALL) as Ball, 
+                   spot.c, spot.r);
+    }
+    this.bulkUpdate = oldBulkUpdate;
+  }
+
+  // return all balls to their appropriate drops
+  public returnBalls():void {
+    for (const drop of this.drops) {
+      this.setDropBallCount(drop);
+    }
+    this.recorder.clear();
+    this.trails.clear();
+    this.timeline.clear();
+    this._isRunning = false;
+  }
+
+  // record the addition or removal of a ball so it can be undone
+  protected _recordBall(ball:Ball, added:boolean):void {
+    const c:number = ball.column;
+    const r:number = ball.row;
+    const add = () => {
+      // let the ball get re-assigned to a drop based on its location
+      ball.drop = null;
+      this.addBall(ball, c, r);
+    };
+    const remove = () => this.removeBall(ball);
+    this.history.record({
+      undo: added ? remove : add,
+      redo: added ? add : remove
+    });
+  }
+
+  // get the ball under the given point in fractional column/row units
+  public ballUnder(column:number, row:number):Ball {
+    const radius = (BALL_RADIUS / SPACING) * 1.2;
+    let closest:Ball = null;
+    let minDistance:number = Infinity;
+    for (const ball of this.balls) {
+      const dx:number = Math.abs(column - ball.column);
+      const dy:number = Math.abs(row - ball.row);
+      if ((dx > radius) || (dy > radius)) continue;
+      const d:number = Math.sqrt((dx * dx) + (dy * dy));
+      if (d < minDistance) {
+        closest = ball;
+        minDistance = d;
+      }
+    }
+    return(closest);
+  }
+
+  // keep a set of all drops on the board
+  public readonly drops:Set<Drop> = new Set();
+
+  // return the drop that would definitely collect a ball dropped at the given
+  //  location, or null if it won't definitely reach one
+  public catchmentDrop(c:number, r:number):Drop {
+    c = Math.round(c);
+    r = Math.max(0, Math.round(r));
+    let lc:number = c; // the last column the ball was in
+    while ((r < this.rowCount) && (c >= 0) && (c < this.columnCount)) {
+      const p = this.getPart(c, r);
+      // don't go off the board
+      if (! p) break;
+      // if we hit a drop we're done
+      if (p instanceof Drop) return(p);
+      // follow deterministic parts
+      else if (p.type == PartType.SLOPE) {
+        c += p.isFlipped ? -1 : 1;
+      }
+      else if (p.type == PartType.RAMP) {
+        c += p.isFlipped ? -1 : 1;
+        r++;
+      }
+      else if (p.type == PartType.CROSSOVER) {
+        if (lc < c) { c++; r++; }
+        else if (lc > c) { c--; r++; }
+        else break; // a vertical drop onto a crossover is non-deterministic
+      }
+      // this stops the fall
+      else if (p.type == PartType.INTERCEPTOR) break;
+      // these are non-deterministic
+      else if ((p.type == PartType.BIT) || (p.type == PartType.GEARBIT)) break;
+      // in all other cases, assume an uncontrolled fall
+      else r++;
+      lc = c;
+    }
+    return(null);
+  }
+
+  // return the drop that's closest to the given location
+  public nearestDrop(c:number, r:number):Drop {
+    let nearest:Drop = null;
+    let minDistance:number = Infinity;
+    for (const drop of this.drops) {
+      const d = Math.pow(c - drop.column, 2) + Math.pow(r - drop.row, 2);
+      if (d < minDistance) {
+        minDistance = d;
+        nearest = drop;
+      }
+    }
+    return(nearest);
+  }
+
+  // connect adjacent sets of gears
+  //  see: https://en.wikipedia.org/wiki/Connected-component_labeling
+  protected _connectGears():void {
+    let r:number;
+    let c:number;
+    let label:number = 0;
+    let min:number, max:number;
+    let westPart:Part, westLabel:number;
+    let northPart:Part, northLabel:number;
+    let allGears:Set<GearBase> = new Set();
+    for (const row of this._grid) {
+      for (const part of row) {
+        if (part instanceof GearBase) allGears.add(part);
+      }
+    }
+    let equivalence:DisjointSet = new DisjointSet(allGears.size);
+    r = 0;
+    for (const row of this._grid) {
+      c = 0;
+      westPart = null;
+      for (const part of row) {
+        northPart = r > 0 ? this.getPart(c, r - 1) : null;
+        if (part instanceof GearBase) {
+          northLabel = (northPart instanceof GearBase) ? 
+            northPart._connectionLabel : -1;
+          westLabel = (westPart instanceof GearBase) ? 
+            westPart._connectionLabel : -1;
+          if ((northLabel >= 0) && (westLabel >= 0)) {
+            if (northLabel === westLabel) {
+              part._connectionLabel = northLabel;
+            }
+            else {
+              min = Math.min(northLabel, westLabel);
+              max = Math.max(northLabel, westLabel);
+              part._connectionLabel = min;
+              equivalence.mergeSets(min, max);
+            }
+          }
+          else if (northLabel >= 0) {
+            part._connectionLabel = northLabel;
+          }
+          else if (westLabel >= 0) {
+            part._connectionLabel = westLabel;
+          }
+          else part._connectionLabel = label++;
+        }
+        westPart = part;
+        c++;
+      }
+      r++;
+    }
+    // group labeled gears into sets
+    const sets:Map<number,Set<GearBase>> = new Map();
+    for (const part of allGears) {
+      label = equivalence.getRepr(part._connectionLabel);
+      if (! sets.has(label)) sets.set(label, new Set());
+      const set = sets.get(label);
+      set.add(part);
+      part.connected = set;
+    }
+  }
+
+  // connect turnstiles to their nearest drops
+  protected _connectTurnstiles():void {
+    for (const row of this._grid) {
+      for (const part of row) {
+        if (part instanceof Turnstile) {
+          const linked = part.linkedDrop;
+          part.drop = ((linked) && 
+                       (this.getPart(linked.column, linked.row) === linked)) ?
+            linked : this.nearestDrop(part.column, part.row);
+        }
+      }
+    }
+  }
+
+  // configure slope angles by grouping adjacent ones
+  protected _connectSlopes():void {
+    let slopes:Slope[] = [ ];
+    for (const row of this._grid) {
+      for (const part of row) {
+        if (part instanceof Slope) {
+          if ((slopes.length > 0) && 
+              (slopes[0].isFlipped !== part.isFlipped)) {
+            this._makeSlope(slopes);
+          }
+          slopes.push(part);
+        }
+        else if (slopes.length > 0) {
+          this._makeSlope(slopes);
+        }
+      }
+      if (slopes.length > 0) {
+        this._makeSlope(slopes);
+      }
+    }
+  }
+  // configure a horizontal run of fence parts
+  protected _makeSlope(slopes:Slope[]):void {
+    if (! (slopes.length > 0)) return;
+    for (let i:number = 0; i < slopes.length; i++) {
+      slopes[i].modulus = slopes.length;
+      slopes[i].sequence = slopes[i].isFlipped ? 
+        ((slopes.length - 1) - i) : i;
+    }
+    slopes.splice(0, slopes.length);
+  }
+  // flip a fence part
+  protected _flipFence(column:number, row:number) {
+    const part:Part = this.getPart(column, row);
+    if ((! (part instanceof Slope)) && (! (part instanceof Side))) return;
+    const wasFlipped:boolean = part.isFlipped;
+    const type:PartType = part.type;
+    part.flip();
+    // make a test function to shorten the code below
+    const shouldContinue = (part:Part):boolean => {
+      if ((part.isFlipped == wasFlipped) && (part.type == type)) {
+        part.flip();
+        return(true);
+      }
+      return(false);
+    };
+    if (part instanceof Slope) {
+      // go right
+      for (let c:number = column + 1; c < this._columnCount; c++) {
+        if (! shouldContinue(this.getPart(c, row))) break;
+      }
+      // go left
+      for (let c:number = column - 1; c >= 0; c--) {
+        if (! shouldContinue(this.getPart(c, row))) break;
+      }
+    }
+    else if (part instanceof Side) {
+      // go down
+      for (let r:number = row + 1; r < this._rowCount; r++) {
+        if (! shouldContinue(this.getPart(column, r))) break;
+      }
+      // go up
+      for (let r:number = row - 1; r >= 0; r--) {
+        if (! shouldContinue(this.getPart(column, r))) break;
+      }
+    }
+    // update sequence numbers for slopes
+    this._connectSlopes();
+  }
+
+  // return whether all balls appear to be at rest since the last check
+  protected _checkBallMovement():boolean {
+    let atRest:boolean = true;
+    let p;
+    for (const ball of this.balls) {
+      // balls that were just added haven't moved yet
+      if (! this._ballPositions.has(ball)) {
+        this._ballPositions.set(ball, { c: ball.column, r: ball.row });
+      }
+      else {
+        p = this._ballPositions.get(ball);
+        if ((atRest) &&
+            (Math.max(Math.abs(p.c - ball.column), 
+                      Math.abs(p.r - ball.row)) > 0.05)) {
+          atRest = false;
+        }
+        p.c = ball.column;
+        p.r = ball.row;
+      }
+    }
+    return(atRest);
+  }
+  private _ballPositions:WeakMap<Part,{c:number,r:number}> = new WeakMap();
+
+  // see if any bits or gearbits have changed their rotation states from 
+  //  interaction with balls, and notify if so
+  protected _checkBitRotations():void {
+    let changed:boolean = false;
+    for (const row of this._grid) {
+      for (const part of row) {
+        if (! part) continue;
+        if ((part.type !== PartType.BIT) && 
+            (part.type !== PartType.GEARBIT)) continue;
+        if (this._bitState.get(part) !== part.bitValue) {
+          changed = true;
+          this._bitState.set(part, part.bitValue);
+        }
+      }
+    }
+    if (changed) this.onChange();
+  }
+  private _bitState:WeakMap<Part,boolean> = new WeakMap();
+
+  // REGIONS ******************************************************************
+
+  // make a copy of the parts in the given area of the board, optionally
+  //  leaving out parts that are locked in place
+  public copyRegion(rect:GridRect, includeLocked:boolean=true):Clipping {
+    const clipping = new Clipping(rect.columnCount, rect.rowCount, 
+      (rect.column + rect.row) % 2);
+    for (let r:number = rect.row; r < rect.bottom; r++) {
+      for (let c:number = rect.column; c < rect.right; c++) {
+        const part = this.getPart(c, r);
+        if ((! part) || ((part.isLocked) && (! includeLocked))) continue;
+        clipping.parts.push({
+          part: this.partFactory.copy(part),
+          column: c - rect.column,
+          row: r - rect.row,
+          ballCount: (part instanceof Drop) ? part.balls.size : 0
+        });
+      }
+    }
+    return(clipping);
+  }
+
+  // remove all parts that aren't locked from the given area of the board
+  public clearRegion(rect:GridRect):void {
+    this.history.beginGroup();
+    const oldBulkUpdate = this.bulkUpdate;
+    this.bulkUpdate = true;
+    for (let r:number = rect.row; r < rect.bottom; r++) {
+      for (let c:number = rect.column; c < rect.right; c++) {
+        const part = this.getPart(c, r);
+        if ((! part) || (part.isLocked) || (this.isBackgroundPart(c, r))) continue;
+        this.clearPart(c, r);
+      }
+    }
+    this.bulkUpdate = oldBulkUpdate;
+    this.history.endGroup();
+  }
+
+  // place copies of the given parts on the board with their top left corner
+  //  as close as possible to the given location, returning the area covered,
+  //  or null if nothing was pasted because some parts wouldn't fit
+  public pasteClipping(clipping:Clipping, column:number, row:number):GridRect {
+    if (! this.canPasteClipping(clipping, column, row)) return(null);
+    column = this._pasteColumn(clipping, column, row);
+    this.history.beginGroup();
+    const oldBulkUpdate = this.bulkUpdate;
+    this.bulkUpdate = true;
+    const drops:Map<Drop,number> = new Map();
+    for (const item of clipping.parts) {
+      const c = column + item.column;
+      const r = row + item.row;
+      // only empty locations can be left out, which loses nothing
+      if ((c < 0) || (c >= this.columnCount) || 
+          (r < 0) || (r >= this.rowCount)) continue;
+      const oldPart = this.getPart(c, r);
+      if ((oldPart) && (oldPart.isLocked)) continue;
+      // leave out parts that have run out, which are still on the clipboard
+      //  or were taken off the board to be moved, so the supply is enough
+      if ((Inventory.isInventoryType(item.part.type)) &&
+          (! this.canPlacePart(item.part.type, c, r))) continue;
+      // background locations follow the alternating pattern of the board
+      const part = this.isBackgroundType(item.part.type) ? 
+        this.makeBackgroundPart(c, r) : this.partFactory.copy(item.part);
+      this.setPart(part, c, r);
+      if (part instanceof Drop) drops.set(part, item.ballCount);
+    }
+    // this reconnects gears, slopes, and turnstiles
+    this.bulkUpdate = oldBulkUpdate;
+    for (const [ drop, ballCount ] of drops) {
+      this.setDropBallCount(drop, ballCount);
+    }
+    this.history.endGroup();
+    return(new GridRect(column, row, clipping.columnCount, clipping.rowCount));
+  }
+
+  // whether all the given parts can be pasted with their top left corner at
+  //  the given location, which they can't if any part other than an empty
+  //  location would land outside the board or on a locked spot
+  public canPasteClipping(clipping:Clipping, column:number,
+                          row:number):boolean {
+    column = this._pasteColumn(clipping, column, row);
+    for (const item of clipping.parts) {
+      if (this.isBackgroundType(item.part.type)) continue;
+      const c = column + item.column;
+      const r = row + item.row;
+      if ((c < 0) || (c >= this.columnCount) || 
+          (r < 0) || (r >= this.rowCount)) return(false);
+      const oldPart = this.getPart(c, r);
+      if ((oldPart) && (oldPart.isLocked)) return(false);
+    }
+    return(true);
+  }
+
+  // get the column to paste the given parts at so they stay on the same
+  //  kind of location they were copied from
+  protected _pasteColumn(clipping:Clipping, column:number,
+                         row:number):number {
+    if ((Math.abs(column + row) % 2 !== clipping.parity) &&
+        (this._hasFixedParts(clipping))) column++;
+    return(column);
+  }
+
+  // whether the given parts include some that can only go on part locations
+  protected _hasFixedParts(clipping:Clipping):boolean {
+    for (const item of clipping.parts) {
+      if (! this.canPlaceAnywhere(item.part.type)) return(true);
+    }
+    return(false);
+  }
+
+  // LAYOUT *******************************************************************
+
+  // do layout for one part at the given location
+  public layoutPart(part:Part, column:number, row:number):void {
+    if (! part) return;
+    part.column = column;
+    part.row = row;
+  }
+
+  // do layout for all parts on the grid
+  public layoutParts():void {
+    let r:number = 0;
+    for (const row of this._grid) {
+      let c:number = 0;
+      for (const part of row) {
+        this.layoutPart(part, c, r);
+        c++;
+      }
+      r++;
+    }
+    for (const ball of this.balls) {
+      this.layoutPart(ball, ball.column, ball.row);
+    }
+  }
+
+}
\ No newline at end of file
@@ -1,9 +1,7 @@
-import * as PIXI from 'pixi.js';
-
 import { Engine, Composite, World, Constraint, Body, Bodies, Vector, 
          Grid } from 'matter-js';
-import { IBallRouter } from './router';
-import { Board } from './board';
+import { IBallRouter, RouterState } from './router';
+import { BoardModel } from './model';
 import { Renderer } from 'renderer';
 import { Part } from 'parts/part';
 import { Ball } from 'parts/ball';
@@ -12,7 +10,6 @@ import { Gearbit, GearBase } from 'parts/gearbit';
 import { PartBody, PartBodyFactory } from 'parts/partbody';
 
 import { SPACING } from './constants';
-import { Animator } from 'ui/animator';
 import { PartType } from 'parts/factory';
 
 export type PartBallContact = {
@@ -22,9 +19,27 @@ export type PartBallContact = {
 
 export type ContactMap = Map<PartBody,Set<PartBallContact>>;
 
+// the motion of a body in the physics engine, including the impulses the
+//  engine carries over between updates to keep stacks of bodies stable
+type BodyMotion = { 
+  velocity:Vector, 
+  // balls don't store their angle, but it affects how they collide
+  angle:number,
+  angularVelocity:number,
+  positionImpulse:Vector,
+  constraintImpulse:{ x:number, y:number, angle:number }
+};
+
+// the state of the physics engine that isn't stored on parts
+type PhysicsState = {
+  bodies:Map<Part,BodyMotion>,
+  // the impulses on contacts between bodies, keyed by pair and contact
+  contacts:Map<string,Map<string,[ number, number ]>>
+};
+
 export class PhysicalBallRouter implements IBallRouter {
 
-  constructor(public readonly board:Board) {
+  constructor(public readonly board:BoardModel) {
     this.engine = Engine.create();
     this.balls = this.board.balls;
     // make walls to catch stray balls
@@ -57,13 +72,89 @@ export class PhysicalBallRouter implements IBallRouter {
     }
     else this.engine.timing.timeScale = 1;
     for (let i:number = 0; i < iterations; i++) {
-      this.beforeUpdate();
-      Engine.update(this.engine);
-      this.afterUpdate();
-      GearBase.update();
+      this._updateEngine();
     }
   }
 
+  // run a single update of the physics engine at normal speed
+  public step():void {
+    this.engine.timing.timeScale = 1;
+    this._updateEngine();
+  }
+
+  protected _updateEngine():void {
+    this.beforeUpdate();
+    Engine.update(this.engine);
+    this.afterUpdate();
+    GearBase.update(this.board.animator);
+  }
+
+  // save the motion of bodies, since their positions and angles come from
+  //  the parts they simulate
+  public saveState():RouterState {
+    const state:PhysicsState = { bodies: new Map(), contacts: new Map() };
+    for (const [ part, partBody ] of this._parts.entries()) {
+      const body = partBody.body;
+      if ((! body) || (body.isStatic)) continue;
+      // the engine's velocity properties don't include corrections made
+      //  after they were computed, so get it from the previous position
+      const b = body as any;
+      state.bodies.set(part, { 
+        velocity: { x: body.position.x - b.positionPrev.x, 
+                    y: body.position.y - b.positionPrev.y },
+        angle: body.angle,
+        angularVelocity: body.angle - b.anglePrev,
+        positionImpulse: { x: b.positionImpulse.x, y: b.positionImpulse.y },
+        constraintImpulse: { x: b.constraintImpulse.x, 
+          y: b.constraintImpulse.y, angle: b.constraintImpulse.angle } });
+    }
+    for (const pair of this.engine.pairs.list as any[]) {
+      const impulses:Map<string,[ number, number ]> = new Map();
+      for (const id in pair.contacts) {
+        const contact = pair.contacts[id];
+        impulses.set(id, [ contact.normalImpulse, contact.tangentImpulse ]);
+      }
+      state.contacts.set(pair.id, impulses);
+    }
+    return(state);
+  }
+
+  public restoreState(state:RouterState):void {
+    // balls may have moved far enough to need different neighbors
+    this._ballNeighbors.clear();
+    // move bodies to match the parts
+    this.beforeUpdate();
+    if (! state) return;
+    const physicsState = state as PhysicsState;
+    for (const [ part, partBody ] of this._parts.entries()) {
+      const body = partBody.body;
+      if ((! body) || (body.isStatic)) continue;
+      const motion:BodyMotion = physicsState.bodies.get(part);
+      if (motion) Body.setAngle(body, motion.angle);
+      Body.setVelocity(body, motion ? motion.velocity : { x: 0, y: 0 });
+      Body.setAngularVelocity(body, motion ? motion.angularVelocity : 0);
+      const b = body as any;
+      b.positionImpulse = motion ? 
+        { x: motion.positionImpulse.x, y: motion.positionImpulse.y } :
+        { x: 0, y: 0 };
+      b.constraintImpulse = motion ? 
+        { x: motion.constraintImpulse.x, y: motion.constraintImpulse.y,
+          angle: motion.constraintImpulse.angle } :
+        { x: 0, y: 0, angle: 0 };
+    }
+    // restore the impulses the engine uses to warm up contacts
+    for (const pair of this.engine.pairs.list as any[]) {
+      const impulses = physicsState.contacts.get(pair.id);
+      for (const id in pair.contacts) {
+        const contact = pair.contacts[id];
+        const impulse = impulses ? impulses.get(id) : null;
+        contact.normalImpulse = impulse ? impulse[0] : 0;
+        contact.tangentImpulse = impulse ? impulse[1] : 0;
+      }
+    }
+    this.renderWireframe();
+  }
+
   public beforeUpdate():void {
     const partsChanged:boolean = 
       this.addNeighborParts(this._boardChangeCounter !== this.board.changeCounter);
@@ -305,41 +396,33 @@ export class PhysicalBallRouter implements IBallRouter {
       }
     }
     if (this.board.speed > 0) {
-      Animator.current.animate(part, 'rotation', 
+      part.animator.animate(part, 'rotation', 
         part.rotation, part.restingRotation, 0.1 / this.board.speed);
     }
   }
 
   // WIREFRAME PREVIEW ********************************************************
 
-  public get showWireframe():boolean {
-    return(this._wireframe ? true : false);
-  }
-  public set showWireframe(v:boolean) {
-    if ((v) && (! this._wireframe)) {
-      this._wireframe = new PIXI.Sprite();
-      this._wireframeGraphics = new PIXI.Graphics();
-      this._wireframe.addChild(this._wireframeGraphics);
-      this.board._layers.addChild(this._wireframe);
-      this.onBoardSizeChanged();
-      this.renderWireframe();
-    }
-    else if ((! v) && (this._wireframe)) {
-      this.board._layers.removeChild(this._wireframe);
-      this._wireframe = null;
-      this._wireframeGraphics = null;
-      Renderer.needsUpdate();
-    }
+  // graphics to draw the bodies in the physics engine into for debugging,
+  //  or null to skip drawing them
+  public get wireframe():PIXI.Graphics { return(this._wireframe); }
+  public set wireframe(g:PIXI.Graphics) {
+    if (g === this._wireframe) return;
+    if (this._wireframe) this._wireframe.clear();
+    this._wireframe = g;
+    this.renderWireframe();
   }
-  private _wireframe:PIXI.Sprite;
-  private _wireframeGraphics:PIXI.Graphics;
+  private _wireframe:PIXI.Graphics = null;
+
+  // the scale to draw the wireframe at, relative to physics engine units
+  public wireframeScale:number = 1.0;
 
   public renderWireframe():void {
     if (! this._wireframe) return;
     // setup
-    const g = this._wireframeGraphics;
+    const g = this._wireframe;
     g.clear();
-    const scale = this.board.spacing / SPACING;
+    const scale = this.wireframeScale;
     // draw all constraints
     var constraints = (Composite.allConstraints(this.engine.world) as any) as Constraint[];
     for (const constraint of constraints) {
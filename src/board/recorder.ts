@@ -0,0 +1,136 @@
+import { BoardModel } from './model';
+import { GridRect } from './selection';
+import { Ball } from 'parts/ball';
+import { Drop } from 'parts/drop';
+import { Turnstile } from 'parts/turnstile';
+
+// a ball that arrived at the output
+export type OutputBall = {
+  hue:number,
+  // the location of the drop the ball came from, if any
+  drop:{ column:number, row:number }
+};
+
+// names for the hues of standard balls, used to describe output sequences
+const HUE_NAMES:[ number, string ][] = [
+  [ 0, 'red' ],
+  [ 30, 'orange' ],
+  [ 45, 'yellow' ],
+  [ 120, 'green' ],
+  [ 180, 'cyan' ],
+  [ 220, 'blue' ],
+  [ 280, 'purple' ],
+  [ 320, 'pink' ]
+];
+
+// get the name of the standard color closest to the given hue
+export function nameForHue(hue:number):string {
+  let name:string = '';
+  let minDistance:number = Infinity;
+  for (const [ h, n ] of HUE_NAMES) {
+    let d = Math.abs((((hue - h) % 360) + 360) % 360);
+    d = Math.min(d, 360 - d);
+    if (d < minDistance) {
+      name = n;
+      minDistance = d;
+    }
+  }
+  return(name);
+}
+
+// logs the balls that reach the output of the board in the order they
+//  arrive, which is how most puzzles are judged
+export class OutputRecorder {
+
+  constructor(public readonly board:BoardModel) {
+
+  }
+
+  // the balls that have arrived since the recorder was last cleared
+  public get output():OutputBall[] { return(this._output.slice()); }
+  private _output:OutputBall[] = [ ];
+
+  // the area of the board to count balls arriving in, or null to count
+  //  balls passing through turnstiles
+  public get region():GridRect { return(this._region); }
+  public set region(v:GridRect) {
+    if ((v === this._region) || ((v) && (v.equals(this._region)))) return;
+    this._region = v;
+    // balls already in the new region shouldn't count as arriving
+    this._inside.clear();
+    for (const ball of this.board.balls) {
+      if (this._isInside(ball)) this._inside.add(ball);
+    }
+    this.onRegionChange();
+  }
+  private _region:GridRect = null;
+
+  // called when a ball is recorded or the output is cleared
+  public onChange():void { }
+
+  // called when the region the recorder counts balls in changes
+  public onRegionChange():void { }
+
+  // describe the output as a list of color names
+  public describe():string {
+    return(this._output.map((ball) => nameForHue(ball.hue)).join(', '));
+  }
+
+  // forget all balls that have been recorded
+  public clear():void {
+    this._inside.clear();
+    if (! (this._output.length > 0)) return;
+    this._output = [ ];
+    this.onChange();
+  }
+
+  // go back to an earlier output, as when balls are moved back in time
+  public restore(output:OutputBall[]):void {
+    this._output = output.slice();
+    this._inside.clear();
+    for (const ball of this.board.balls) {
+      if (this._isInside(ball)) this._inside.add(ball);
+    }
+    this.onChange();
+  }
+
+  // move the region along with the parts when the grid is shifted
+  public shift(columns:number, rows:number):void {
+    if (this._region) this._region = this._region.offset(columns, rows);
+  }
+
+  // check for balls that have entered the output since the last update
+  public update():void {
+    let changed:boolean = false;
+    for (const ball of this.board.balls) {
+      if (this._isInside(ball)) {
+        if (this._inside.has(ball)) continue;
+        this._inside.add(ball);
+        this._output.push(this._makeOutputBall(ball));
+        changed = true;
+      }
+      else this._inside.delete(ball);
+    }
+    // forget about balls that have been removed from the board
+    for (const ball of this._inside) {
+      if (! this.board.balls.has(ball)) this._inside.delete(ball);
+    }
+    if (changed) this.onChange();
+  }
+  // balls that were in the output as of the last update
+  private _inside:Set<Ball> = new Set();
+
+  protected _isInside(ball:Ball):boolean {
+    const c = Math.round(ball.column);
+    const r = Math.round(ball.row);
+    if (this.region) return(this.region.contains(c, r));
+    return(this.board.getPart(c, r) instanceof Turnstile);
+  }
+
+  protected _makeOutputBall(ball:Ball):OutputBall {
+    const drop:Drop = ball.drop;
+    return({ hue: ball.hue,
+      drop: drop ? { column: drop.column, row: drop.row } : null });
+  }
+
+}
\ No newline at end of file
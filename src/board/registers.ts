@@ -0,0 +1,191 @@
+import { BoardModel } from './model';
+import { GridRect } from './selection';
+import { Part } from 'parts/part';
+import { PartType } from 'parts/factory';
+
+// a location on the part grid
+export type GridLocation = { column:number, row:number };
+
+// a named group of bits that together hold a binary number
+export type Register = {
+  name:string,
+  // the locations of the bits, starting with the least significant one
+  bits:GridLocation[]
+};
+
+// the most bits a register can have, which keeps its value an exact integer
+export const MAX_REGISTER_BITS:number = 32;
+
+// keeps track of groups of bits and gearbits that are read together as
+//  numbers, like the bits of a counter
+export class RegisterSet {
+
+  constructor(public readonly board:BoardModel) {
+
+  }
+
+  // called when registers are added, removed, or changed
+  public onChange():void { }
+
+  // called when the value of any register changes
+  public onValuesChange():void { }
+
+  // the registers in the order they were defined
+  public get registers():Register[] { return(this._registers.slice()); }
+  private _registers:Register[] = [ ];
+
+  // get the register with the given name, or null if there isn't one
+  public find(name:string):Register {
+    for (const register of this._registers) {
+      if (register.name === name) return(register);
+    }
+    return(null);
+  }
+
+  // define a register, replacing any register that has the same name
+  public define(name:string, bits:GridLocation[]):void {
+    name = name.trim();
+    if ((! (name.length > 0)) || (! (bits.length > 0))) return;
+    const register:Register = { name: name,
+      bits: bits.slice(0, MAX_REGISTER_BITS).map((bit) =>
+        ({ column: bit.column, row: bit.row })) };
+    const existing = this.find(name);
+    if (existing) {
+      this._registers[this._registers.indexOf(existing)] = register;
+    }
+    else this._registers.push(register);
+    this._onRegistersChanged();
+  }
+
+  // remove the register with the given name
+  public remove(name:string):void {
+    const register = this.find(name);
+    if (! register) return;
+    this._registers.splice(this._registers.indexOf(register), 1);
+    this._onRegistersChanged();
+  }
+
+  // remove all registers
+  public clear():void {
+    if (! (this._registers.length > 0)) return;
+    this._registers = [ ];
+    this._onRegistersChanged();
+  }
+
+  protected _onRegistersChanged():void {
+    this._values = this._registers.map((r) => this.valueOf(r));
+    this.onChange();
+    this.onValuesChange();
+  }
+
+  // whether the given part can be part of a register
+  public static canHoldBit(part:Part):boolean {
+    return((part) && ((part.type === PartType.BIT) ||
+                      (part.type === PartType.GEARBIT)));
+  }
+
+  // get the locations of bits and gearbits in the given area in reading
+  //  order, which puts the least significant bit at the top left
+  public bitsInRect(rect:GridRect):GridLocation[] {
+    const bits:GridLocation[] = [ ];
+    for (let r:number = rect.row; r < rect.bottom; r++) {
+      for (let c:number = rect.column; c < rect.right; c++) {
+        if (RegisterSet.canHoldBit(this.board.getPart(c, r))) {
+          bits.push({ column: c, row: r });
+        }
+      }
+    }
+    return(bits);
+  }
+
+  // BUILDING *****************************************************************
+
+  // bits the user has picked for a register that hasn't been named yet,
+  //  in the order they were picked
+  public get pending():GridLocation[] { return(this._pending.slice()); }
+  private _pending:GridLocation[] = [ ];
+
+  // get the position of the given location in the pending bits, or -1 if
+  //  it isn't one of them
+  public pendingIndex(column:number, row:number):number {
+    for (let i:number = 0; i < this._pending.length; i++) {
+      const bit = this._pending[i];
+      if ((bit.column === column) && (bit.row === row)) return(i);
+    }
+    return(-1);
+  }
+
+  // add the given location to the end of the pending bits, or remove it
+  //  if it's already one of them
+  public togglePending(column:number, row:number):void {
+    const i = this.pendingIndex(column, row);
+    if (i >= 0) this._pending.splice(i, 1);
+    else if (this._pending.length < MAX_REGISTER_BITS) {
+      this._pending.push({ column: column, row: row });
+    }
+    else return;
+    this.onChange();
+  }
+
+  // forget the pending bits
+  public clearPending():void {
+    if (! (this._pending.length > 0)) return;
+    this._pending = [ ];
+    this.onChange();
+  }
+
+  // VALUES *******************************************************************
+
+  // get the current value of the given register
+  public valueOf(register:Register):number {
+    let value:number = 0;
+    for (let i:number = register.bits.length - 1; i >= 0; i--) {
+      const bit = register.bits[i];
+      const part = this.board.getPart(bit.column, bit.row);
+      // use multiplication so values above 31 bits don't go negative
+      value = (value * 2) +
+        (((RegisterSet.canHoldBit(part)) && (part.bitValue)) ? 1 : 0);
+    }
+    return(value);
+  }
+
+  // the values of all registers as of the last update, in the same order
+  //  as the registers
+  public get values():number[] { return(this._values.slice()); }
+  private _values:number[] = [ ];
+
+  // check for registers whose values have changed since the last update
+  public update():void {
+    let changed:boolean = false;
+    for (let i:number = 0; i < this._registers.length; i++) {
+      const value = this.valueOf(this._registers[i]);
+      if (value === this._values[i]) continue;
+      this._values[i] = value;
+      changed = true;
+    }
+    if (changed) this.onValuesChange();
+  }
+
+  // format a value the way it's shown on the panel
+  public static formatBinary(value:number, bitCount:number):string {
+    let s = value.toString(2);
+    while (s.length < bitCount) s = '0'+s;
+    return(s);
+  }
+  public static formatHex(value:number, bitCount:number):string {
+    let s = value.toString(16).toUpperCase();
+    while (s.length < Math.ceil(bitCount / 4)) s = '0'+s;
+    return('0x'+s);
+  }
+
+  // move the bits of registers along with the parts when the grid is shifted
+  public shift(columns:number, rows:number):void {
+    const move = (bit:GridLocation) => {
+      bit.column += columns;
+      bit.row += rows;
+    };
+    for (const register of this._registers) register.bits.forEach(move);
+    this._pending.forEach(move);
+  }
+
+}
\ No newline at end of file
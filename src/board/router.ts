@@ -1,10 +1,22 @@
 import { Ball } from 'parts/ball';
 
+// state a router keeps apart from the balls and parts, which only has
+//  meaning to the router that saved it
+export type RouterState = any;
+
 export interface IBallRouter {
   // respond to changes to the size or scale of the board
   onBoardSizeChanged():void;
   // update ball positions, etc.
   update(speed:number, correction:number):void;
+  // advance ball positions by the smallest possible amount
+  step():void;
+  // capture state that would be lost if the balls and parts were moved back
+  //  to an earlier position
+  saveState():RouterState;
+  // restore state that was saved when the balls and parts were where
+  //  they are now
+  restoreState(state:RouterState):void;
   // the set of balls to route
   balls:Set<Ball>;
 }
\ No newline at end of file
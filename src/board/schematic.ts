@@ -1,7 +1,7 @@
 import { Vector } from 'matter-js';
 
-import { IBallRouter } from './router';
-import { Board } from './board';
+import { IBallRouter, RouterState } from './router';
+import { BoardModel } from './model';
 import { Part } from 'parts/part';
 import { PartType } from 'parts/factory';
 import { Ball } from 'parts/ball';
@@ -27,7 +27,7 @@ const EXIT:number = 0.51 + RAD;
 
 export class SchematicBallRouter implements IBallRouter {
 
-  constructor(public readonly board:Board) {
+  constructor(public readonly board:BoardModel) {
     this.balls = this.board.balls;
   }
   public balls:Set<Ball>;
@@ -37,23 +37,32 @@ export class SchematicBallRouter implements IBallRouter {
   public update(speed:number, correction:number):void {
     const iterations:number = Math.ceil(speed * 8);
     for (let i:number = 0; i < iterations; i++) {
-      for (const ball of this.balls) {
-        ball.vx = ball.vy = 0;
-        ball.minX = ball.maxX = ball.maxY = NaN;
-        if (this.routeBall(ball)) {
-          this.board.layoutPart(ball, ball.column, ball.row);
-        }
-        else {
-          this.board.removeBall(ball);
-        }
+      this.step();
+    }
+  }
+
+  // route all balls by one step
+  public step():void {
+    for (const ball of this.balls) {
+      ball.vx = ball.vy = 0;
+      ball.minX = ball.maxX = ball.maxY = NaN;
+      if (this.routeBall(ball)) {
+        this.board.layoutPart(ball, ball.column, ball.row);
+      }
+      else {
+        this.board.removeBall(ball);
       }
-      this.stackBalls();
-      this.moveBalls();
-      this.confineBalls();
-      GearBase.update();
     }
+    this.stackBalls();
+    this.moveBalls();
+    this.confineBalls();
+    GearBase.update(this.board.animator);
   }
 
+  // all the state of the schematic router is stored on the balls
+  public saveState():RouterState { return(null); }
+  public restoreState(state:RouterState):void { }
+
   protected moveBalls():void {
     for (const ball of this.balls) {
       const m = Math.sqrt((ball.vx * ball.vx) + (ball.vy * ball.vy));
@@ -0,0 +1,75 @@
+import { Part } from 'parts/part';
+
+// a rectangular area of the part grid
+export class GridRect {
+
+  constructor(public readonly column:number, public readonly row:number,
+              public readonly columnCount:number, public readonly rowCount:number) {
+
+  }
+
+  // make a rectangle that includes both of the given cells
+  public static fromCorners(c0:number, r0:number, c1:number, r1:number):GridRect {
+    return(new GridRect(Math.min(c0, c1), Math.min(r0, r1),
+      Math.abs(c1 - c0) + 1, Math.abs(r1 - r0) + 1));
+  }
+
+  // the column and row just past the right and bottom edges
+  public get right():number { return(this.column + this.columnCount); }
+  public get bottom():number { return(this.row + this.rowCount); }
+
+  // whether the rectangle contains the given cell
+  public contains(column:number, row:number):boolean {
+    return((column >= this.column) && (column < this.right) &&
+           (row >= this.row) && (row < this.bottom));
+  }
+
+  // get a copy of the rectangle moved by the given amounts
+  public offset(columns:number, rows:number):GridRect {
+    return(new GridRect(this.column + columns, this.row + rows,
+      this.columnCount, this.rowCount));
+  }
+
+  // get the part of the rectangle that lies on a grid with the given size,
+  //  or null if none of it does
+  public clamp(columnCount:number, rowCount:number):GridRect {
+    const c0 = Math.max(0, this.column);
+    const r0 = Math.max(0, this.row);
+    const c1 = Math.min(columnCount, this.right);
+    const r1 = Math.min(rowCount, this.bottom);
+    if ((c1 <= c0) || (r1 <= r0)) return(null);
+    return(new GridRect(c0, r0, c1 - c0, r1 - r0));
+  }
+
+  // whether the rectangle covers the same area as the given one
+  public equals(rect:GridRect):boolean {
+    return((rect) && (rect.column === this.column) && (rect.row === this.row) &&
+           (rect.columnCount === this.columnCount) &&
+           (rect.rowCount === this.rowCount));
+  }
+
+}
+
+// a part copied from the board, positioned relative to the top left
+//  of the area it was copied from
+export type ClippedPart = {
+  part:Part,
+  column:number,
+  row:number,
+  // the number of balls in the part if it's a drop
+  ballCount:number
+};
+
+// a set of parts copied from a rectangular area of the board
+export class Clipping {
+
+  constructor(public readonly columnCount:number, public readonly rowCount:number,
+              // whether the top left corner was on a gear location (1) or
+              //  a part location (0), which must be preserved when pasting
+              public readonly parity:number) {
+
+  }
+
+  public readonly parts:ClippedPart[] = [ ];
+
+}
\ No newline at end of file
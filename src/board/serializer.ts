@@ -3,6 +3,42 @@ import { Delays } from 'ui/config';
 import { Part } from 'parts/part';
 import { PartType } from 'parts/factory';
 import { Drop } from 'parts/drop';
+import { downloadURL, uploadFile } from 'util/file';
+import { Inventory } from './inventory';
+import { GridLocation } from './registers';
+import { encodeBase64URL, decodeBase64URL } from 'util/base64';
+
+// the start of a metadata item that defines a register
+const REGISTER_PREFIX:string = 'r:';
+
+// the version of the compact encoding of the board written to the URL,
+//  which should be incremented whenever a change is made that older code
+//  can't read
+export const URL_FORMAT_VERSION:number = 1;
+
+// codes for part types in the compact encoding, which must never change
+//  once published
+const PART_CODES:PartType[] = [
+  PartType.BLANK, PartType.PARTLOC, PartType.GEARLOC, PartType.RAMP,
+  PartType.CROSSOVER, PartType.INTERCEPTOR, PartType.BIT, PartType.GEARBIT,
+  PartType.GEAR, PartType.DROP, PartType.TURNSTILE, PartType.SIDE,
+  PartType.SLOPE ];
+
+// in the compact encoding, each byte is either a single part, where the
+//  low bits are its code and flags give its state, or a run of up to
+//  MAX_RUN empty locations or blanks, which make up most of a board, or
+//  more of the same part as the one before, like the sides of the board
+const CODE_MASK:number = 0x0F;
+const FLIPPED_FLAG:number = 0x10;
+const LOCKED_FLAG:number = 0x20;
+const KIND_MASK:number = 0xC0;
+const KIND_PART:number = 0x00;
+const KIND_EMPTY_RUN:number = 0x40;
+const KIND_BLANK_RUN:number = 0x80;
+const KIND_REPEAT_RUN:number = 0xC0;
+const MAX_RUN:number = 64;
+// the largest board the compact encoding will be read for
+const MAX_URL_BOARD_SIZE:number = 1024;
 
 export interface IBoardSerializer {
   onBoardStateChanged():void;
@@ -21,7 +57,8 @@ export class URLBoardSerializer implements IBoardSerializer {
   private _boardState:string = null;
   private _historyState:any = { 'source': 'URLBoardSerializer' };
 
-  public get dataUrl():string { return(this._boardState); }
+  // the board as a PNG image with a pixel for each grid location
+  public get dataUrl():string { return(this._writeBoardImage()); }
 
   public onBoardStateChanged():void {
     this._uiState = null;
@@ -92,35 +129,20 @@ export class URLBoardSerializer implements IBoardSerializer {
   public download():boolean {
     const url = this.dataUrl;
     if (! (url.length > 0)) return(false);
-    const a = document.createElement('a');
-    a.setAttribute('href', url);
-    a.setAttribute('download', 'ttsim.png');
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
+    downloadURL(url, 'ttsim.png');
     return(true);
   }
 
   public upload(callback:(restored:boolean) => void):boolean {
-    const input = document.createElement('input');
-    input.setAttribute('type', 'file');
-    input.setAttribute('accept', 'image/png');
-    input.onchange = () => {
-      if (! (input.files.length > 0)) return;
-      const file = input.files[0];
-      var reader = new FileReader();
-      reader.onload = (e) => {
-        this._restoring = true;
-        try {
-          this._readBoardState((e.target as any).result, callback);
-        }
-        finally {
-          this._restoring = false;
-        }
-      };
-      reader.readAsDataURL(file);
-    };
-    input.click();
+    uploadFile('image/png', false, (url:string) => {
+      this._restoring = true;
+      try {
+        this._readBoardState(url, callback);
+      }
+      finally {
+        this._restoring = false;
+      }
+    });
     return(false);
   }
 
@@ -136,6 +158,10 @@ export class URLBoardSerializer implements IBoardSerializer {
     }
     s += '&sp='+this.board.speed;
     s += '&sc='+(this.board.schematic ? '1' : '0');
+    s += '&lg='+(this.board.logic ? '1' : '0');
+    if (this.board.animateLogic) s += '&la=1';
+    // challenges aren't saved, so neither is their inventory
+    if ((this.board.inventory) && (! this.board.challenge)) s += '&inv=1';
     return(s);
   }
   protected _readUIState(s:string):void {
@@ -155,6 +181,12 @@ export class URLBoardSerializer implements IBoardSerializer {
       else if (key == 'cr') this.board.centerRow = parseFloat(value);
       else if (key == 'sp') this.board.speed = parseFloat(value);
       else if (key == 'sc') this.board.schematic = (parseInt(value) === 1);
+      else if (key == 'lg') this.board.logic = (parseInt(value) === 1);
+      else if (key == 'la') this.board.animateLogic = (parseInt(value) === 1);
+      else if (key == 'inv') {
+        this.board.inventory = (parseInt(value) === 1) ? 
+          Inventory.standard() : null;
+      }
     }
   }
 
@@ -164,6 +196,12 @@ export class URLBoardSerializer implements IBoardSerializer {
     for (const drop of this._getSortedDrops()) {
       items.push('d '+drop.hue+' '+drop.balls.size);
     }
+    // add registers as their name followed by the locations of their bits,
+    //  encoding the name so it's one token of plain ASCII
+    for (const register of this.board.registers.registers) {
+      items.push(REGISTER_PREFIX+encodeURIComponent(register.name)+' '+
+        register.bits.map((bit) => bit.column+' '+bit.row).join(' '));
+    }
     return(items.join(' '));
   }
   protected _readMetadata(s:string) {
@@ -171,9 +209,25 @@ export class URLBoardSerializer implements IBoardSerializer {
     // tokenize the string
     const tokens:string[]= s.split(' ');
     let token:string, type:string, params:number[];
+    // registers have any number of bits, so they're defined when the next
+    //  item starts or the metadata ends
+    const defineRegister = () => {
+      if ((! type) || (type.indexOf(REGISTER_PREFIX) !== 0)) return;
+      const bits:GridLocation[] = [ ];
+      for (let i:number = 0; i + 1 < params.length; i += 2) {
+        bits.push({ column: params[i], row: params[i + 1] });
+      }
+      let name:string;
+      try { name = decodeURIComponent(type.substr(REGISTER_PREFIX.length)); }
+      catch (e) { return; }
+      this.board.registers.define(name, bits);
+    };
+    this.board.registers.clear();
+    this.board.registers.clearPending();
     while (tokens.length > 0) {
       token = tokens.shift();
       if (parseFloat(token).toString() != token) {
+        defineRegister();
         type = token;
         params = [ ];
       }
@@ -189,6 +243,7 @@ export class URLBoardSerializer implements IBoardSerializer {
         }
       }
     }
+    defineRegister();
   }
   protected _getSortedDrops():Drop[] {
     const drops:Drop[] = [ ];
@@ -202,7 +257,165 @@ export class URLBoardSerializer implements IBoardSerializer {
     return(drops);
   }
 
+  // write the board in a compact binary form, starting with a version byte
+  //  and the size of the board, then a byte for each part or run of
+  //  cells, then metadata, all encoded as URL-safe base64
   protected _writeBoardState():string {
+    const bytes:number[] = [ URL_FORMAT_VERSION ];
+    this._writeVarInt(bytes, this.board.columnCount);
+    this._writeVarInt(bytes, this.board.rowCount);
+    // runs of empty locations and blanks are marked by their kind, and
+    //  other parts by their byte
+    let cell:number = -1, runLength:number = 0;
+    const endRun = () => {
+      if (! (runLength > 0)) return;
+      let kind:number = cell;
+      if ((cell & KIND_MASK) === KIND_PART) {
+        bytes.push(cell);
+        runLength--;
+        kind = KIND_REPEAT_RUN;
+      }
+      for (; runLength > 0; runLength -= MAX_RUN) {
+        bytes.push(kind | (Math.min(runLength, MAX_RUN) - 1));
+      }
+      runLength = 0;
+    };
+    for (let r:number = 0; r < this.board.rowCount; r++) {
+      for (let c:number = 0; c < this.board.columnCount; c++) {
+        const next = this._cellForPart(this.board.getPart(c, r));
+        if (next !== cell) endRun();
+        cell = next;
+        runLength++;
+      }
+    }
+    endRun();
+    // the metadata is plain ASCII, so it goes in as is
+    const metadata = this._writeMetadata();
+    for (let i:number = 0; i < metadata.length; i++) {
+      bytes.push(metadata.charCodeAt(i) & 0xFF);
+    }
+    return(encodeBase64URL(bytes));
+  }
+  protected _cellForPart(part:Part):number {
+    // the location a cleared spot gets doesn't need to be stored
+    if ((! part) || (PART_CODES.indexOf(part.type) < 0) || ((! part.isLocked) &&
+        ((part.type === PartType.PARTLOC) || (part.type === PartType.GEARLOC)))) {
+      return(KIND_EMPTY_RUN);
+    }
+    if ((part.type === PartType.BLANK) && (! part.isLocked)) {
+      return(KIND_BLANK_RUN);
+    }
+    let b:number = KIND_PART | PART_CODES.indexOf(part.type);
+    if ((part.canFlip && part.isFlipped) ||
+        (part.canRotate && part.bitValue)) b |= FLIPPED_FLAG;
+    if (part.isLocked) b |= LOCKED_FLAG;
+    return(b);
+  }
+  protected _writeVarInt(bytes:number[], n:number):void {
+    while (n >= 0x80) {
+      bytes.push((n & 0x7F) | 0x80);
+      n = Math.floor(n / 0x80);
+    }
+    bytes.push(n);
+  }
+
+  // read the board from either the compact encoding or a PNG data URL,
+  //  which is what the URL used to contain and what downloads still are
+  protected _readBoardState(state:string, callback:(restored:boolean) => void):void {
+    if (state.indexOf('data:') === 0) {
+      this._readBoardImage(state, callback);
+      return;
+    }
+    callback(this._readCompactState(state));
+  }
+
+  protected _readCompactState(state:string):boolean {
+    const bytes = decodeBase64URL(state);
+    if ((! bytes) || (! (bytes.length > 0))) {
+      console.warn('Unreadable board state in URL');
+      return(false);
+    }
+    const version = bytes[0];
+    if (version !== URL_FORMAT_VERSION) {
+      console.warn('Unsupported board state version: '+version);
+      return(false);
+    }
+    const position = { i: 1 };
+    const columns = this._readVarInt(bytes, position);
+    const rows = this._readVarInt(bytes, position);
+    if ((! (columns > 0)) || (! (rows > 0)) ||
+        (columns > MAX_URL_BOARD_SIZE) || (rows > MAX_URL_BOARD_SIZE)) {
+      console.warn('Invalid board size in URL: '+columns+'x'+rows);
+      return(false);
+    }
+    // decode all cells before changing the board so a damaged URL leaves
+    //  it alone
+    const cells:number[] = [ ];
+    const cellCount = columns * rows;
+    let i:number = position.i;
+    while ((cells.length < cellCount) && (i < bytes.length)) {
+      const b = bytes[i++];
+      const kind = b & KIND_MASK;
+      if (kind === KIND_PART) {
+        if ((b & CODE_MASK) >= PART_CODES.length) return(false);
+        cells.push(b);
+        continue;
+      }
+      const runLength = (b & ~KIND_MASK) + 1;
+      if (cells.length + runLength > cellCount) return(false);
+      let repeated:number = kind;
+      if (kind === KIND_REPEAT_RUN) {
+        repeated = cells.length > 0 ? cells[cells.length - 1] : -1;
+        if ((repeated & KIND_MASK) !== KIND_PART) return(false);
+      }
+      for (let n:number = 0; n < runLength; n++) cells.push(repeated);
+    }
+    if (cells.length < cellCount) {
+      console.warn('Board state in URL is incomplete');
+      return(false);
+    }
+    let metadata:string = '';
+    for (; i < bytes.length; i++) metadata += String.fromCharCode(bytes[i]);
+    // apply the cells
+    this.board.history.beginGroup();
+    this.board.bulkUpdate = true;
+    this.board.setSize(columns, rows, false);
+    cells.forEach((b:number, index:number) => {
+      const c = index % columns;
+      const r = Math.floor(index / columns);
+      if (b === KIND_EMPTY_RUN) {
+        this.board.clearPart(c, r);
+        return;
+      }
+      const type = (b === KIND_BLANK_RUN) ? PartType.BLANK :
+        PART_CODES[b & CODE_MASK];
+      const part = this.board.partFactory.make(type);
+      if (b & LOCKED_FLAG) part.isLocked = true;
+      if (b & FLIPPED_FLAG) {
+        if (part.canFlip) part.isFlipped = true;
+        else if (part.canRotate) part.rotation = 1;
+      }
+      this.board.setPart(part, c, r);
+    });
+    this._readMetadata(metadata);
+    this.board.bulkUpdate = false;
+    this.board.history.endGroup();
+    return(true);
+  }
+  protected _readVarInt(bytes:number[], position:{ i:number }):number {
+    let n:number = 0, scale:number = 1;
+    while (position.i < bytes.length) {
+      const b = bytes[position.i++];
+      n += (b & 0x7F) * scale;
+      if (! (b & 0x80)) return(n);
+      scale *= 0x80;
+      // don't read past the largest size that can be valid
+      if (scale > 0x10000) break;
+    }
+    return(NaN);
+  }
+
+  protected _writeBoardImage():string {
     // compose metadata to include with the image
     let metadata = this._writeMetadata();
     const metadataBytesPerRow = (this.board.columnCount - 1) * 3;
@@ -231,7 +444,7 @@ export class URLBoardSerializer implements IBoardSerializer {
     return(canvas.toDataURL());
   }
 
-  protected _readBoardState(url:string, callback:(restored:boolean) => void):void {
+  protected _readBoardImage(url:string, callback:(restored:boolean) => void):void {
     const expectedPrefix = 'data:image/png;base64,';
     const prefix = url.substr(0, expectedPrefix.length);
     if (prefix !== expectedPrefix) {
@@ -251,6 +464,7 @@ export class URLBoardSerializer implements IBoardSerializer {
       const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
       let s:string, metadata:string = '';
       // read parts and metadata from the image's pixels
+      this.board.history.beginGroup();
       this.board.bulkUpdate = true;
       this.board.setSize(w, 0, false);
       let r = 0;
@@ -272,6 +486,7 @@ export class URLBoardSerializer implements IBoardSerializer {
       }
       this._readMetadata(metadata);
       this.board.bulkUpdate = false;
+      this.board.history.endGroup();
       callback(true);
     };
     img.onerror = () => {
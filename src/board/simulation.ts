@@ -0,0 +1,233 @@
+import { BoardModel } from './model';
+import { JSONBoardFormat } from './json';
+import { TextBoardFormat } from './text';
+import { BoardBuilder } from './builder';
+import { Challenge } from './challenge';
+import { PartFactory, PartType } from 'parts/factory';
+import { GearBase } from 'parts/gearbit';
+import { Drop } from 'parts/drop';
+import { Ball } from 'parts/ball';
+import { Animator } from 'ui/animator';
+import { OutputBall } from './recorder';
+import { BallTrail } from './trails';
+
+// the state of a bit or gearbit at the end of a run
+export type BitState = { column:number, row:number, value:boolean };
+
+// the outcome of running a simulation
+export type SimulationResult = {
+  // whether all balls came to rest before the step limit was reached
+  finished:boolean,
+  // the number of steps that were run
+  steps:number,
+  // the balls that reached the output in the order they arrived
+  output:OutputBall[],
+  // the state of all bits and gearbits in reading order
+  bits:BitState[],
+  // the paths taken by balls during the run
+  trails:BallTrail[]
+};
+
+// the number of steps to run before checking whether balls are at rest,
+//  since balls that were just released haven't started moving yet
+const MIN_RUN_STEPS:number = 60;
+// the most steps to run for by default
+const MAX_RUN_STEPS:number = 100000;
+
+// about how many steps of each router fit in a frame of the display, for
+//  doing work in pieces while the app stays responsive
+const PHYSICAL_STEPS_PER_UPDATE:number = 8;
+const SCHEMATIC_STEPS_PER_UPDATE:number = 40;
+const LOGIC_STEPS_PER_UPDATE:number = 80;
+
+// the most steps to wait for balls to fall into their drops, and how often
+//  to check whether they've stopped
+const MAX_SETTLE_STEPS:number = 10000;
+const SETTLE_CHECK_STEPS:number = 30;
+
+// runs a board without a display, which is useful for scripting, testing
+//  and running boards faster than real time
+export class Simulation {
+
+  constructor(board?:BoardModel) {
+    // parts don't need textures unless they get drawn, and they get their
+    //  own animator so running them doesn't move anything that's shown
+    this.board = board ? board :
+      new BoardModel(new PartFactory(null, new Animator()));
+  }
+
+  // the board being simulated
+  public readonly board:BoardModel;
+
+  // LOADING ******************************************************************
+
+  // load an empty standard board
+  public loadStandardBoard():void {
+    BoardBuilder.initStandardBoard(this.board);
+  }
+
+  // load a board in the JSON format, returning whether it could be read
+  public loadJSON(json:string):boolean {
+    return(JSONBoardFormat.read(this.board, json));
+  }
+
+  // load a board in the text notation, returning whether it could be read
+  public loadText(text:string):boolean {
+    return(TextBoardFormat.read(this.board, text));
+  }
+
+  // load the board for a challenge, returning the challenge so the result
+  //  of a run can be checked against it, or null if it couldn't be read
+  public loadChallenge(json:string):Challenge {
+    const challenge = Challenge.read(json);
+    if ((! challenge) || (! challenge.load(this.board))) return(null);
+    return(challenge);
+  }
+
+  // SIMULATION ***************************************************************
+
+  // whether to use the faster schematic router instead of physics
+  public get schematic():boolean { return(this.board.schematic); }
+  public set schematic(v:boolean) { this.board.schematic = v; }
+
+  // whether to use the logic router, which finishes runs almost instantly
+  //  by moving balls from part to part
+  public get logic():boolean { return(this.board.logic); }
+  public set logic(v:boolean) { this.board.logic = v; }
+
+  // the drops on the board in reading order
+  public get drops():Drop[] {
+    const drops:Drop[] = Array.from(this.board.drops);
+    drops.sort((a, b) => {
+      if (a.row !== b.row) return(a.row - b.row);
+      return(a.column - b.column);
+    });
+    return(drops);
+  }
+
+  // release a ball from the given drop, or from the first drop if none
+  //  is given
+  public release(drop?:Drop):void {
+    if (! drop) drop = this.drops[0];
+    if (drop) drop.releaseBall();
+  }
+
+  // let balls that were just put back in their drops fall into place, so
+  //  runs start the same way every time, returning whether they came to
+  //  rest within the given number of steps
+  public settle(maxSteps:number=MAX_SETTLE_STEPS):boolean {
+    this.startSettling(maxSteps);
+    let settled:boolean = null;
+    while (settled === null) settled = this.continueSettling(maxSteps);
+    return(settled);
+  }
+
+  // start letting balls fall into place a few steps at a time, for callers
+  //  that need to keep a display updating while it happens
+  public startSettling(maxSteps:number=MAX_SETTLE_STEPS):void {
+    // the board doesn't track balls that haven't been released, so compare
+    //  their positions here
+    this._settlePositions = new Map();
+    this._settleSteps = 0;
+    this._maxSettleSteps = maxSteps;
+  }
+  private _settlePositions:Map<Ball,{c:number,r:number}> = new Map();
+  private _settleSteps:number = 0;
+  private _maxSettleSteps:number = 0;
+
+  // run up to the given number of steps of settling, returning whether the
+  //  balls came to rest within the limit, or null if they're still moving
+  public continueSettling(steps:number):boolean {
+    const positions = this._settlePositions;
+    for (let i:number = 0; i < steps; i++) {
+      if (this._settleSteps >= this._maxSettleSteps) return(false);
+      this.step();
+      this._settleSteps++;
+      if (this._settleSteps % SETTLE_CHECK_STEPS != 0) continue;
+      let moved:boolean = false;
+      for (const ball of this.board.balls) {
+        const p = positions.get(ball);
+        if ((! p) || (Math.max(Math.abs(p.c - ball.column),
+                               Math.abs(p.r - ball.row)) > 0.05)) {
+          moved = true;
+        }
+        positions.set(ball, { c: ball.column, r: ball.row });
+      }
+      if (! moved) return(true);
+    }
+    return(this._settleSteps >= this._maxSettleSteps ? false : null);
+  }
+
+  // advance the simulation by one frame
+  public step(correction:number=1.0):void {
+    this.board.animator.update(correction);
+    this.board.update(correction);
+    GearBase.update(this.board.animator);
+    this._stepCount++;
+  }
+
+  // the number of steps that have been run, which lets callers doing work
+  //  in pieces keep track of how much they've done
+  public get stepCount():number { return(this._stepCount); }
+  private _stepCount:number = 0;
+
+  // the number of steps to run for each frame of the display when doing
+  //  work in pieces, which depends on how much work the router does
+  public get stepsPerUpdate():number {
+    if (this.logic) return(LOGIC_STEPS_PER_UPDATE);
+    if (this.schematic) return(SCHEMATIC_STEPS_PER_UPDATE);
+    return(PHYSICAL_STEPS_PER_UPDATE);
+  }
+
+  // run the simulation until all balls come to rest or the given number
+  //  of steps have been run
+  public run(maxSteps:number=MAX_RUN_STEPS):SimulationResult {
+    this.startRun(maxSteps);
+    let result:SimulationResult = null;
+    while (! result) result = this.continueRun(maxSteps);
+    return(result);
+  }
+
+  // start a run that's done a few steps at a time
+  public startRun(maxSteps:number=MAX_RUN_STEPS):void {
+    this._runSteps = 0;
+    this._maxRunSteps = maxSteps;
+  }
+  private _runSteps:number = 0;
+  private _maxRunSteps:number = 0;
+
+  // run up to the given number of steps of a run, returning its result if
+  //  it finished or reached its limit, or null if balls are still moving
+  public continueRun(steps:number):SimulationResult {
+    let finished:boolean = false;
+    for (let i:number = 0; i < steps; i++) {
+      if (this._runSteps >= this._maxRunSteps) break;
+      this.step();
+      this._runSteps++;
+      if ((this._runSteps >= MIN_RUN_STEPS) && (this.board.areBallsAtRest)) {
+        finished = true;
+        break;
+      }
+    }
+    if ((! finished) && (this._runSteps < this._maxRunSteps)) return(null);
+    return({ finished: finished, steps: this._runSteps, 
+      output: this.board.recorder.output, bits: this.readBits(),
+      trails: this.board.trails.trails });
+  }
+
+  // get the state of all bits and gearbits in reading order
+  public readBits():BitState[] {
+    const bits:BitState[] = [ ];
+    for (let r:number = 0; r < this.board.rowCount; r++) {
+      for (let c:number = 0; c < this.board.columnCount; c++) {
+        const part = this.board.getPart(c, r);
+        if ((part) && ((part.type === PartType.BIT) ||
+                       (part.type === PartType.GEARBIT))) {
+          bits.push({ column: c, row: r, value: part.bitValue });
+        }
+      }
+    }
+    return(bits);
+  }
+
+}
\ No newline at end of file
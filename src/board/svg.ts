@@ -0,0 +1,132 @@
+import { BoardModel } from './model';
+import { Part } from 'parts/part';
+import { PartType } from 'parts/factory';
+import { Drop } from 'parts/drop';
+import { Slope } from 'parts/fence';
+import { PART_SIZE, SPACING, BALL_RADIUS } from './constants';
+import { Colors, htmlColor, colorFromHSL } from 'ui/config';
+
+// the width of the lines parts are drawn with
+const LINE_WIDTH:number = PART_SIZE / 8;
+
+// draws the board in schematic style as an SVG image, which stays sharp at
+//  any size, so it works well in slides, worksheets and documentation
+//
+// the image is only written, since the JSON format is the way to save a
+//  board that can be loaded again
+export class SVGBoardFormat {
+
+  // get an SVG document showing the board's parts and balls
+  public static write(board:BoardModel):string {
+    const width = board.columnCount * SPACING;
+    const height = board.rowCount * SPACING;
+    const lines:string[] = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<svg xmlns="http://www.w3.org/2000/svg" width="'+width+'" height="'+
+        height+'" viewBox="0 0 '+width+' '+height+'">',
+      '<rect width="'+width+'" height="'+height+'" fill="'+
+        htmlColor(Colors.BACKGROUND)+'"/>',
+      '<g fill="none" stroke-linecap="round" stroke-linejoin="round">'
+    ];
+    for (let r:number = 0; r < board.rowCount; r++) {
+      for (let c:number = 0; c < board.columnCount; c++) {
+        const part = board.getPart(c, r);
+        if (! part) continue;
+        const shape = SVGBoardFormat._shapeForPart(part);
+        if (! shape) continue;
+        // parts are drawn around their center and mirrored when flipped or
+        //  set to the right, which is how their sprites work too
+        const mirror = (part.canFlip && part.isFlipped) ||
+                       (part.canRotate && part.bitValue);
+        lines.push('<g transform="translate('+
+          SVGBoardFormat._n((c + 0.5) * SPACING)+' '+
+          SVGBoardFormat._n((r + 0.5) * SPACING)+')'+
+          (mirror ? ' scale(-1 1)' : '')+'">'+shape+'</g>');
+      }
+    }
+    for (const ball of board.balls) {
+      lines.push('<circle cx="'+
+        SVGBoardFormat._n((ball.column + 0.5) * SPACING)+'" cy="'+
+        SVGBoardFormat._n((ball.row + 0.5) * SPACING)+'" r="'+BALL_RADIUS+
+        '" fill="'+htmlColor(ball.color)+'"/>');
+    }
+    lines.push('</g>', '</svg>');
+    return(lines.join('\n'));
+  }
+
+  // get SVG elements that draw the part in its unflipped state, centered
+  //  on the origin
+  protected static _shapeForPart(part:Part):string {
+    const h = PART_SIZE / 2;
+    const hs = SPACING / 2;
+    const n = SVGBoardFormat._n;
+    const path = (d:string, color:Colors, lineWidth:number=LINE_WIDTH) =>
+      '<path d="'+d+'" stroke="'+htmlColor(color)+
+        '" stroke-width="'+n(lineWidth)+'"/>';
+    switch (part.type) {
+      case PartType.PARTLOC:
+        return('<circle r="'+n(PART_SIZE / 16)+'" stroke="'+
+          htmlColor(Colors.SCHEMATIC_LOCATION)+'" stroke-width="'+
+          n(PART_SIZE / 32)+'"/>');
+      case PartType.GEARLOC:
+        return('<circle r="'+n(PART_SIZE / 32)+'" fill="'+
+          htmlColor(Colors.SCHEMATIC_LOCATION)+'"/>');
+      case PartType.RAMP:
+        return(path('M '+n(-0.7 * h)+' '+n(-0.7 * h)+' L '+n(0.7 * h)+' '+
+          n(0.7 * h), Colors.SCHEMATIC_RAMP));
+      case PartType.CROSSOVER:
+        return(path('M '+n(-0.6 * h)+' '+n(-0.6 * h)+' L '+n(0.6 * h)+' '+
+          n(0.6 * h)+' M '+n(0.6 * h)+' '+n(-0.6 * h)+' L '+n(-0.6 * h)+' '+
+          n(0.6 * h), Colors.SCHEMATIC_CROSSOVER));
+      case PartType.INTERCEPTOR:
+        return(path('M '+n(-0.5 * h)+' '+n(-0.6 * h)+' V '+n(0.4 * h)+' H '+
+          n(0.5 * h)+' V '+n(-0.6 * h), Colors.SCHEMATIC_INTERCEPTOR));
+      case PartType.BIT: // fall-through
+      case PartType.GEARBIT:
+        // an arrow pointing to the side a ball will go
+        return(path('M '+n(0.6 * h)+' '+n(0.6 * h)+' L '+n(-0.6 * h)+' '+
+          n(-0.6 * h)+' M '+n(-0.6 * h)+' 0 V '+n(-0.6 * h)+' H 0',
+          (part.type === PartType.BIT) ?
+            Colors.SCHEMATIC_BIT : Colors.SCHEMATIC_GEARBIT));
+      case PartType.GEAR:
+        return(path('M '+n(-0.6 * h)+' 0 H '+n(0.6 * h)+' M 0 '+n(-0.6 * h)+
+          ' V '+n(0.6 * h), Colors.SCHEMATIC_GEAR));
+      case PartType.DROP: {
+        const hue = (part instanceof Drop) ? part.hue : 0;
+        return('<path d="M '+n(-0.8 * h)+' '+n(-0.8 * h)+' V '+n(0.8 * h)+
+          ' H '+n(0.8 * h)+' V '+n(-0.8 * h)+'" stroke="'+
+          htmlColor(Colors.SCHEMATIC_FENCE)+'" stroke-width="'+
+          n(LINE_WIDTH / 2)+'" fill="'+
+          htmlColor(colorFromHSL(hue / 360, 1, 0.53))+
+          '" fill-opacity="0.25"/>');
+      }
+      case PartType.TURNSTILE:
+        return(path('M '+n(-0.6 * h)+' '+n(-0.4 * h)+' Q 0 '+n(0.6 * h)+' '+
+          n(0.6 * h)+' '+n(-0.4 * h), Colors.SCHEMATIC_TURNSTILE)+
+          '<circle cy="'+n(0.4 * h)+'" r="'+n(PART_SIZE / 12)+'" fill="'+
+          htmlColor(Colors.SCHEMATIC_TURNSTILE)+'"/>');
+      case PartType.SIDE:
+        return(path('M '+n(-hs)+' '+n(-hs)+' V '+n(hs),
+          Colors.SCHEMATIC_FENCE, LINE_WIDTH / 2));
+      case PartType.SLOPE: {
+        // each part in a run of slopes drops by an equal share of a row, so
+        //  the whole run makes one straight line
+        let top:number = - hs, drop:number = 0;
+        if ((part instanceof Slope) && (part.modulus > 0)) {
+          top += ((part.sequence % part.modulus) / part.modulus) * SPACING;
+          drop = SPACING / part.modulus;
+        }
+        return(path('M '+n(-hs)+' '+n(top)+' L '+n(hs)+' '+n(top + drop),
+          Colors.SCHEMATIC_FENCE, LINE_WIDTH / 2));
+      }
+      default:
+        return(null);
+    }
+  }
+
+  // format a coordinate without needless digits
+  protected static _n(v:number):string {
+    return((Math.round(v * 100) / 100).toString());
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,240 @@
+import { BoardModel } from './model';
+import { Part } from 'parts/part';
+import { PartType } from 'parts/factory';
+import { Drop } from 'parts/drop';
+import { Clipping, ClippedPart } from './selection';
+
+// the number of balls to put in each drop when reading a board,
+//  since the notation doesn't include them
+export const TEXT_DROP_BALL_COUNT:number = 8;
+
+// hues to assign to drops in reading order, starting with the blue and red
+//  of a standard board
+const DROP_HUES:number[] = [ 220, 0, 120, 45, 280, 180 ];
+
+// the state of a part that a character can represent
+type CellState = { type:PartType, flipped:boolean, bitValue:boolean };
+
+// characters used for each part state, with one for an unlocked part and
+//  one for a locked part, in the order [ type, flipped/bitValue, unlocked, locked ]
+const CELLS:[ PartType, boolean, string, string ][] = [
+  [ PartType.PARTLOC,     false, '.', ':' ],
+  [ PartType.BLANK,       false, '-', '#' ],
+  [ PartType.RAMP,        false, '\\', 'R' ],
+  [ PartType.RAMP,        true,  '/', 'L' ],
+  [ PartType.BIT,         false, '>', 'D' ],
+  [ PartType.BIT,         true,  '<', 'B' ],
+  [ PartType.GEARBIT,     false, '}', 'P' ],
+  [ PartType.GEARBIT,     true,  '{', 'Q' ],
+  [ PartType.CROSSOVER,   false, 'x', 'X' ],
+  [ PartType.INTERCEPTOR, false, '_', 'I' ],
+  [ PartType.GEAR,        false, 'o', 'O' ],
+  [ PartType.DROP,        false, 'v', 'V' ],
+  [ PartType.DROP,        true,  'y', 'Y' ],
+  [ PartType.TURNSTILE,   false, 't', 'T' ],
+  [ PartType.TURNSTILE,   true,  'f', 'F' ],
+  [ PartType.SIDE,        false, '(', '[' ],
+  [ PartType.SIDE,        true,  ')', ']' ],
+  [ PartType.SLOPE,       false, 's', 'S' ],
+  [ PartType.SLOPE,       true,  'z', 'Z' ]
+];
+
+// reads and writes boards as a grid of characters with one character per
+//  location, which is convenient for sharing boards as plain text
+export class TextBoardFormat {
+
+  // WRITING ******************************************************************
+
+  public static write(board:BoardModel):string {
+    return(TextBoardFormat._writeLines(board.columnCount, board.rowCount, 
+      (c:number, r:number) => board.getPart(c, r)));
+  }
+
+  // write parts that have been copied from the board
+  public static writeClipping(clipping:Clipping):string {
+    const grid:Part[][] = [ ];
+    for (const item of clipping.parts) {
+      if (! grid[item.row]) grid[item.row] = [ ];
+      grid[item.row][item.column] = item.part;
+    }
+    return(TextBoardFormat._writeLines(clipping.columnCount, clipping.rowCount,
+      (c:number, r:number) => grid[r] ? grid[r][c] : null));
+  }
+
+  protected static _writeLines(columnCount:number, rowCount:number,
+                               getPart:(c:number, r:number) => Part):string {
+    const lines:string[] = [ ];
+    for (let r:number = 0; r < rowCount; r++) {
+      let line:string = '';
+      for (let c:number = 0; c < columnCount; c++) {
+        line += TextBoardFormat.charForPart(getPart(c, r));
+      }
+      lines.push(line);
+    }
+    return(lines.join('\n')+'\n');
+  }
+
+  // get the character that represents the given part
+  public static charForPart(part:Part):string {
+    if (! part) return(CELLS[0][2]);
+    // both types of location are written the same way, since which one
+    //  goes in a spot is determined by its position
+    const type:PartType = (part.type === PartType.GEARLOC) ?
+      PartType.PARTLOC : part.type;
+    const state:boolean = TextBoardFormat._hasBitValue(type) ?
+      part.bitValue : part.isFlipped;
+    let fallback:string = null;
+    for (const [ t, s, unlocked, locked ] of CELLS) {
+      if (t !== type) continue;
+      const ch = part.isLocked ? locked : unlocked;
+      if (s === state) return(ch);
+      if (fallback === null) fallback = ch;
+    }
+    return(fallback !== null ? fallback : CELLS[0][2]);
+  }
+
+  // READING ******************************************************************
+
+  // replace the contents of the board with the given text, returning
+  //  whether it could be read
+  public static read(board:BoardModel, text:string):boolean {
+    const clipping = TextBoardFormat.readClipping(board, text);
+    if (! clipping) return(false);
+    // make the whole operation into one undo step
+    board.history.beginGroup();
+    board.bulkUpdate = true;
+    board.clearBalls();
+    // if the parts in the text are on the other kind of location from the
+    //  top left corner of a board, shift them over by a column like pasting
+    //  would, so they don't end up on gear locations
+    const shift:number = clipping.parity !== 0 ? 1 : 0;
+    board.setSize(clipping.columnCount + shift, clipping.rowCount, false);
+    board.clear(true);
+    const drops:Drop[] = [ ];
+    for (const item of clipping.parts) {
+      const c = item.column + shift;
+      const r = item.row;
+      let part = item.part;
+      if (board.isBackgroundType(part.type)) {
+        if (! part.isLocked) continue;
+        // make sure the location matches its position
+        part = board.makeBackgroundPart(c, r);
+        part.isLocked = true;
+      }
+      board.setPart(part, c, r);
+      if (part instanceof Drop) drops.push(part);
+    }
+    board.bulkUpdate = false;
+    for (const drop of drops) {
+      board.setDropBallCount(drop, TEXT_DROP_BALL_COUNT);
+    }
+    // text has no registers, and the old ones would point at unrelated bits
+    board.registers.clear();
+    board.registers.clearPending();
+    // locked parts on a board that's loaded don't use up the supply
+    if (board.inventory) board.inventory.fixParts(board);
+    board.history.endGroup();
+    return(true);
+  }
+
+  // read the given text as a set of parts that can be pasted onto the board,
+  //  returning null if it can't be read
+  public static readClipping(board:BoardModel, text:string):Clipping {
+    const lines:string[] = TextBoardFormat._getGridLines(text);
+    if (! (lines.length > 0)) return(null);
+    let columnCount:number = 0;
+    for (const line of lines) {
+      columnCount = Math.max(columnCount, line.length);
+    }
+    // make sure the text is something we can read
+    for (const line of lines) {
+      for (let c:number = 0; c < line.length; c++) {
+        if (! TextBoardFormat._stateForChar(line[c])) {
+          console.warn('Unexpected character in board text: '+line[c]);
+          return(null);
+        }
+      }
+    }
+    let parity:number = NaN;
+    let dropCount:number = 0;
+    const parts:ClippedPart[] = [ ];
+    for (let r:number = 0; r < lines.length; r++) {
+      for (let c:number = 0; c < columnCount; c++) {
+        const part = TextBoardFormat.partForChar(board, 
+          c < lines[r].length ? lines[r][c] : ' ');
+        // the text doesn't say which kind of location the top left corner
+        //  is on, but parts that can only go on part locations tell us
+        if ((isNaN(parity)) && (! board.canPlaceAnywhere(part.type)) &&
+            (part.type !== PartType.BLANK)) {
+          parity = (c + r) % 2;
+        }
+        // give drops distinct colors and fill them with balls
+        if (part instanceof Drop) {
+          part.hue = DROP_HUES[dropCount++ % DROP_HUES.length];
+        }
+        parts.push({ part: part, column: c, row: r, 
+          ballCount: (part instanceof Drop) ? TEXT_DROP_BALL_COUNT : 0 });
+      }
+    }
+    const clipping = new Clipping(columnCount, lines.length, 
+      isNaN(parity) ? 0 : parity);
+    for (const item of parts) clipping.parts.push(item);
+    return(clipping);
+  }
+
+  // make a part for the given character, or return null if the character
+  //  doesn't represent a part
+  public static partForChar(board:BoardModel, ch:string):Part {
+    const state = TextBoardFormat._stateForChar(ch);
+    if (! state) return(null);
+    const part = board.partFactory.make(state.type);
+    if (TextBoardFormat._hasBitValue(state.type)) {
+      part.rotation = state.bitValue ? 1.0 : 0.0;
+    }
+    else if (state.flipped) part.isFlipped = true;
+    part.isLocked = TextBoardFormat._isLockedChar(ch);
+    return(part);
+  }
+
+  protected static _stateForChar(ch:string):CellState {
+    // treat spaces as empty locations so grids can be aligned freely
+    if (ch === ' ') ch = CELLS[0][2];
+    for (const [ t, s, unlocked, locked ] of CELLS) {
+      // accept lowercase versions of letters used for locked parts
+      if ((ch === unlocked) || (ch === locked) || 
+          (ch === locked.toLowerCase())) {
+        return(TextBoardFormat._makeState(t, s));
+      }
+    }
+    return(null);
+  }
+
+  protected static _isLockedChar(ch:string):boolean {
+    for (const [ t, s, unlocked, locked ] of CELLS) {
+      if (ch === locked) return(true);
+    }
+    return(false);
+  }
+
+  // whether the character for the given type of part shows its bit value
+  //  rather than whether it's flipped
+  protected static _hasBitValue(type:PartType):boolean {
+    return((type === PartType.BIT) || (type === PartType.GEARBIT));
+  }
+
+  protected static _makeState(type:PartType, state:boolean):CellState {
+    return({ type: type, flipped: state, bitValue: state });
+  }
+
+  // get the lines of the given text that make up the grid, ignoring
+  //  leading and trailing blank lines and trailing whitespace, which tend
+  //  to get added or removed when pasting text into forums and chat
+  protected static _getGridLines(text:string):string[] {
+    const lines:string[] = text.replace(/\t/g, ' ').split(/\r?\n/)
+      .map((line:string) => line.replace(/\s+$/, ''));
+    while ((lines.length > 0) && (lines[0].length == 0)) lines.shift();
+    while ((lines.length > 0) && (lines[lines.length - 1].length == 0)) lines.pop();
+    return(lines);
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,148 @@
+import { BoardModel } from './model';
+import { RouterState } from './router';
+import { OutputBall } from './recorder';
+import { Part } from 'parts/part';
+import { Ball } from 'parts/ball';
+import { Drop } from 'parts/drop';
+
+// the state of one ball at a moment in a run
+export type BallSnapshot = {
+  ball:Ball,
+  drop:Drop,
+  hue:number,
+  column:number,
+  row:number,
+  released:boolean,
+  // data used by ball routers
+  lastColumn:number,
+  lastRow:number,
+  lastDistinctColumn:number,
+  vx:number,
+  vy:number,
+  minX:number,
+  maxX:number,
+  maxY:number
+};
+
+// the state of the simulation at a moment in a run
+export type BoardSnapshot = {
+  // the number of updates between the start of the timeline and the
+  //  moment the snapshot was taken
+  time:number,
+  // whether the snapshot was taken as a drop released a ball
+  release:boolean,
+  // the rotations of parts that can rotate, which includes the values
+  //  of bits and gearbits
+  rotations:Map<Part,number>,
+  balls:BallSnapshot[],
+  output:OutputBall[],
+  // the number of points in each ball's trail
+  trails:Map<Ball,number>,
+  router:RouterState
+};
+
+// the number of updates between snapshots while balls are moving
+const SNAPSHOT_INTERVAL:number = 10;
+
+// the most snapshots to keep, after which the oldest are dropped
+const MAX_SNAPSHOTS:number = 1000;
+
+// keeps snapshots of a run so it can be scrubbed back to an earlier
+//  moment and replayed from there
+export class Timeline {
+
+  constructor(public readonly board:BoardModel) {
+
+  }
+
+  // called when snapshots are added or removed or the position changes
+  public onChange():void { }
+
+  // the number of snapshots that have been taken
+  public get length():number { return(this._snapshots.length); }
+
+  // get the snapshot at the given index
+  public snapshot(index:number):BoardSnapshot {
+    return(this._snapshots[index]);
+  }
+  private _snapshots:BoardSnapshot[] = [ ];
+
+  // the index of the snapshot that was taken or restored most recently,
+  //  which is -1 if there are no snapshots
+  public get position():number { return(this._position); }
+  private _position:number = -1;
+
+  // forget all snapshots, as when a new run starts or the board is edited
+  public clear():void {
+    this._time = 0;
+    this._releasing = false;
+    if (! (this._snapshots.length > 0)) return;
+    this._snapshots = [ ];
+    this._position = -1;
+    this.onChange();
+  }
+
+  // take snapshots at intervals while balls are moving
+  public update():void {
+    if (this._releasing) {
+      this._releasing = false;
+      this.capture(true);
+    }
+    if (this.board.areBallsAtRest) return;
+    if (++this._time % SNAPSHOT_INTERVAL != 0) return;
+    this.capture();
+  }
+  private _time:number = 0;
+
+  // take a snapshot at the next update because a drop has released a ball,
+  //  which can happen in the middle of moving balls and parts
+  public markRelease():void {
+    this._releasing = true;
+  }
+  private _releasing:boolean = false;
+
+  // take a snapshot of the current state of the board
+  public capture(release:boolean=false):void {
+    // running on from an earlier moment replaces what happened after it
+    if (this._position < this._snapshots.length - 1) {
+      this._snapshots.splice(this._position + 1);
+    }
+    this._snapshots.push(this.board.takeSnapshot(this._time, release));
+    if (this._snapshots.length > MAX_SNAPSHOTS) {
+      this._snapshots.splice(0, this._snapshots.length - MAX_SNAPSHOTS);
+    }
+    this._position = this._snapshots.length - 1;
+    this.onChange();
+  }
+
+  // pause the simulation and go back to the snapshot at the given index
+  public seek(index:number):void {
+    if (! (this._snapshots.length > 0)) return;
+    index = Math.min(Math.max(0, Math.round(index)), this._snapshots.length - 1);
+    const snapshot = this._snapshots[index];
+    this.board.paused = true;
+    this.board.restoreSnapshot(snapshot);
+    this._time = snapshot.time;
+    this._releasing = false;
+    this._position = index;
+    this.onChange();
+  }
+
+  // go back to the start of the timeline and run from there
+  public replay():void {
+    if (! (this._snapshots.length > 0)) return;
+    this.seek(0);
+    this.board.paused = false;
+  }
+
+  // get the index of the snapshot taken as the given ball was released,
+  //  where 0 is the first ball released, or -1 if there aren't enough
+  //  releases in the timeline
+  public releaseIndex(n:number):number {
+    for (let i:number = 0; i < this._snapshots.length; i++) {
+      if ((this._snapshots[i].release) && (n-- == 0)) return(i);
+    }
+    return(-1);
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,148 @@
+import { BoardModel } from './model';
+import { Ball } from 'parts/ball';
+import { Drop } from 'parts/drop';
+
+// a location a ball passed through, in fractional grid units
+export type TrailPoint = { column:number, row:number };
+
+// the path taken by one ball
+export type BallTrail = {
+  hue:number,
+  // the location of the drop the ball came from, if any
+  drop:{ column:number, row:number },
+  points:TrailPoint[]
+};
+
+// the distance in grid units a ball has to move before another point is
+//  added to its trail, which keeps trails small when balls jostle
+const MIN_SAMPLE_DISTANCE:number = 0.1;
+
+// the most points to keep for one ball, so a ball that's stuck moving
+//  back and forth can't use up all the memory
+const MAX_TRAIL_POINTS:number = 10000;
+
+// records the path each ball takes through the board, which makes it much
+//  easier to see why a ball went a different way than expected
+export class TrailRecorder {
+
+  constructor(public readonly board:BoardModel) {
+
+  }
+
+  // called when points are added to trails or trails are cleared
+  public onChange():void { }
+
+  // get the trail of the given ball, or null if it hasn't been recorded
+  public trailForBall(ball:Ball):BallTrail {
+    return(this._trails.has(ball) ? this._trails.get(ball) : null);
+  }
+
+  // get copies of all recorded trails in the order the balls were first
+  //  seen, including balls that have since left the board
+  public get trails():BallTrail[] {
+    const trails:BallTrail[] = [ ];
+    this._trails.forEach((trail:BallTrail) => {
+      trails.push({ hue: trail.hue,
+        drop: trail.drop ? { column: trail.drop.column, row: trail.drop.row } : null,
+        points: trail.points.map((p) => ({ column: p.column, row: p.row })) });
+    });
+    return(trails);
+  }
+  private _trails:Map<Ball,BallTrail> = new Map();
+
+  // forget all recorded trails
+  public clear():void {
+    if (! (this._trails.size > 0)) return;
+    this._trails.clear();
+    this.onChange();
+  }
+
+  // get the number of points in each ball's trail, which can be passed to
+  //  restore to go back to the trails as they are now
+  public get lengths():Map<Ball,number> {
+    const lengths:Map<Ball,number> = new Map();
+    this._trails.forEach((trail:BallTrail, ball:Ball) => {
+      lengths.set(ball, trail.points.length);
+    });
+    return(lengths);
+  }
+
+  // go back to earlier trails by removing points added since
+  public restore(lengths:Map<Ball,number>):void {
+    this._trails.forEach((trail:BallTrail, ball:Ball) => {
+      if (! lengths.has(ball)) this._trails.delete(ball);
+      else trail.points.splice(lengths.get(ball));
+    });
+    this.onChange();
+  }
+
+  // move trails along with the parts when the grid is shifted
+  public shift(columns:number, rows:number):void {
+    this._trails.forEach((trail:BallTrail) => {
+      if (trail.drop) {
+        trail.drop.column += columns;
+        trail.drop.row += rows;
+      }
+      for (const p of trail.points) {
+        p.column += columns;
+        p.row += rows;
+      }
+    });
+  }
+
+  // start the trail of a ball that was just released from a drop, which
+  //  can leave the drop before the next update
+  public markRelease(ball:Ball):void {
+    if (this._trails.has(ball)) return;
+    this._startTrail(ball).points.push({ column: ball.column, row: ball.row });
+    this.onChange();
+  }
+
+  // add the current locations of balls that have moved
+  public update():void {
+    let changed:boolean = false;
+    for (const ball of this.board.balls) {
+      let trail = this._trails.get(ball);
+      if (! trail) {
+        // balls waiting in drops move around as they settle, so their
+        //  trails start when they're released
+        if (ball.drop) continue;
+        trail = this._startTrail(ball);
+      }
+      const points = trail.points;
+      if (points.length > 0) {
+        const last = points[points.length - 1];
+        const dc = ball.column - last.column;
+        const dr = ball.row - last.row;
+        if (Math.sqrt((dc * dc) + (dr * dr)) < MIN_SAMPLE_DISTANCE) continue;
+        if (points.length >= MAX_TRAIL_POINTS) continue;
+      }
+      points.push({ column: ball.column, row: ball.row });
+      changed = true;
+    }
+    if (changed) this.onChange();
+  }
+
+  protected _startTrail(ball:Ball):BallTrail {
+    const drop:Drop = ball.drop;
+    const trail:BallTrail = { hue: ball.hue,
+      drop: drop ? { column: drop.column, row: drop.row } : null,
+      points: [ ] };
+    this._trails.set(ball, trail);
+    return(trail);
+  }
+
+  // SERIALIZATION ************************************************************
+
+  // write all trails as JSON, rounding locations to keep the size down
+  public write():string {
+    const round = (n:number) => Math.round(n * 1000) / 1000;
+    const data = this.trails.map((trail) => ({
+      hue: trail.hue,
+      drop: trail.drop,
+      points: trail.points.map((p) => [ round(p.column), round(p.row) ])
+    }));
+    return(JSON.stringify({ format: 'ttsim-trails', trails: data })+'\n');
+  }
+
+}
\ No newline at end of file
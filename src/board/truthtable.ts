@@ -0,0 +1,278 @@
+import { BoardModel } from './model';
+import { JSONBoardFormat, GridLocation } from './json';
+import { Simulation } from './simulation';
+import { nameForHue } from './recorder';
+import { Part } from 'parts/part';
+import { PartType } from 'parts/factory';
+import { GearBase } from 'parts/gearbit';
+
+// the role a bit or gearbit plays in a truth table
+export const enum TruthRole {
+  NONE,
+  INPUT,
+  OUTPUT
+}
+
+// the outcome of running the board with one combination of inputs
+export type TruthTableRow = {
+  // the values the inputs were set to, in reading order
+  inputs:boolean[],
+  // the values of the outputs when balls came to rest, in reading order
+  outputs:boolean[],
+  // the colors of the balls that reached the output, in order
+  balls:string[],
+  // whether all balls came to rest before the step limit was reached
+  finished:boolean
+};
+
+// the most inputs a truth table can have, since each one doubles the
+//  number of runs
+export const MAX_TRUTH_TABLE_INPUTS:number = 8;
+
+// the most steps to run the board for with each combination of inputs
+const MAX_TRUTH_TABLE_STEPS:number = 100000;
+
+// runs a board with every combination of values for a set of input bits
+//  and records the values of a set of output bits, which proves that a
+//  design works for every input and not just the ones that were tried
+export class TruthTable {
+
+  constructor(public readonly board:BoardModel) {
+
+  }
+
+  // called when rows are added or cleared
+  public onChange():void { }
+
+  // called when a run makes its last row
+  public onFinish():void { }
+
+  // called when parts are marked as inputs or outputs or unmarked
+  public onRolesChange():void { }
+
+  // the parts marked as inputs, in reading order
+  public get inputs():Part[] { return(this._partsWithRole(TruthRole.INPUT)); }
+
+  // the parts marked as outputs, in reading order
+  public get outputs():Part[] { return(this._partsWithRole(TruthRole.OUTPUT)); }
+
+  // get the role the given part plays in the truth table
+  public roleForPart(part:Part):TruthRole {
+    if (! this._roles.has(part)) return(TruthRole.NONE);
+    // parts that have been removed from the board have no role
+    if (this.board.getPart(part.column, part.row) !== part) {
+      return(TruthRole.NONE);
+    }
+    return(this._roles.get(part));
+  }
+
+  // set the role the given part plays in the truth table
+  public setRole(part:Part, role:TruthRole):void {
+    if (! TruthTable.canHaveRole(part)) return;
+    if (role === this.roleForPart(part)) return;
+    if (role === TruthRole.NONE) this._roles.delete(part);
+    else this._roles.set(part, role);
+    // results for the old roles don't apply anymore
+    this.clear();
+    this.onRolesChange();
+  }
+
+  // change the given part from not being in the table to being an input,
+  //  from being an input to being an output, and from being an output to
+  //  not being in the table
+  public cycleRole(part:Part):void {
+    switch (this.roleForPart(part)) {
+      case TruthRole.NONE: this.setRole(part, TruthRole.INPUT); break;
+      case TruthRole.INPUT: this.setRole(part, TruthRole.OUTPUT); break;
+      default: this.setRole(part, TruthRole.NONE); break;
+    }
+  }
+
+  // whether the given part can be an input or output
+  public static canHaveRole(part:Part):boolean {
+    return((part) && ((part.type === PartType.BIT) ||
+                      (part.type === PartType.GEARBIT)));
+  }
+
+  protected _partsWithRole(role:TruthRole):Part[] {
+    const parts:Part[] = [ ];
+    this._roles.forEach((r:TruthRole, part:Part) => {
+      if (this.roleForPart(part) === role) parts.push(part);
+    });
+    parts.sort((a, b) => {
+      if (a.row !== b.row) return(a.row - b.row);
+      return(a.column - b.column);
+    });
+    return(parts);
+  }
+  private _roles:Map<Part,TruthRole> = new Map();
+
+  // RUNNING ******************************************************************
+
+  // the rows from the last run, in order of their inputs with the first
+  //  input as the most significant bit
+  public get rows():TruthTableRow[] { return(this._rows.slice()); }
+  private _rows:TruthTableRow[] = [ ];
+
+  // names for the inputs and outputs the rows were made with, which give
+  //  the location of each part
+  public get inputNames():string[] { return(this._inputNames.slice()); }
+  private _inputNames:string[] = [ ];
+  public get outputNames():string[] { return(this._outputNames.slice()); }
+  private _outputNames:string[] = [ ];
+
+  // the number of rows the table will have when the current run finishes
+  public get rowCount():number { return(this._rowCount); }
+  private _rowCount:number = 0;
+
+  // whether rows are still being made
+  public get isRunning():boolean { return(this._json !== null); }
+
+  // forget the rows from the last run, stopping it if it hasn't finished
+  public clear():void {
+    if ((! (this._rows.length > 0)) && (! this.isRunning)) return;
+    this._rows = [ ];
+    this._json = null;
+    this._sim = null;
+    this.onChange();
+  }
+
+  // run a copy of the board with every combination of inputs using the
+  //  board's current router, starting each run with all balls in their
+  //  drops and releasing one from the first drop, and return whether the
+  //  table could be made
+  public run(maxSteps:number=MAX_TRUTH_TABLE_STEPS):boolean {
+    if (! this.start(maxSteps)) return(false);
+    while (this.isRunning) this.update(maxSteps);
+    return(true);
+  }
+
+  // start making the table a few steps at a time so the display can keep
+  //  up, returning whether the table can be made
+  public start(maxSteps:number=MAX_TRUTH_TABLE_STEPS):boolean {
+    const inputs = this.inputs;
+    const outputs = this.outputs;
+    if ((inputs.length > MAX_TRUTH_TABLE_INPUTS) ||
+        (! ((inputs.length > 0) && (outputs.length > 0)))) return(false);
+    // the board can change while the table is being made, so run a copy
+    //  of it as it is now
+    this._json = JSONBoardFormat.write(this.board);
+    const location = (part:Part) => ({ column: part.column, row: part.row });
+    this._inputLocations = inputs.map(location);
+    this._outputLocations = outputs.map(location);
+    const name = (part:Part) => part.column+':'+part.row;
+    this._inputNames = inputs.map(name);
+    this._outputNames = outputs.map(name);
+    this._schematic = this.board.schematic;
+    this._logic = this.board.logic;
+    this._maxSteps = maxSteps;
+    this._rowCount = 1 << inputs.length;
+    this._rows = [ ];
+    this._sim = null;
+    this.onChange();
+    return(true);
+  }
+  private _json:string = null;
+  private _inputLocations:GridLocation[] = [ ];
+  private _outputLocations:GridLocation[] = [ ];
+  private _schematic:boolean;
+  private _logic:boolean;
+  private _maxSteps:number;
+
+  // run the given number of steps toward making the table, or as many as
+  //  fit in a frame of the display if no number is given, adding rows as
+  //  their runs finish
+  public update(steps?:number):void {
+    let stepsLeft:number = steps;
+    while (this.isRunning) {
+      if ((! this._sim) && (! this._startRow(this._rows.length))) {
+        this.clear();
+        return;
+      }
+      const sim = this._sim;
+      if (stepsLeft === undefined) stepsLeft = sim.stepsPerUpdate;
+      if (! (stepsLeft > 0)) return;
+      const stepCount = sim.stepCount;
+      this._continueRow(stepsLeft);
+      stepsLeft -= sim.stepCount - stepCount;
+    }
+  }
+
+  // set up a copy of the board to run with the combination of inputs at
+  //  the given index, where the first input is the most significant bit,
+  //  returning whether the board could be read
+  protected _startRow(i:number):boolean {
+    const n = this._inputLocations.length;
+    this._values = this._inputLocations.map((location:GridLocation,
+      j:number) => ((i >> (n - 1 - j)) & 1) == 1);
+    const sim = new Simulation();
+    if (! sim.loadJSON(this._json)) return(false);
+    sim.schematic = this._schematic;
+    sim.logic = this._logic;
+    sim.board.returnBalls();
+    // balls put back in drops need to stop moving before one is released,
+    //  or they can push it and each other somewhere else
+    sim.startSettling();
+    this._isSettling = true;
+    this._sim = sim;
+    return(true);
+  }
+  // the copy of the board for the row being made, or null between rows
+  private _sim:Simulation = null;
+  private _values:boolean[] = [ ];
+  private _isSettling:boolean = false;
+
+  // run up to the given number of steps of the row being made, adding it
+  //  to the table if its run finishes
+  protected _continueRow(steps:number):void {
+    const sim = this._sim;
+    if (this._isSettling) {
+      if (sim.continueSettling(steps) === null) return;
+      this._isSettling = false;
+      this._inputLocations.forEach((location:GridLocation, j:number) => {
+        sim.board.getPart(location.column, location.row).rotation =
+          this._values[j] ? 1.0 : 0.0;
+      });
+      // apply the new values to connected gearbits
+      GearBase.update(sim.board.animator);
+      sim.release();
+      sim.startRun(this._maxSteps);
+      return;
+    }
+    const result = sim.continueRun(steps);
+    if (! result) return;
+    this._rows.push({ inputs: this._values,
+      outputs: this._outputLocations.map((location:GridLocation) =>
+        sim.board.getPart(location.column, location.row).bitValue),
+      balls: result.output.map((ball) => nameForHue(ball.hue)),
+      finished: result.finished });
+    this._sim = null;
+    if (this._rows.length >= this._rowCount) {
+      this._json = null;
+      this.onChange();
+      this.onFinish();
+    }
+    else this.onChange();
+  }
+
+  // SERIALIZATION ************************************************************
+
+  // write the rows from the last run as comma-separated values, with a
+  //  header naming each input and output by its column and row
+  public write():string {
+    const header:string[] = [ ].concat(
+      this._inputNames.map((name:string) => 'in '+name),
+      this._outputNames.map((name:string) => 'out '+name),
+      [ 'balls', 'finished' ]);
+    const lines:string[] = [ header.join(',') ];
+    const bit = (v:boolean) => v ? '1' : '0';
+    for (const row of this._rows) {
+      const fields:string[] = [ ].concat(
+        row.inputs.map(bit), row.outputs.map(bit),
+        [ row.balls.join(' '), row.finished ? 'yes' : 'no' ]);
+      lines.push(fields.join(','));
+    }
+    return(lines.join('\n')+'\n');
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,138 @@
+import { ScriptingAPI } from 'scripting';
+import { nameForHue } from 'board/recorder';
+
+// a command sent to an embedded simulator by the page around it
+export type EmbedCommand = {
+  // one of 'load', 'start', 'pause', 'reset', 'speed', 'returnBalls' or
+  //  'release'
+  command:string,
+  // the board to load, in the JSON format or the text notation
+  json?:string,
+  text?:string,
+  // the speed to run at, where 1 is normal speed
+  speed?:number,
+  // the index of the drop to release a ball from, in reading order
+  drop?:number
+};
+
+// an event sent from an embedded simulator to the page around it
+export type EmbedEvent = {
+  // one of 'ready', 'loaded', 'ballReleased', 'bitChanged' or
+  //  'runComplete'
+  event:string,
+  [key:string]:any
+};
+
+// lets a page that embeds the simulator in a frame control it with
+//  window.postMessage and follow what happens on the board
+export class EmbedController {
+
+  // the origin is the one page origin allowed to control the simulator and
+  //  get its events, or null to allow any page
+  constructor(public readonly api:ScriptingAPI,
+              public readonly origin:string=null) {
+    this._initialJSON = this.api.toJSON();
+    window.addEventListener('message', this._onMessage.bind(this));
+    const events = this.api.events;
+    events.on('ballReleased', (e) => {
+      // the first ball released after balls came to rest starts a run
+      if (! this.api.app.board.isRunning) {
+        this._runStart = this.api.app.board.recorder.output.length;
+      }
+      this.post({ event: 'ballReleased',
+        drop: this._dropIndex(e.drop.column, e.drop.row),
+        color: nameForHue(e.ball.hue) });
+    });
+    events.on('bitChanged', (e) => {
+      this.post({ event: 'bitChanged', column: e.part.column, row: e.part.row,
+        value: e.value });
+    });
+    events.on('ballsAtRest', () => {
+      if (this._runStart === null) return;
+      const output = this.api.app.board.recorder.output;
+      this.post({ event: 'runComplete',
+        output: output.slice(Math.min(this._runStart, output.length))
+          .map((ball) => nameForHue(ball.hue)),
+        bits: this.api.readBits() });
+      this._runStart = null;
+    });
+    this.post({ event: 'ready' });
+  }
+  // the board to go back to when reset, which is the one that was shown
+  //  when the page loaded or the last one loaded with a command
+  private _initialJSON:string;
+  // the length of the output when the current run started, or null if
+  //  no ball has been released since the last run
+  private _runStart:number = null;
+
+  // send an event to the page around the simulator
+  public post(event:EmbedEvent):void {
+    if (window.parent === window) return;
+    window.parent.postMessage(event, this.origin ? this.origin : '*');
+  }
+
+  // carry out a command, returning whether it was understood
+  public execute(command:EmbedCommand):boolean {
+    switch (command.command) {
+      case 'load':
+        this._load(command);
+        return(true);
+      case 'start':
+        this.api.app.board.paused = false;
+        return(true);
+      case 'pause':
+        this.api.pause();
+        return(true);
+      case 'reset':
+        this.api.loadJSON(this._initialJSON);
+        this.api.pause();
+        return(true);
+      case 'speed':
+        if (typeof command.speed === 'number') this.api.speed = command.speed;
+        return(true);
+      case 'returnBalls':
+        this.api.returnBalls();
+        return(true);
+      case 'release':
+        // the page gets a runComplete event when balls come to rest, so
+        //  the promise is only useful to scripts
+        this.api.release(typeof command.drop === 'number' ? command.drop : 0)
+          .catch(() => { });
+        return(true);
+      default:
+        return(false);
+    }
+  }
+
+  protected _load(command:EmbedCommand):void {
+    let loaded:boolean = false;
+    if (typeof command.json === 'string') {
+      loaded = this.api.loadJSON(command.json);
+    }
+    else if (typeof command.text === 'string') {
+      loaded = this.api.loadText(command.text);
+    }
+    if (loaded) this._initialJSON = this.api.toJSON();
+    this.post({ event: 'loaded', success: loaded });
+  }
+
+  protected _onMessage(e:MessageEvent):void {
+    // only take commands from the page the simulator is embedded in
+    if ((e.source !== window.parent) || (window.parent === window)) return;
+    if ((this.origin) && (e.origin !== this.origin)) return;
+    const command = e.data as EmbedCommand;
+    if ((! command) || (typeof command.command !== 'string')) return;
+    if (! this.execute(command)) {
+      console.warn('Unknown embed command: '+command.command);
+    }
+  }
+
+  protected _dropIndex(column:number, row:number):number {
+    const drops = this.api.drops;
+    for (let i:number = 0; i < drops.length; i++) {
+      if ((drops[i].column === column) && (drops[i].row === row)) return(i);
+    }
+    return(-1);
+  }
+
+}
\ No newline at end of file
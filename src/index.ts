@@ -4,10 +4,26 @@ import { SimulatorApp } from 'app';
 import { Renderer } from 'renderer';
 import { BoardBuilder } from 'board/builder';
 import { URLBoardSerializer } from 'board/serializer';
+import { ScriptingAPI } from 'scripting';
+import { EmbedController } from 'embed';
 
 // the simulator, which will be initialized once resources have loaded
 let sim:SimulatorApp;
 
+// another page can embed the simulator in a frame by adding ?embed to the
+//  URL, or ?embed=locked to also keep people from changing the board
+const embedFlag = window.location.search.match(/[?&]embed(=([^&]*))?(&|$)/);
+const embedded:boolean = embedFlag !== null;
+const locked:boolean = (embedded) && (embedFlag[2] === 'locked');
+// an embedded simulator can also be limited to talking with pages from one
+//  origin by adding &origin=https://example.com to the URL
+const originFlag = window.location.search.match(/[?&]origin=([^&]*)/);
+let embedOrigin:string = null;
+if (originFlag) {
+  try { embedOrigin = new URL(decodeURIComponent(originFlag[1])).origin; }
+  catch (e) { embedOrigin = undefined; }
+}
+
 // dynamically resize the app to track the size of the browser window
 const container = document.getElementById('container');
 container.style.overflow = 'hidden';
@@ -33,14 +49,26 @@ loader.add('images/parts.json').load(() => {
     // update toolbars based on restored state
     sim.toolbar.updateToggled();
     sim.actionbar.updateToggled();
+    sim.embedded = embedded;
+    sim.board.isReadOnly = locked;
     sim.width = Renderer.instance.width;
     sim.height = Renderer.instance.height;
     Renderer.stage.addChild(sim);
     // set up the standard board if there was no state
-    if (! restored) {
-      BoardBuilder.initStandardBoard(sim.board);
-      sim.actionbar.zoomToFit();
+    if (! restored) BoardBuilder.initStandardBoard(sim.board);
+    // the view saved in the URL was for a different size of window than
+    //  the frame an embedded board is shown in
+    if ((! restored) || (embedded)) sim.actionbar.zoomToFit();
+    // don't allow the initial state to be undone
+    sim.board.history.clear();
+    // let power users build and run boards from the developer tools
+    const api = new ScriptingAPI(sim);
+    (window as any).ttsim = api;
+    // an origin that can't be read mustn't let every page in
+    if (embedOrigin === undefined) {
+      console.warn('Embedding origin isn\'t a valid URL: '+originFlag[1]);
     }
+    else if (embedded) new EmbedController(api, embedOrigin);
     // remove the loading animation
     const loading = document.getElementById('loading');
     if (loading) {
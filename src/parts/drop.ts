@@ -16,8 +16,8 @@ export class Drop extends Part {
   // a set of turnstiles associated with the drop
   public readonly turnstiles:Set<Turnstile> = new Set();
 
-  // a callback that's called whenever a ball is release
-  public onRelease:() => void;
+  // a callback that's called with each ball that's released
+  public onRelease:(ball:Ball) => void;
 
   // a flag to set signalling a desire to release a ball, which will be cleared
   //  after a ball is released
@@ -42,7 +42,7 @@ export class Drop extends Part {
     // release the ball closest to the exit if we found one
     if (closest) {
       closest.released = true;
-      if (this.onRelease) this.onRelease();
+      if (this.onRelease) this.onRelease(closest);
     }
   }
 
@@ -10,6 +10,7 @@ import { Blank } from './blank';
 import { Drop } from './drop';
 import { Ball } from './ball';
 import { Turnstile } from './turnstile';
+import { Animator } from 'ui/animator';
 
 export const enum PartType {
   BLANK = 0, 
@@ -32,7 +33,9 @@ type PartConstructor = { new(textures:PIXI.loaders.TextureDictionary):Part };
 
 export class PartFactory {
 
-  constructor(public readonly textures:PIXI.loaders.TextureDictionary) {
+  constructor(public readonly textures:PIXI.loaders.TextureDictionary,
+              // the animator for the parts it makes
+              public readonly animator:Animator=Animator.current) {
 
   }
 
@@ -60,7 +63,9 @@ export class PartFactory {
   public make(type:PartType):Part {
     const constructor = PartFactory.constructorForType(type);
     if (! constructor) return(null);
-    return(new constructor(this.textures));
+    const part = new constructor(this.textures);
+    part.animator = this.animator;
+    return(part);
   }
 
   // make a copy of the given part with the same basic state
@@ -1,6 +1,6 @@
 import { Part, Layer } from './part';
 import { PartType } from './factory';
-import { SPACING_FACTOR } from 'board/board';
+import { SPACING_FACTOR } from 'board/constants';
 
 export class Side extends Part {
 
@@ -55,15 +55,15 @@ export class Slope extends Part {
   }
 
   protected _updateTexture():void {
+    if (this.modulus > 0) {
+      this._yOffset = ((this.sequence % this.modulus) / this.modulus) * SPACING_FACTOR;
+    }
+    else {
+      this._yOffset = 0;
+    }
     for (let layer:number = Layer.BACK; layer < Layer.COUNT; layer++) {
       const sprite = this.getSpriteForLayer(layer);
       if (! sprite) continue;
-      if (this.modulus > 0) {
-        this._yOffset = ((this.sequence % this.modulus) / this.modulus) * SPACING_FACTOR;
-      }
-      else {
-        this._yOffset = 0;
-      }
       const textureName:string = this.getTextureNameForLayer(layer);
       if (textureName in this.textures) {
         sprite.texture = this.textures[textureName];
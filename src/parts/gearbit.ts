@@ -1,5 +1,6 @@
 import { Part, Layer } from './part';
 import { PartType } from './factory';
+import { Animator } from 'ui/animator';
 
 export abstract class GearBase extends Part {
 
@@ -16,21 +17,34 @@ export abstract class GearBase extends Part {
     if ((this.connected) && (this.connected.size > 1) && 
         (! GearBase._updating)) {
       this._rotationVote = r;
-      GearBase._rotationElections.add(this.connected);
+      GearBase._electionsFor(this.animator).add(this.connected);
     }
     else {
       super.rotation = r;
     }
   }
   private _rotationVote:number = NaN;
-  private static _rotationElections:Set<Set<GearBase>> = new Set();
+  // elections are kept for each animator, so boards simulated on their own
+  //  don't tally the votes of the board being shown or the reverse
+  private static _rotationElections:Map<Animator,Set<Set<GearBase>>> =
+    new Map();
 
-  // tally votes and apply rotation
-  public static update():void {
+  private static _electionsFor(animator:Animator):Set<Set<GearBase>> {
+    let elections = GearBase._rotationElections.get(animator);
+    if (! elections) {
+      elections = new Set();
+      GearBase._rotationElections.set(animator, elections);
+    }
+    return(elections);
+  }
+
+  // tally votes and apply rotation for gears moved by the given animator
+  public static update(animator:Animator=Animator.current):void {
+    const elections = GearBase._rotationElections.get(animator);
     // skip this if there are no votes
-    if (! (GearBase._rotationElections.size > 0)) return;
+    if (! ((elections) && (elections.size > 0))) return;
     GearBase._updating = true;
-    for (const election of GearBase._rotationElections) {
+    for (const election of elections) {
       let sum:number = 0;
       let count:number = 0;
       for (const voter of election) {
@@ -46,14 +60,15 @@ export abstract class GearBase extends Part {
         voter.rotation = mean;
       }
     }
-    GearBase._rotationElections.clear();
+    GearBase._rotationElections.delete(animator);
     GearBase._updating = false;
   }
   private static _updating:boolean = false;
 
   public isBeingDriven():boolean {
-    return(GearBase._rotationElections.has(this.connected) &&
-           (isNaN(this._rotationVote)));
+    const elections = GearBase._rotationElections.get(this.animator);
+    return(((elections) && (elections.has(this.connected)) &&
+            (isNaN(this._rotationVote))) ? true : false);
   }
 
 }
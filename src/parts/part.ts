@@ -1,5 +1,3 @@
-import * as PIXI from 'pixi.js';
-
 import { PartType } from './factory';
 import { Renderer } from 'renderer';
 import { Animator } from 'ui/animator';
@@ -38,6 +36,10 @@ export abstract class Part {
   // whether the part can be replaced
   public isLocked:boolean = false;
 
+  // the animator that moves the part, which is the app's unless the part
+  //  was made for a board that's simulated on its own
+  public animator:Animator = Animator.current;
+
   // a counter to track changes to non-display properties
   public changeCounter:number = 0;
 
@@ -84,7 +86,7 @@ export abstract class Part {
 
   // whether the part is pointing right (or will be when animations finish)
   public get bitValue():boolean {
-    return(Animator.current.getEndValue(this, 'rotation') >= 0.5);
+    return(this.animator.getEndValue(this, 'rotation') >= 0.5);
   }
 
   // whether the part is flipped to its left/right variant
@@ -102,7 +104,7 @@ export abstract class Part {
     if (this.canFlip) this.isFlipped = ! this.isFlipped;
     else if (this.canRotate) {
       const bitValue = this.bitValue;
-      Animator.current.animate(this, 'rotation',
+      this.animator.animate(this, 'rotation',
         bitValue ? 1.0 : 0.0, bitValue ? 0.0 : 1.0, time);
       // cancel rotation animations for connected gear trains
       //  (note that we don't refer to Gearbase to avoid a circular reference)
@@ -110,7 +112,7 @@ export abstract class Part {
         const connected = (this as any).connected as Set<Part>;
         if (connected) {
           for (const gear of connected) {
-            if (gear !== this) Animator.current.stopAnimating(gear, 'rotation');
+            if (gear !== this) this.animator.stopAnimating(gear, 'rotation');
           }
         }
       }
@@ -203,9 +205,11 @@ export abstract class Part {
 
   // set initial properties for a newly-created sprite
   protected _initSprite(layer:Layer):PIXI.Sprite {
+    // parts being simulated without a display have no textures
+    if (! this.textures) return(null);
     const textureName = this.getTextureNameForLayer(layer);
-    const sprite = new PIXI.Sprite(this.textures[textureName]);
     if ((! textureName) || (! (textureName in this.textures))) return(null);
+    const sprite = new PIXI.Sprite(this.textures[textureName]);
     if (sprite) {
       // always position sprites from the center
       sprite.anchor.set(0.5, 0.5);
@@ -224,6 +224,10 @@ export class PartBody {
     if (this._part.bodyCanMove) {
       this._part.column = this._body.position.x / SPACING;
       this._part.row = this._body.position.y / SPACING;
+      // keep track of where the engine moved the body so it can be moved
+      //  relative to that if the part gets moved
+      this._compositePosition = 
+        { x: this._body.position.x, y: this._body.position.y };
     }
     if (this._part.bodyCanRotate) {
       const r:number = this._part.rotationForAngle(this._body.angle);
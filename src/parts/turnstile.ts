@@ -23,6 +23,10 @@ export class Turnstile extends Part {
   }
   private _drop:Drop;
 
+  // a drop the turnstile was linked to instead of the nearest one, which
+  //  it stays connected to while that drop is on the board
+  public linkedDrop:Drop = null;
+
   // put a ball in the center to show the color of the associated drop
   protected _initSprite(layer:Layer):PIXI.Sprite {
     if (layer == Layer.SCHEMATIC_BACK) {
@@ -1,5 +1,3 @@
-import * as PIXI from 'pixi.js';
-
 import { Colors } from 'ui/config';
 
 export class Renderer {
@@ -9,21 +7,33 @@ export class Renderer {
   }
   private static _needsUpdate:boolean = false;
 
-  public static readonly instance = PIXI.autoDetectRenderer({
-    antialias: false,
-    backgroundColor: Colors.BACKGROUND
-  });
+  // the renderer and stage are created on first use, so that parts can be
+  //  simulated without a display
+  public static get instance():PIXI.WebGLRenderer|PIXI.CanvasRenderer {
+    if (! Renderer._instance) {
+      Renderer._instance = PIXI.autoDetectRenderer({
+        antialias: false,
+        backgroundColor: Colors.BACKGROUND
+      });
+    }
+    return(Renderer._instance);
+  }
+  private static _instance:PIXI.WebGLRenderer|PIXI.CanvasRenderer = null;
 
   public static get interaction():PIXI.interaction.InteractionManager {
     return(Renderer.instance.plugins.interaction);
   }
 
-  public static readonly stage = new PIXI.Container();
+  public static get stage():PIXI.Container {
+    if (! Renderer._stage) Renderer._stage = new PIXI.Container();
+    return(Renderer._stage);
+  }
+  private static _stage:PIXI.Container = null;
 
   public static render():void {
     // render at 30fps, it's good enough
     if (Renderer._counter++ % 2 == 0) return;
-    if (Renderer._needsUpdate) {
+    if ((Renderer._needsUpdate) && (Renderer._instance)) {
       Renderer.instance.render(Renderer.stage);
       Renderer._needsUpdate = false;
     }
@@ -0,0 +1,275 @@
+import { SimulatorApp } from 'app';
+import { Board } from 'board/board';
+import { BoardEventMap } from 'board/events';
+import { EventEmitter } from 'util/events';
+import { Simulation, BitState } from 'board/simulation';
+import { JSONBoardFormat } from 'board/json';
+import { TextBoardFormat } from 'board/text';
+import { BoardBuilder } from 'board/builder';
+import { nameForHue } from 'board/recorder';
+import { PartType } from 'parts/factory';
+import { Drop } from 'parts/drop';
+import { GearBase } from 'parts/gearbit';
+import { GridLocation } from 'board/registers';
+
+// a description of the part at a location on the board
+export type PartInfo = {
+  // the name of the part's type, as used in the JSON format
+  type:string,
+  column:number,
+  row:number,
+  flipped:boolean,
+  locked:boolean,
+  // the value of a bit or gearbit, which is false for other parts
+  value:boolean
+};
+
+// the outcome of a run started from a script
+export type RunResult = {
+  // whether balls came to rest before the time limit
+  finished:boolean,
+  // the colors of the balls that reached the output, in order
+  output:string[],
+  // the state of all bits and gearbits in reading order
+  bits:BitState[]
+};
+
+// the longest a run started from a script can take before giving up
+const DEFAULT_RUN_TIMEOUT:number = 60000;
+
+// functions for building and running boards from the browser's developer
+//  tools, which the app publishes as window.ttsim so that boards can be
+//  generated and experiments run without clicking, for example:
+//
+//    for (let i = 0; i < 6; i++) ttsim.setPart(3 + i, 3 + i, 'bit');
+//    ttsim.setBallCount(0, 8);
+//    ttsim.release().then((result) => console.log(result.bits));
+//
+// columns and rows start at zero in the top left corner, and drops are
+//  numbered in reading order
+export class ScriptingAPI {
+
+  constructor(public readonly app:SimulatorApp) {
+    this._sim = new Simulation(app.board);
+  }
+  private _sim:Simulation;
+
+  protected get board():Board { return(this.app.board); }
+
+  // BOARDS *******************************************************************
+
+  // the size of the board
+  public get columns():number { return(this.board.columnCount); }
+  public get rows():number { return(this.board.rowCount); }
+
+  // replace the board with an empty standard one, where the distance
+  //  between the drops and the height of the drop set the size
+  public newBoard(redBlueDistance:number=5, verticalDrop:number=11):void {
+    this.board.challenge = null;
+    BoardBuilder.initStandardBoard(this.board, redBlueDistance, verticalDrop);
+    this.app.actionbar.zoomToFit();
+  }
+
+  // replace the board with one in the JSON format, returning whether it
+  //  could be read
+  public loadJSON(json:string):boolean {
+    return(this._load(() => JSONBoardFormat.read(this.board, json)));
+  }
+
+  // replace the board with one in the text notation, returning whether it
+  //  could be read
+  public loadText(text:string):boolean {
+    return(this._load(() => TextBoardFormat.read(this.board, text)));
+  }
+
+  protected _load(read:() => boolean):boolean {
+    this.board.challenge = null;
+    if (! read()) return(false);
+    this.app.actionbar.zoomToFit();
+    return(true);
+  }
+
+  // get the board in the JSON format or the text notation
+  public toJSON():string { return(JSONBoardFormat.write(this.board)); }
+  public toText():string { return(TextBoardFormat.write(this.board)); }
+
+  // make all the changes in the given function into one step that can be
+  //  undone, which is nice when generating a lot of parts at once
+  public edit(f:() => void):void {
+    this.board.history.beginGroup();
+    try {
+      f();
+    }
+    finally {
+      this.board.history.endGroup();
+      this._updateUI();
+    }
+  }
+
+  // PARTS ********************************************************************
+
+  // get a description of the part at the given location, or null if
+  //  there's nothing there
+  public getPart(column:number, row:number):PartInfo {
+    const part = this.board.getPart(column, row);
+    if (! part) return(null);
+    return({ type: JSONBoardFormat.nameForType(part.type),
+      column: column, row: row,
+      flipped: part.isFlipped, locked: part.isLocked,
+      value: part.bitValue });
+  }
+
+  // put a new part at the given location, where the type is a name from
+  //  the JSON format like 'ramp' or 'gearbit', returning whether it could
+  //  be placed
+  public setPart(column:number, row:number, type:string,
+                 flipped:boolean=false):boolean {
+    const partType = JSONBoardFormat.typeForName(type);
+    if ((! (partType >= 0)) || (partType === PartType.BALL) ||
+        (! this.board.canPlacePart(partType, column, row))) return(false);
+    const part = this.board.partFactory.make(partType);
+    if (flipped) {
+      if (part.canFlip) part.isFlipped = true;
+      else if (part.canRotate) part.rotation = 1.0;
+    }
+    this.board.setPart(part, column, row);
+    this._updateUI();
+    return(this.board.getPart(column, row) === part);
+  }
+
+  // remove the part at the given location
+  public clearPart(column:number, row:number):void {
+    this.board.clearPart(column, row);
+    this._updateUI();
+  }
+
+  // flip the part at the given location
+  public flipPart(column:number, row:number):void {
+    if (! this.board.canFlipPart(column, row)) return;
+    this.board.flipPart(column, row);
+    this._updateUI();
+  }
+
+  // BITS *********************************************************************
+
+  // get the value of the bit or gearbit at the given location, or null if
+  //  there isn't one there
+  public getBit(column:number, row:number):boolean {
+    const part = this.board.getPart(column, row);
+    if ((! part) || ((part.type !== PartType.BIT) &&
+                     (part.type !== PartType.GEARBIT))) return(null);
+    return(part.bitValue);
+  }
+
+  // set the value of the bit or gearbit at the given location, along with
+  //  any gearbits connected to it
+  public setBit(column:number, row:number, value:boolean):void {
+    const part = this.board.getPart(column, row);
+    if ((! part) || ((part.type !== PartType.BIT) &&
+                     (part.type !== PartType.GEARBIT))) return;
+    part.rotation = value ? 1.0 : 0.0;
+    GearBase.update(this.board.animator);
+    this.board.onChange();
+  }
+
+  // get the state of all bits and gearbits in reading order
+  public readBits():BitState[] { return(this._sim.readBits()); }
+
+  // BALLS ********************************************************************
+
+  // the number of drops on the board
+  public get dropCount():number { return(this._sim.drops.length); }
+
+  // the locations of the drops on the board in reading order
+  public get drops():GridLocation[] {
+    return(this._sim.drops.map((drop) =>
+      ({ column: drop.column, row: drop.row })));
+  }
+
+  // set the number of balls in the drop with the given index
+  public setBallCount(dropIndex:number, count:number):void {
+    const drop = this._drop(dropIndex);
+    if (drop) this.board.setDropBallCount(drop, Math.max(0, Math.floor(count)));
+  }
+
+  // put all balls back in their drops
+  public returnBalls():void {
+    this.board.returnBalls();
+  }
+
+  // release a ball from the drop with the given index and run until balls
+  //  come to rest
+  public release(dropIndex:number=0,
+                 timeout:number=DEFAULT_RUN_TIMEOUT):Promise<RunResult> {
+    const drop = this._drop(dropIndex);
+    if (! drop) return(Promise.reject(new Error('No drop '+dropIndex)));
+    drop.releaseBall();
+    return(this.run(timeout));
+  }
+
+  protected _drop(dropIndex:number):Drop {
+    const drops = this._sim.drops;
+    return(((dropIndex >= 0) && (dropIndex < drops.length)) ?
+      drops[dropIndex] : null);
+  }
+
+  // RUNNING ******************************************************************
+
+  // unpause the simulation and resolve when balls come to rest, or with an
+  //  unfinished result if they're still moving after the given number of
+  //  milliseconds
+  public run(timeout:number=DEFAULT_RUN_TIMEOUT):Promise<RunResult> {
+    const start = this.board.recorder.output.length;
+    const result = (finished:boolean):RunResult => ({ finished: finished,
+      output: this.board.recorder.output.slice(start).map((ball) =>
+        nameForHue(ball.hue)),
+      bits: this.readBits() });
+    this.board.paused = false;
+    if (this.board.areBallsAtRest) return(Promise.resolve(result(true)));
+    return(new Promise((resolve) => {
+      const off = this.board.events.once('ballsAtRest', () => {
+        clearTimeout(timer);
+        resolve(result(true));
+      });
+      const timer = setTimeout(() => {
+        off();
+        resolve(result(false));
+      }, timeout);
+    }));
+  }
+
+  // stop the simulation
+  public pause():void {
+    this.board.paused = true;
+  }
+
+  // the speed to run the simulation at, where 1 is normal speed
+  public get speed():number { return(this.board.speed); }
+  public set speed(v:number) {
+    this.board.speed = v;
+    this._updateUI();
+  }
+
+  // which router moves the balls
+  public get schematic():boolean { return(this.board.schematic); }
+  public set schematic(v:boolean) {
+    this.board.schematic = v;
+    this._updateUI();
+  }
+  public get logic():boolean { return(this.board.logic); }
+  public set logic(v:boolean) {
+    this.board.logic = v;
+    this._updateUI();
+  }
+
+  // EVENTS *******************************************************************
+
+  // the board's events, which can be subscribed to with on(name, listener)
+  public get events():EventEmitter<BoardEventMap> { return(this.board.events); }
+
+  protected _updateUI():void {
+    this.app.toolbar.updateToggled();
+    this.app.actionbar.updateToggled();
+  }
+
+}
\ No newline at end of file
@@ -1,12 +1,32 @@
 import * as PIXI from 'pixi.js';
 
-import { Board, ToolType, SPACING_FACTOR } from 'board/board';
-import { Button, PartButton, SpriteButton, ButtonBar } from './button';
+import { Board, ToolType } from 'board/board';
+import { SPACING_FACTOR } from 'board/constants';
+import { Button, PartButton, SpriteButton, TextButton, ButtonBar } from './button';
 import { Zooms, Speeds, Delays } from './config';
 import { Renderer } from 'renderer';
 import { URLBoardSerializer } from 'board/serializer';
 import { Animator } from './animator';
 import { BoardBuilder } from 'board/builder';
+import { JSONBoardFormat } from 'board/json';
+import { TextBoardFormat } from 'board/text';
+import { Challenge } from 'board/challenge';
+import { Inventory } from 'board/inventory';
+import { ConsistencyCheck, ConsistencyReport } from 'board/consistency';
+import { MAX_TRUTH_TABLE_INPUTS } from 'board/truthtable';
+import { LibraryPanel } from './library';
+import { ScreenRecorder, RecordingFormat, RecordingRegion } from './recording';
+import { DialogPanel } from './dialog';
+import { SVGBoardFormat } from 'board/svg';
+import { downloadText, downloadCanvas, uploadFile } from 'util/file';
+import { copyText, pasteText } from 'util/clipboard';
+
+// the most differences between physical and schematic mode to list at once
+const MAX_REPORTED_PROBLEMS:number = 8;
+// the sizes parts can have in a picture of the board, in pixels
+const IMAGE_PART_SIZES:number[] = [ 8, 16, 32, 64, 128, 256 ];
+// the frame rates recordings can have
+const RECORDING_FRAME_RATES:number[] = [ 5, 10, 15, 30, 60 ];
 
 export class Actionbar extends ButtonBar {
 
@@ -26,6 +46,9 @@ export class Actionbar extends ButtonBar {
     this._schematicButton = new SpriteButton(
       new PIXI.Sprite(board.partFactory.textures['schematic']));
     this.addButton(this._schematicButton);
+    // add a button to toggle the logic router
+    this._logicButton = new TextButton('\u21AF');
+    this.addButton(this._logicButton);
     // add zoom controls
     this._zoomInButton = new SpriteButton(
       new PIXI.Sprite(board.partFactory.textures['zoomin']));
@@ -43,10 +66,32 @@ export class Actionbar extends ButtonBar {
     this._slowerButton = new SpriteButton(
       new PIXI.Sprite(board.partFactory.textures['slower']));
     this.addButton(this._slowerButton);
+    // add pausing and stepping through the simulation
+    this._pauseButton = new TextButton('\u275A\u275A');
+    this.addButton(this._pauseButton);
+    this._stepButton = new TextButton('\u21A6');
+    this.addButton(this._stepButton);
+    this._stepToInteractionButton = new TextButton('\u21E5');
+    this.addButton(this._stepToInteractionButton);
+    this._breakOnRestButton = new TextButton('\u23F9');
+    this.addButton(this._breakOnRestButton);
+    this._replayButton = new TextButton('\u23EE');
+    this.addButton(this._replayButton);
+    // add showing the paths balls take
+    this._trailsButton = new TextButton('~');
+    this.addButton(this._trailsButton);
+    // add recording the board as an animation
+    this._recordButton = new TextButton('\u23FA');
+    this.addButton(this._recordButton);
     // add a ball return
     this._returnButton = new SpriteButton(
       new PIXI.Sprite(board.partFactory.textures['return']));
     this.addButton(this._returnButton);
+    // add undo and redo
+    this._undoButton = new TextButton('\u21B6');
+    this.addButton(this._undoButton);
+    this._redoButton = new TextButton('\u21B7');
+    this.addButton(this._redoButton);
 
     // add more top buttons here...
     
@@ -73,24 +118,56 @@ export class Actionbar extends ButtonBar {
     });
   }
   private _schematicButton:Button;
+  private _logicButton:Button;
   private _zoomInButton:Button;
   private _zoomOutButton:Button;
   private _zoomToFitButton:Button;
   private _fasterButton:Button;
   private _slowerButton:Button;
+  private _pauseButton:TextButton;
+  private _stepButton:Button;
+  private _stepToInteractionButton:Button;
+  private _breakOnRestButton:Button;
+  private _replayButton:Button;
+  private _trailsButton:Button;
+  private _recordButton:Button;
   private _returnButton:Button;
+  private _undoButton:Button;
+  private _redoButton:Button;
   private _helpButton:Button;
   private _githubButton:Button;
   private _heartButton:Button;
   private _drawerButton:Button;
   private _drawer:BoardDrawer;
 
+  // the panel that lists boards saved in the library, which the drawer
+  //  has buttons for
+  public get libraryPanel():LibraryPanel { return(this._drawer.libraryPanel); }
+  public set libraryPanel(v:LibraryPanel) {
+    this._drawer.libraryPanel = v;
+    this.updateToggled();
+  }
+
+  // the panel used to show messages and ask for settings
+  public get dialogPanel():DialogPanel { return(this._dialogPanel); }
+  public set dialogPanel(v:DialogPanel) {
+    this._dialogPanel = v;
+    this._drawer.dialogPanel = v;
+  }
+  private _dialogPanel:DialogPanel = null;
+
+  // advance any work the drawer's actions are doing across frames
+  public update():void {
+    this._drawer.update();
+  }
+
   protected onButtonClick(button:Button):void {
     if (button === this._schematicButton) {
       this.board.schematic = ! this.board.schematicView;
       this.updateToggled();
       if (this.peer) this.peer.updateToggled();
     }
+    else if (button === this._logicButton) { this.toggleLogic(); }
     else if (button === this._zoomInButton) {
       this.zoomIn();
       if (this.peer) this.peer.updateToggled();
@@ -105,7 +182,21 @@ export class Actionbar extends ButtonBar {
     }
     else if (button === this._fasterButton) { this.goFaster(); }
     else if (button === this._slowerButton) { this.goSlower(); }
+    else if (button === this._pauseButton) { this.togglePause(); }
+    else if (button === this._stepButton) { this.step(); }
+    else if (button === this._stepToInteractionButton) { 
+      this.stepToInteraction(); 
+    }
+    else if (button === this._breakOnRestButton) {
+      this.board.breakOnRest = ! this.board.breakOnRest;
+      this.updateToggled();
+    }
+    else if (button === this._replayButton) { this.replay(); }
+    else if (button === this._trailsButton) { this.toggleTrails(); }
+    else if (button === this._recordButton) { this.toggleRecording(); }
     else if (button === this._returnButton) { this.board.returnBalls(); }
+    else if (button === this._undoButton) { this.undo(); }
+    else if (button === this._redoButton) { this.redo(); }
     else if (button === this._drawerButton) this.toggleDrawer();
     else if (button === this._helpButton) {
       window.open('usage', '_blank');
@@ -128,6 +219,9 @@ export class Actionbar extends ButtonBar {
       if (button === this._schematicButton) {
         button.isToggled = this.board.schematic;
       }
+      else if (button === this._logicButton) {
+        button.isToggled = this.board.logic;
+      }
       else if (button === this._zoomInButton) {
         button.isEnabled = this.canZoomIn;
       }
@@ -140,13 +234,145 @@ export class Actionbar extends ButtonBar {
       else if (button === this._slowerButton) {
         button.isEnabled = this.canGoSlower;
       }
+      else if (button === this._pauseButton) {
+        // show what the button will do
+        this._pauseButton.text = this.board.paused ? 
+          '\u25B6' : '\u275A\u275A';
+        button.isToggled = this.board.paused;
+      }
+      else if (button === this._breakOnRestButton) {
+        button.isToggled = this.board.breakOnRest;
+      }
+      else if (button === this._replayButton) {
+        button.isEnabled = this.board.timeline.length > 0;
+      }
+      else if (button === this._trailsButton) {
+        button.isToggled = this.board.showTrails;
+      }
+      else if (button === this._recordButton) {
+        button.isEnabled = this.screenRecorder !== null;
+        button.isToggled = (this.screenRecorder !== null) &&
+          (this.screenRecorder.isRecording);
+      }
       else if (button === this._drawerButton) {
         button.isToggled = this._drawer.visible;
       }
+      else if (button === this._undoButton) {
+        button.isEnabled = this.board.history.canUndo;
+      }
+      else if (button === this._redoButton) {
+        button.isEnabled = this.board.history.canRedo;
+      }
     }
+    this._drawer.updateToggled();
     Renderer.needsUpdate();
   }
 
+  // STEPPING *****************************************************************
+
+  public togglePause():void {
+    this.board.paused = ! this.board.paused;
+    this.updateToggled();
+  }
+
+  public step():void {
+    this.board.step();
+    this.updateToggled();
+  }
+
+  public stepToInteraction():void {
+    this.board.stepToInteraction();
+    this.updateToggled();
+  }
+
+  // go back to the previous snapshot of the run
+  public stepBack():void {
+    const timeline = this.board.timeline;
+    if (timeline.position > 0) timeline.seek(timeline.position - 1);
+    this.updateToggled();
+  }
+
+  // run again from the start of the timeline
+  public replay():void {
+    this.board.timeline.replay();
+    this.updateToggled();
+  }
+
+  public toggleTrails():void {
+    this.board.showTrails = ! this.board.showTrails;
+    this.updateToggled();
+  }
+
+  // RECORDING ****************************************************************
+
+  // the recorder that captures the screen, which is set by the app
+  public get screenRecorder():ScreenRecorder { return(this._screenRecorder); }
+  public set screenRecorder(v:ScreenRecorder) {
+    this._screenRecorder = v;
+    this.updateToggled();
+  }
+  private _screenRecorder:ScreenRecorder = null;
+
+  // start recording with settings the user picks, or stop recording and
+  //  download the animation
+  public toggleRecording():void {
+    const recorder = this.screenRecorder;
+    if (! recorder) return;
+    if (recorder.isRecording) {
+      recorder.stop();
+      return;
+    }
+    if (! this.dialogPanel) return;
+    // the options are in the same order as the enums
+    const regions = [ 'Board', 'Selection', 'Window' ];
+    const formats = [ 'GIF' ];
+    if (ScreenRecorder.canRecordVideo) formats.push('WebM');
+    this.dialogPanel.askOptions('Record the screen while the board runs:', [
+      { label: 'Frames per second',
+        options: RECORDING_FRAME_RATES.map((rate) => String(rate)),
+        selected: RECORDING_FRAME_RATES.indexOf(10) },
+      { label: 'Area', options: regions,
+        selected: this.board.selection ?
+          RecordingRegion.SELECTION : RecordingRegion.BOARD },
+      { label: 'Format', options: formats, selected: RecordingFormat.GIF }
+    ], (selected:number[]) => {
+      if (! recorder.start(selected[2] as RecordingFormat,
+          RECORDING_FRAME_RATES[selected[0]],
+          selected[1] as RecordingRegion)) {
+        this.dialogPanel.showMessage(
+          'There\'s nothing on the screen to record.');
+      }
+      this.updateToggled();
+    });
+  }
+
+  // ROUTING ******************************************************************
+
+  public toggleLogic():void {
+    this.board.logic = ! this.board.logic;
+    this.updateToggled();
+    if (this.peer) this.peer.updateToggled();
+  }
+
+  public toggleAnimateLogic():void {
+    this.board.animateLogic = ! this.board.animateLogic;
+    this.updateToggled();
+  }
+
+  // HISTORY ******************************************************************
+
+  public undo():void {
+    this.board.undo();
+    this.updateToggled();
+    if (this.peer) this.peer.updateToggled();
+  }
+
+  public redo():void {
+    this.board.redo();
+    this.updateToggled();
+    if (this.peer) this.peer.updateToggled();
+  }
+
   // SPEED CONTROL ************************************************************
 
   public get canGoFaster():boolean {
@@ -272,6 +498,46 @@ export class BoardDrawer extends ButtonBar {
     this._uploadButton = new SpriteButton(
       new PIXI.Sprite(board.partFactory.textures['upload']));
     this.addButton(this._uploadButton);
+    this._downloadJSONButton = new TextButton('{\u2193}');
+    this.addButton(this._downloadJSONButton);
+    this._uploadJSONButton = new TextButton('{\u2191}');
+    this.addButton(this._uploadJSONButton);
+    // add saving the board as a challenge
+    this._downloadChallengeButton = new TextButton('?\u2193');
+    this.addButton(this._downloadChallengeButton);
+    // add saving the paths balls took during the last run
+    this._downloadTrailsButton = new TextButton('~\u2193');
+    this.addButton(this._downloadTrailsButton);
+    // add saving a picture of the whole board as an image or a drawing
+    this._downloadImageButton = new TextButton('\u25A3\u2193');
+    this.addButton(this._downloadImageButton);
+    this._downloadSVGButton = new TextButton('\u25A1\u2193');
+    this.addButton(this._downloadSVGButton);
+    // add copying and pasting the board as text
+    this._copyTextButton = new TextButton('#\u2197');
+    this.addButton(this._copyTextButton);
+    this._pasteTextButton = new TextButton('#\u2199');
+    this.addButton(this._pasteTextButton);
+    // add limiting parts to what comes in the box
+    this._inventoryButton = new TextButton('\u2116');
+    this.addButton(this._inventoryButton);
+    // add comparing the paths balls take in physical and schematic mode
+    this._checkRoutersButton = new TextButton('\u2248');
+    this.addButton(this._checkRoutersButton);
+    // add running the board with every combination of truth table inputs
+    this._truthTableButton = new TextButton('\u229E\u25B6');
+    this.addButton(this._truthTableButton);
+    this._downloadTruthTableButton = new TextButton('\u229E\u2193');
+    this.addButton(this._downloadTruthTableButton);
+    this.board.truthTable.onFinish = () => this.onTruthTableFinished();
+    // add naming the bits picked for a register
+    this._registerButton = new TextButton('\u2263+');
+    this.addButton(this._registerButton);
+    // add saving boards by name and browsing the saved boards
+    this._saveToLibraryButton = new TextButton('\u25A6+');
+    this.addButton(this._saveToLibraryButton);
+    this._libraryButton = new TextButton('\u25A6');
+    this.addButton(this._libraryButton);
   }
   private _smallButton:Button;
   private _mediumButton:Button;
@@ -279,9 +545,34 @@ export class BoardDrawer extends ButtonBar {
   private _clearButton:Button;
   private _downloadButton:Button;
   private _uploadButton:Button;
+  private _downloadJSONButton:Button;
+  private _uploadJSONButton:Button;
+  private _downloadChallengeButton:Button;
+  private _downloadTrailsButton:Button;
+  private _downloadImageButton:Button;
+  private _downloadSVGButton:Button;
+  private _copyTextButton:Button;
+  private _pasteTextButton:Button;
   private _clearBallsButton:Button;
+  private _inventoryButton:Button;
+  private _checkRoutersButton:Button;
+  private _truthTableButton:Button;
+  private _downloadTruthTableButton:Button;
+  private _registerButton:Button;
+  private _saveToLibraryButton:Button;
+  private _libraryButton:Button;
+
+  // the panel that lists boards saved in the library
+  public libraryPanel:LibraryPanel = null;
+  // the panel used to show messages and ask for settings
+  public dialogPanel:DialogPanel = null;
 
   protected onButtonClick(button:Button):void {
+    // replacing the board ends any challenge in progress
+    if ((button === this._smallButton) || (button === this._mediumButton) ||
+        (button === this._largeButton) || (button === this._clearButton)) {
+      this.board.challenge = null;
+    }
     if (button === this._smallButton) {
       BoardBuilder.initStandardBoard(this.board, 5, 11);
       this.zoomToFit();
@@ -309,16 +600,238 @@ export class BoardDrawer extends ButtonBar {
     else if (button === this._uploadButton) {
       if (this.board.serializer instanceof URLBoardSerializer) {
         this.board.serializer.upload((restored:boolean) => {
-          if (restored) this.zoomToFit();
+          if (! restored) return;
+          this.board.challenge = null;
+          this.zoomToFit();
         });
       }
     }
+    else if (button === this._downloadJSONButton) {
+      downloadText(JSONBoardFormat.write(this.board), 'ttsim.json',
+        'application/json');
+    }
+    else if (button === this._uploadJSONButton) {
+      uploadFile('application/json,.json', true, (json:string) => {
+        if (Challenge.isChallenge(json)) {
+          const challenge = Challenge.read(json);
+          if ((challenge) && (this.board.startChallenge(challenge))) {
+            this.zoomToFit();
+          }
+        }
+        else if (JSONBoardFormat.read(this.board, json)) {
+          this.board.challenge = null;
+          this.zoomToFit();
+        }
+      });
+    }
+    else if (button === this._downloadChallengeButton) {
+      this.downloadChallenge();
+    }
+    else if (button === this._downloadTrailsButton) {
+      downloadText(this.board.trails.write(), 'trails.json', 'application/json');
+    }
+    else if (button === this._downloadImageButton) {
+      this.downloadImage();
+    }
+    else if (button === this._downloadSVGButton) {
+      downloadText(SVGBoardFormat.write(this.board), 'board.svg',
+        'image/svg+xml');
+    }
+    else if (button === this._copyTextButton) {
+      copyText(TextBoardFormat.write(this.board));
+    }
+    else if (button === this._pasteTextButton) {
+      const read = (text:string) => {
+        if (! TextBoardFormat.read(this.board, text)) return;
+        this.board.challenge = null;
+        this.zoomToFit();
+      };
+      // if the clipboard isn't available, the text can come from a file
+      pasteText(read, () => uploadFile('text/plain,.txt', true, read));
+    }
+    else if (button === this._inventoryButton) {
+      this.board.inventory = this.board.inventory ? null : Inventory.standard();
+      this.updateToggled();
+    }
+    else if (button === this._checkRoutersButton) {
+      this.checkRouters();
+    }
+    else if (button === this._truthTableButton) {
+      this.runTruthTable();
+    }
+    else if (button === this._downloadTruthTableButton) {
+      const table = this.board.truthTable;
+      if ((table.rows.length > 0) && (! table.isRunning)) {
+        this.downloadTruthTable();
+      }
+      // download the table when it's done being made
+      else if ((table.isRunning) || (this.runTruthTable())) {
+        this._downloadTruthTableWhenFinished = true;
+      }
+    }
+    else if (button === this._registerButton) {
+      this.defineRegister();
+    }
+    else if (button === this._saveToLibraryButton) {
+      if (this.libraryPanel) this.libraryPanel.saveBoard();
+    }
+    else if (button === this._libraryButton) {
+      if (this.libraryPanel) this.libraryPanel.toggle();
+    }
+  }
+
+  // save the board as a challenge with a title the user picks
+  protected downloadChallenge():void {
+    if (! this.dialogPanel) return;
+    const challenge = this.board.challenge;
+    this.dialogPanel.askText('Challenge title:',
+      challenge ? challenge.title : '', (title:string) => {
+        downloadText(Challenge.fromSolution(this.board, title,
+            challenge ? challenge.description : '').write(),
+          'challenge.json', 'application/json');
+      });
+  }
+
+  // save a picture of the whole board with parts at a size and in a style
+  //  the user picks
+  protected downloadImage():void {
+    if (! this.dialogPanel) return;
+    // start with the size closest to the one parts are shown at
+    let closest:number = 0;
+    IMAGE_PART_SIZES.forEach((size:number, i:number) => {
+      if (Math.abs(Math.log(size / this.board.partSize)) <
+          Math.abs(Math.log(IMAGE_PART_SIZES[closest] / this.board.partSize))) {
+        closest = i;
+      }
+    });
+    this.dialogPanel.askOptions('Download a picture of the board:', [
+      { label: 'Pixels per part',
+        options: IMAGE_PART_SIZES.map((size) => String(size)),
+        selected: closest },
+      { label: 'Style', options: [ 'Physical', 'Schematic' ],
+        selected: this.board.schematicView ? 1 : 0 }
+    ], (selected:number[]) => {
+      downloadCanvas(this.board.renderImage(IMAGE_PART_SIZES[selected[0]],
+        selected[1] === 1), 'board.png');
+    });
+  }
+
+  // name the bits picked with the register tool as a register, or the bits
+  //  in the selection if none were picked, or remove a register if there
+  //  are no bits to name
+  protected defineRegister():void {
+    const registers = this.board.registers;
+    let bits = registers.pending;
+    if ((! (bits.length > 0)) && (this.board.selection)) {
+      bits = registers.bitsInRect(this.board.selection);
+    }
+    if (! this.dialogPanel) return;
+    if (! (bits.length > 0)) {
+      if (! (registers.registers.length > 0)) {
+        this.dialogPanel.showMessage('Use the register tool to pick bits in '+
+          'order from least to most significant, or select an area with '+
+          'bits in it.');
+        return;
+      }
+      this.dialogPanel.askText('Remove the register named:', '',
+        (name:string) => {
+          if (name.trim()) registers.remove(name.trim());
+        });
+      return;
+    }
+    this.dialogPanel.askText('Name the register of '+bits.length+' bits:',
+      'register '+(registers.registers.length + 1), (name:string) => {
+        if (! name) return;
+        registers.define(name, bits);
+        registers.clearPending();
+      });
+  }
+
+  // start running the board with every combination of truth table inputs,
+  //  returning whether the table can be made
+  protected runTruthTable():boolean {
+    this._downloadTruthTableWhenFinished = false;
+    if (this.board.truthTable.start()) return(true);
+    if (this.dialogPanel) {
+      this.dialogPanel.showMessage('Use the truth table tool to mark '+
+        'between 1 and '+MAX_TRUTH_TABLE_INPUTS+' bits as inputs and at '+
+        'least one as an output.');
+    }
+    return(false);
+  }
+
+  // download the truth table if it was asked for before it had all its rows
+  protected onTruthTableFinished():void {
+    if (! this._downloadTruthTableWhenFinished) return;
+    this._downloadTruthTableWhenFinished = false;
+    this.downloadTruthTable();
+  }
+  private _downloadTruthTableWhenFinished:boolean = false;
+
+  protected downloadTruthTable():void {
+    downloadText(this.board.truthTable.write(), 'truthtable.csv',
+      'text/csv');
+  }
+
+  // start running the board in both physical and schematic mode to
+  //  report where balls went different ways
+  protected checkRouters():void {
+    this._routerCheck = new ConsistencyCheck(this.board);
+    if (this.dialogPanel) {
+      this.dialogPanel.showProgress(this._routerCheck.progress,
+        () => this._routerCheck = null);
+    }
+  }
+  private _routerCheck:ConsistencyCheck = null;
+
+  // run any router check a few steps at a time so the display keeps
+  //  updating, and report when it finishes
+  public update():void {
+    const check = this._routerCheck;
+    if (! check) return;
+    check.update();
+    if (! check.isFinished) {
+      if (this.dialogPanel) this.dialogPanel.updateMessage(check.progress);
+      return;
+    }
+    this._routerCheck = null;
+    this.showRouterReport(check.report);
+  }
+
+  // center the view on the first place balls went different ways and
+  //  describe the differences
+  protected showRouterReport(report:ConsistencyReport):void {
+    if (! report) {
+      if (this.dialogPanel) this.dialogPanel.close();
+      return;
+    }
+    if (report.divergence) {
+      this.board.centerColumn = report.divergence.column;
+      this.board.centerRow = report.divergence.row;
+    }
+    if (! this.dialogPanel) return;
+    if (report.consistent) {
+      this.dialogPanel.showMessage(
+        'Balls took the same paths in physical and schematic mode.');
+      return;
+    }
+    const problems = report.problems.slice(0, MAX_REPORTED_PROBLEMS);
+    if (report.problems.length > problems.length) {
+      problems.push('...and '+(report.problems.length - problems.length)+
+        ' more');
+    }
+    this.dialogPanel.showMessage(problems.join('\n'));
   }
 
   protected zoomToFit():void {
     if (this.peer instanceof Actionbar) this.peer.zoomToFit();
   }
 
-  public updateToggled():void { }
+  public updateToggled():void {
+    this._inventoryButton.isToggled = this.board.inventory ? true : false;
+    this._libraryButton.isToggled =
+      ((this.libraryPanel) && (this.libraryPanel.isShown)) ? true : false;
+    Renderer.needsUpdate();
+  }
 
 }
\ No newline at end of file
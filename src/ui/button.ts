@@ -1,7 +1,7 @@
 import * as PIXI from 'pixi.js';
 
 import { Part, Layer } from 'parts/part';
-import { Colors, Alphas, ButtonSizes } from './config';
+import { Colors, Alphas, ButtonSizes, htmlColor } from './config';
 import { Renderer } from 'renderer';
 import { PartType } from 'parts/factory';
 
@@ -148,9 +148,37 @@ export class PartButton extends Button {
   }
   private _schematic:boolean = false;
 
+  // the number of parts left to place, which is shown in the corner if
+  //  the supply is limited
+  public get count():number { return(this._count); }
+  public set count(v:number) {
+    if (v === this._count) return;
+    this._count = v;
+    if (! this._countText) {
+      this._countText = new PIXI.Text('',
+        { fontFamily : 'sans-serif', fontWeight: 'bold', align: 'right', 
+          fontSize: 24, fill: htmlColor(Colors.BALL_COUNT),
+          stroke: '#000000', strokeThickness: 4 });
+      this._countText.anchor.set(1, 1);
+      this.addChild(this._countText);
+    }
+    this._countText.visible = (v !== Infinity);
+    this._countText.text = String(v);
+    this.isEnabled = (v > 0);
+    this.onSizeChanged();
+  }
+  private _count:number = Infinity;
+  private _countText:PIXI.Text = null;
+
   protected onSizeChanged():void {
     super.onSizeChanged();
     if (this.part) this.part.size = Math.floor(this.size * 0.75);
+    if (this._countText) {
+      const hs = Math.floor(this.size / 2);
+      this._countText.x = this._countText.y = hs - 2;
+      const scale = Math.max(0.25, this.size / 96);
+      this._countText.scale.set(scale, scale);
+    }
   }
 
 }
@@ -177,6 +205,42 @@ export class SpriteButton extends Button {
 
 }
 
+// a button with a short text label, for actions that don't have an icon
+export class TextButton extends Button {
+
+  constructor(text:string) {
+    super();
+    this.label = new PIXI.Text(text,
+      { fontFamily : 'sans-serif', fontWeight: 'bold', align: 'center', 
+        fontSize: 48, fill: htmlColor(Colors.BUTTON_TEXT) });
+    this.label.anchor.set(0.5, 0.5);
+    this.addChild(this.label);
+    this.onSizeChanged();
+  }
+  public readonly label:PIXI.Text;
+
+  // change the label, keeping it the same size an icon would be
+  public get text():string { return(this.label.text); }
+  public set text(v:string) {
+    if (v === this.label.text) return;
+    this.label.text = v;
+    this.onSizeChanged();
+    Renderer.needsUpdate();
+  }
+
+  protected onSizeChanged():void {
+    super.onSizeChanged();
+    if (this.label) {
+      // fit the label into the same area an icon would take up
+      const s = Math.floor(this.size * 0.75);
+      this.label.scale.set(1, 1);
+      const scale = s / Math.max(this.label.width, this.label.height, 1);
+      this.label.scale.set(scale, scale);
+    }
+  }
+
+}
+
 export abstract class ButtonBar extends PIXI.Container {
 
   constructor() {
@@ -0,0 +1,88 @@
+import * as PIXI from 'pixi.js';
+
+import { Board } from 'board/board';
+import { Colors, Alphas, htmlColor } from './config';
+import { Renderer } from 'renderer';
+
+// a box that describes the challenge being attempted and whether the last
+//  run met its goal
+export class ChallengePanel extends PIXI.Container {
+
+  constructor(public readonly board:Board) {
+    super();
+    this.addChild(this._background);
+    this._title = this._makeText(true);
+    this._description = this._makeText(false);
+    this._result = this._makeText(true);
+    this.board.onChallengeChange = () => this._draw();
+    this._draw();
+  }
+  private _background:PIXI.Graphics = new PIXI.Graphics();
+  private _title:PIXI.Text;
+  private _description:PIXI.Text;
+  private _result:PIXI.Text;
+
+  public get width():number { return(this._width); }
+  public set width(v:number) {
+    if (v === this._width) return;
+    this._width = v;
+    this._draw();
+  }
+  private _width:number = 0;
+
+  // the height depends on how much text there is
+  public get height():number { return(this._height); }
+  private _height:number = 0;
+
+  protected _makeText(bold:boolean):PIXI.Text {
+    const text = new PIXI.Text('',
+      { fontFamily : 'sans-serif', fontWeight: bold ? 'bold' : 'normal',
+        fontSize: 16, fill: htmlColor(Colors.BUTTON_TEXT), wordWrap: true });
+    this.addChild(text);
+    return(text);
+  }
+
+  protected _draw():void {
+    const challenge = this.board.challenge;
+    this.visible = challenge ? true : false;
+    if (! challenge) return;
+    const m:number = 8;
+    const wrapWidth = Math.max(0, this.width - (2 * m));
+    this._title.text = challenge.title;
+    const description:string[] = [ ];
+    if (challenge.description) description.push(challenge.description);
+    const goal = challenge.describeGoal();
+    if (goal) description.push(goal);
+    this._description.text = description.join('\n');
+    const result = this.board.challengeResult;
+    if (! result) {
+      this._result.text = 'Release balls to check your solution';
+      this._result.style.fill = htmlColor(Colors.BUTTON_TEXT);
+    }
+    else if (result.passed) {
+      this._result.text = 'Passed';
+      this._result.style.fill = htmlColor(Colors.CHALLENGE_PASSED);
+    }
+    else {
+      this._result.text = 'Failed\n'+result.problems.join('\n');
+      this._result.style.fill = htmlColor(Colors.CHALLENGE_FAILED);
+    }
+    // stack the text that's present
+    let y:number = m;
+    for (const text of [ this._title, this._description, this._result ]) {
+      text.style.wordWrapWidth = wrapWidth;
+      text.visible = text.text.length > 0;
+      if (! text.visible) continue;
+      text.x = m;
+      text.y = y;
+      y += text.height + (m / 2);
+    }
+    this._height = y + (m / 2);
+    this._background.clear();
+    this._background.beginFill(Colors.OUTPUT_BACK, Alphas.OUTPUT_BACK);
+    this._background.drawRect(0, 0, this.width, this._height);
+    this._background.endFill();
+    Renderer.needsUpdate();
+  }
+
+}
\ No newline at end of file
@@ -1,9 +1,33 @@
 export const enum Colors {
   BACKGROUND = 0xFFFFFF,  // background of the whole app
   BUTTON_BACK = 0x000000, // background of buttons when not toggled
+  BUTTON_TEXT = 0x000000, // labels on buttons without an icon
   HIGHLIGHT = 0xFFAA00,   // general-purpose highlight color
   BALL_COUNT = 0xFFFFFF,  // ball count text over a drop
   RESIZE_HINT = 0x808080, // border around board when ready to resize
+  OUTPUT_REGION = 0x00AAFF, // area of the board being counted as output
+  OUTPUT_BACK = 0x000000, // background of the output panel
+  CHALLENGE_PASSED = 0x00AA00, // result of a challenge that was met
+  CHALLENGE_FAILED = 0xDD0000, // result of a challenge that wasn't met
+  LOCK_MARKER = 0x808080, // marker on parts that are locked in place
+  BREAKPOINT = 0xDD0000,  // marker on parts with breakpoints
+  BREAKPOINT_BORDER = 0xFFFFFF,
+  TRUTH_TABLE_INPUT = 0x00AA00, // marker on bits that are truth table inputs
+  TRUTH_TABLE_OUTPUT = 0x00AAFF, // marker on bits that are truth table outputs
+  TRUTH_TABLE_BORDER = 0xFFFFFF,
+  REGISTER_BIT = 0xAA00FF, // marker on bits picked for a new register
+  REGISTER_LSB = 0xFF00AA, // marker on the least significant of those bits
+  REGISTER_LINK = 0xAA00FF, // line linking the bits of a register in order
+  REGISTER_BORDER = 0xFFFFFF,
+  SCHEMATIC_LOCATION = 0xCCCCCC, // empty locations in schematic drawings
+  SCHEMATIC_RAMP = 0x22BB66,
+  SCHEMATIC_CROSSOVER = 0xFF7733,
+  SCHEMATIC_INTERCEPTOR = 0x444444,
+  SCHEMATIC_BIT = 0x00AAEE,
+  SCHEMATIC_GEARBIT = 0x3344AA,
+  SCHEMATIC_GEAR = 0xBB2244,
+  SCHEMATIC_FENCE = 0x888888, // sides, slopes and drops
+  SCHEMATIC_TURNSTILE = 0x333333,
   WIREFRAME = 0xFF0000,   // physice engine wireframe (debugging only)
   WIREFRAME_HULL = 0x00FF00,
   WIREFRAME_CONSTRAINT = 0x0000FF,
@@ -17,6 +41,8 @@ export const enum Alphas {
   BUTTON_DOWN = 0.3,
   // preview parts
   PREVIEW_ALPHA = 0.5,
+  // output panel background
+  OUTPUT_BACK = 0.1,
   // wireframe body fill (debugging only)
   WIREFRAME = 0.2
 }
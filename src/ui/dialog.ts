@@ -0,0 +1,375 @@
+import * as PIXI from 'pixi.js';
+
+import { Button, TextButton } from './button';
+import { Colors, Alphas, htmlColor } from './config';
+import { Renderer } from 'renderer';
+
+// the size of the panel's buttons, and the height of the ones for options
+//  and the text field
+const BUTTON_SIZE:number = 32;
+const OPTION_HEIGHT:number = 24;
+const INPUT_HEIGHT:number = 28;
+// the widest the text in the panel can be
+const MAX_TEXT_WIDTH:number = 480;
+// the most characters the user can type
+const MAX_INPUT_LENGTH:number = 100;
+
+// a set of choices the user picks one of
+export type DialogOptions = {
+  label:string,
+  options:string[],
+  // the index of the option that's picked at first
+  selected:number
+};
+
+// a box in front of everything else that shows a message and can ask for
+//  a line of text or a choice among options, so the simulator doesn't need
+//  the browser's dialogs
+export class DialogPanel extends PIXI.Container {
+
+  constructor() {
+    super();
+    // keep clicks from going through to what's behind the panel
+    this.interactive = true;
+    this.addChild(this._background);
+    this.addChild(this._box);
+    this._box.addChild(this._boxBackground);
+    this._message = new PIXI.Text('',
+      { fontFamily : 'sans-serif', fontSize: 16,
+        fill: htmlColor(Colors.BUTTON_TEXT), wordWrap: true });
+    this._box.addChild(this._message);
+    this._box.addChild(this._controls);
+    // listen before the app's shortcuts so they can be kept from acting on
+    //  what's behind the panel while it's shown
+    window.addEventListener('keydown', this._onKeyDown.bind(this), true);
+    window.addEventListener('paste', this._onPaste.bind(this), true);
+    this.visible = false;
+  }
+  private _background:PIXI.Graphics = new PIXI.Graphics();
+  private _box:PIXI.Container = new PIXI.Container();
+  private _boxBackground:PIXI.Graphics = new PIXI.Graphics();
+  private _message:PIXI.Text;
+  private _controls:PIXI.Container = new PIXI.Container();
+  private _optionLabels:PIXI.Text[] = [ ];
+  private _optionButtons:OptionButton[][] = [ ];
+  private _acceptButton:Button;
+  private _cancelButton:Button;
+
+  public get width():number { return(this._width); }
+  public set width(v:number) {
+    if (v === this._width) return;
+    this._width = v;
+    this._draw();
+  }
+  private _width:number = 0;
+
+  public get height():number { return(this._height); }
+  public set height(v:number) {
+    if (v === this._height) return;
+    this._height = v;
+    this._draw();
+  }
+  private _height:number = 0;
+
+  // ASKING *******************************************************************
+
+  public get isShown():boolean { return(this.visible); }
+
+  // show a message until the user closes it
+  public showMessage(message:string):void {
+    this._show(message, null, [ ], null);
+  }
+
+  // show a message about work being done, which the user can stop by
+  //  closing the panel
+  public showProgress(message:string, onCancel:() => void):void {
+    this._show(message, null, [ ], null, onCancel);
+  }
+
+  // change the message being shown, for example to update progress
+  public updateMessage(message:string):void {
+    if ((! this.visible) || (message === this._message.text)) return;
+    this._message.text = message;
+    this._draw();
+  }
+
+  // ask the user whether to go ahead with something
+  public confirm(message:string, onConfirm:() => void):void {
+    this._show(message, null, [ ], onConfirm);
+  }
+
+  // ask the user for a line of text, which is passed to the callback if
+  //  they accept it
+  public askText(message:string, text:string,
+                 onAccept:(text:string) => void):void {
+    this._show(message, text, [ ], () => onAccept(this._input.value));
+  }
+
+  // ask the user to pick from sets of options, passing the index of the
+  //  option picked in each set to the callback if they accept them
+  public askOptions(message:string, options:DialogOptions[],
+                    onAccept:(selected:number[]) => void):void {
+    this._show(message, null, options,
+      () => onAccept(this._selected.slice()));
+  }
+
+  // hide the panel without accepting anything
+  public close():void {
+    if (! this.visible) return;
+    const onCancel = this._onCancel;
+    this._hide();
+    if (onCancel) onCancel();
+  }
+
+  protected _hide():void {
+    this.visible = false;
+    this._onAccept = null;
+    this._onCancel = null;
+    if (this._inputElement) {
+      this._inputElement.blur();
+      this._inputElement.style.display = 'none';
+    }
+    Renderer.needsUpdate();
+  }
+
+  protected _show(message:string, text:string, options:DialogOptions[],
+                  onAccept:() => void, onCancel:() => void=null):void {
+    this._message.text = message;
+    this._isAskingText = text !== null;
+    this._options = options;
+    this._selected = options.map((set) => set.selected);
+    this._onAccept = onAccept;
+    this._onCancel = onCancel;
+    this._makeControls();
+    this.visible = true;
+    this._draw();
+    if (this._isAskingText) {
+      this._input.value = text;
+      this._input.focus();
+      this._input.select();
+    }
+  }
+  private _isAskingText:boolean = false;
+  private _options:DialogOptions[] = [ ];
+  private _selected:number[] = [ ];
+  // the action to take when the user accepts, or null if the panel is only
+  //  showing a message
+  private _onAccept:() => void = null;
+  // the action to take when the user closes the panel without accepting,
+  //  which is what stops work whose progress is being shown
+  private _onCancel:() => void = null;
+
+  protected _accept():void {
+    const onAccept = this._onAccept;
+    this._hide();
+    if (onAccept) onAccept();
+  }
+
+  protected _pick(set:number, option:number):void {
+    this._selected[set] = option;
+    this._updateToggled();
+  }
+
+  // KEYBOARD *****************************************************************
+
+  // the text field is an input element over the canvas, so editing,
+  //  selecting and input methods work as they do on any page, and touch
+  //  devices show their keyboard for it
+  protected get _input():HTMLInputElement {
+    if (! this._inputElement) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.maxLength = MAX_INPUT_LENGTH;
+      input.style.position = 'fixed';
+      input.style.display = 'none';
+      input.style.boxSizing = 'border-box';
+      input.style.height = INPUT_HEIGHT+'px';
+      input.style.font = '16px sans-serif';
+      document.body.appendChild(input);
+      this._inputElement = input;
+    }
+    return(this._inputElement);
+  }
+  private _inputElement:HTMLInputElement = null;
+
+  protected _onKeyDown(e:KeyboardEvent):void {
+    if (! this.visible) return;
+    if ((e.key === 'Enter') || (e.key === 'Escape')) {
+      if ((e.key === 'Enter') && (this._acceptButton)) this._accept();
+      else this.close();
+      e.preventDefault();
+    }
+    // the text field gets the keys it edits with, and the app's shortcuts
+    //  already leave text fields alone
+    else if (e.target === this._inputElement) return;
+    e.stopImmediatePropagation();
+  }
+
+  protected _onPaste(e:ClipboardEvent):void {
+    if ((! this.visible) || (e.target === this._inputElement)) return;
+    e.stopImmediatePropagation();
+    e.preventDefault();
+  }
+
+  // DRAWING ******************************************************************
+
+  protected _makeButton(label:string, onClick:() => void):Button {
+    const button = new TextButton(label);
+    button.size = BUTTON_SIZE;
+    button.addListener('click', onClick);
+    button.addListener('tap', onClick);
+    this._controls.addChild(button);
+    return(button);
+  }
+
+  // make buttons for the options and for accepting or closing
+  protected _makeControls():void {
+    for (const child of this._controls.removeChildren()) {
+      child.destroy({ children: true });
+    }
+    this._optionLabels = [ ];
+    this._optionButtons = [ ];
+    this._options.forEach((set:DialogOptions, i:number) => {
+      const label = new PIXI.Text(set.label,
+        { fontFamily : 'sans-serif', fontSize: 14,
+          fill: htmlColor(Colors.BUTTON_TEXT) });
+      this._controls.addChild(label);
+      this._optionLabels.push(label);
+      this._optionButtons.push(set.options.map((option:string, j:number) => {
+        const button = new OptionButton(option);
+        button.addListener('click', () => this._pick(i, j));
+        button.addListener('tap', () => this._pick(i, j));
+        this._controls.addChild(button);
+        return(button);
+      }));
+    });
+    // progress can only be stopped, and messages can only be closed
+    const isProgress = (! this._onAccept) && (this._onCancel);
+    this._acceptButton = isProgress ? null :
+      this._makeButton('\u2713', () => this._accept());
+    this._cancelButton = ((this._onAccept) || (isProgress)) ?
+      this._makeButton('\u2715', () => this.close()) : null;
+    this._updateToggled();
+  }
+
+  protected _updateToggled():void {
+    this._optionButtons.forEach((buttons:OptionButton[], i:number) => {
+      buttons.forEach((button:OptionButton, j:number) => {
+        button.isToggled = (j === this._selected[i]);
+      });
+    });
+    Renderer.needsUpdate();
+  }
+
+  protected _draw():void {
+    if (! this.visible) return;
+    const m:number = 8;
+    const wrapWidth = Math.max(BUTTON_SIZE,
+      Math.min(MAX_TEXT_WIDTH, this.width - (4 * m)));
+    this._message.style.wordWrapWidth = wrapWidth;
+    this._message.x = this._message.y = m;
+    let y:number = this._message.y + this._message.height + m;
+    let width:number = this._message.width;
+    // leave room for the text field, which is placed once the box is
+    const inputY:number = y;
+    if (this._isAskingText) {
+      y += INPUT_HEIGHT + m;
+      width = Math.max(width, wrapWidth);
+    }
+    // put each set of options in a row under its label
+    this._optionLabels.forEach((label:PIXI.Text, i:number) => {
+      label.x = m;
+      label.y = y;
+      y += label.height + (m / 2);
+      let x:number = m;
+      for (const button of this._optionButtons[i]) {
+        button.x = x;
+        button.y = y;
+        x += button.width + (m / 2);
+      }
+      width = Math.max(width, label.width, x - (m / 2) - m);
+      y += OPTION_HEIGHT + m;
+    });
+    const buttons = [ this._acceptButton, this._cancelButton ].filter(
+      (button) => button !== null);
+    let x:number = m;
+    for (const button of buttons) {
+      button.x = x + (BUTTON_SIZE / 2);
+      button.y = y + (BUTTON_SIZE / 2);
+      x += BUTTON_SIZE + m;
+    }
+    width = Math.max(width, x - (2 * m));
+    y += BUTTON_SIZE + m;
+    const boxWidth = width + (2 * m);
+    this._boxBackground.clear();
+    this._boxBackground.beginFill(Colors.OUTPUT_BACK, Alphas.OUTPUT_BACK);
+    this._boxBackground.drawRect(0, 0, boxWidth, y);
+    this._boxBackground.endFill();
+    this._box.x = Math.round((this.width - boxWidth) / 2);
+    this._box.y = Math.round((this.height - y) / 2);
+    // dim everything behind the panel
+    this.hitArea = new PIXI.Rectangle(0, 0, this.width, this.height);
+    this._background.clear();
+    this._background.beginFill(Colors.OUTPUT_BACK, Alphas.OUTPUT_BACK);
+    this._background.drawRect(0, 0, this.width, this.height);
+    this._background.endFill();
+    // the box is drawn over a solid background so it's easy to read
+    this._background.beginFill(Colors.BACKGROUND);
+    this._background.drawRect(this._box.x, this._box.y, boxWidth, y);
+    this._background.endFill();
+    if (this._isAskingText) this._placeInput(m, inputY, width);
+    Renderer.needsUpdate();
+  }
+
+  // put the text field over the space left for it in the box
+  protected _placeInput(x:number, y:number, width:number):void {
+    const input = this._input;
+    const point = this._box.toGlobal(new PIXI.Point(x, y));
+    const view = Renderer.instance.view.getBoundingClientRect();
+    input.style.left = Math.round(view.left + point.x)+'px';
+    input.style.top = Math.round(view.top + point.y)+'px';
+    input.style.width = Math.round(width)+'px';
+    input.style.display = 'block';
+  }
+
+}
+
+// a choice in a set of options, which shows its whole label since options
+//  are often words
+class OptionButton extends PIXI.Container {
+
+  constructor(label:string) {
+    super();
+    this.interactive = true;
+    this.cursor = 'pointer';
+    this.addChild(this._background);
+    this._label = new PIXI.Text(label,
+      { fontFamily : 'sans-serif', fontSize: 14,
+        fill: htmlColor(Colors.BUTTON_TEXT) });
+    this._label.x = 8;
+    this._label.y = Math.round((OPTION_HEIGHT - this._label.height) / 2);
+    this.addChild(this._label);
+    this._draw();
+  }
+  private _background:PIXI.Graphics = new PIXI.Graphics();
+  private _label:PIXI.Text;
+
+  public get isToggled():boolean { return(this._isToggled); }
+  public set isToggled(v:boolean) {
+    if (v === this._isToggled) return;
+    this._isToggled = v;
+    this._draw();
+  }
+  private _isToggled:boolean = false;
+
+  protected _draw():void {
+    this._background.clear();
+    this._background.beginFill(
+      this.isToggled ? Colors.HIGHLIGHT : Colors.BUTTON_BACK,
+      this.isToggled ? Alphas.BUTTON_DOWN : Alphas.BUTTON_NORMAL);
+    this._background.drawRect(0, 0, this._label.width + 16, OPTION_HEIGHT);
+    this._background.endFill();
+    Renderer.needsUpdate();
+  }
+
+}
\ No newline at end of file
@@ -2,31 +2,60 @@ export type KeyHandler = {
   key:string,
   isDown:boolean,
   isUp:boolean,
+  // whether control (or command on a Mac) was held when the key was pressed
+  ctrlKey:boolean,
+  // whether shift was held when the key was pressed
+  shiftKey:boolean,
   downHandler:(event:any) => void,
   upHandler:(event:any) => void,
-  press?:() => void,
+  // called when the key is pressed, which can return false if it didn't do
+  //  anything so the browser can handle the key instead
+  press?:() => boolean|void,
   release?:() => void
 };
 
+// whether an event is going to an element the user types into, which
+//  should get keys instead of the board
+export function isTextInput(target:any):boolean {
+  if (! target) return(false);
+  const tag:string = target.tagName ? target.tagName.toLowerCase() : '';
+  return((tag === 'input') || (tag === 'textarea') || (tag === 'select') ||
+         (target.isContentEditable ? true : false));
+}
+
 export function makeKeyHandler(key:string) {
+  // whether the last press did something, so the browser doesn't also
+  //  handle the key while it's held or when it's released
+  let handled:boolean = false;
   const handler:KeyHandler = {
     key: key,
     isDown: false,
     isUp: true,
+    ctrlKey: false,
+    shiftKey: false,
     downHandler: (event:any) => {
-      if (event.key === handler.key) {
-        if ((handler.isUp) && (handler.press)) handler.press();
+      if ((event.key === handler.key) && (! isTextInput(event.target))) {
+        handler.ctrlKey = (event.ctrlKey || event.metaKey) ? true : false;
+        handler.shiftKey = event.shiftKey ? true : false;
+        // browsers don't always send keyup while command is down, so allow
+        //  another press of a shortcut, but not the repeats sent while
+        //  the key is held
+        if (((handler.isUp) || ((handler.ctrlKey) && (! event.repeat))) &&
+            (handler.press)) {
+          handled = handler.press() !== false;
+        }
         handler.isDown = true;
         handler.isUp = false;
-        event.preventDefault();
+        if (handled) event.preventDefault();
       }
     },
     upHandler: (event:any) => {
-      if (event.key === handler.key) {
+      if ((event.key === handler.key) && (! isTextInput(event.target))) {
         if ((handler.isDown) && (handler.release)) handler.release();
         handler.isDown = false;
         handler.isUp = true;
-        event.preventDefault();
+        if (handled) event.preventDefault();
+        handled = false;
       }
     }
   };
@@ -0,0 +1,361 @@
+import * as PIXI from 'pixi.js';
+
+import { Board } from 'board/board';
+import { BoardLibrary, LibraryEntry } from 'board/library';
+import { JSONBoardFormat } from 'board/json';
+import { Button, TextButton } from './button';
+import { DialogPanel } from './dialog';
+import { Colors, Alphas, htmlColor } from './config';
+import { Renderer } from 'renderer';
+
+// the size of the pictures saved with boards
+const THUMBNAIL_SIZE:number = 128;
+// the size of the pictures shown in the panel
+const CELL_SIZE:number = 96;
+// the size of the panel's buttons
+const BUTTON_SIZE:number = 32;
+
+// a box over the board that lists the boards saved in the library, so they
+//  can be searched, opened, renamed, duplicated and deleted
+export class LibraryPanel extends PIXI.Container {
+
+  constructor(public readonly board:Board,
+              public readonly library:BoardLibrary,
+              public readonly dialogPanel:DialogPanel) {
+    super();
+    // keep clicks from going through to the board
+    this.interactive = true;
+    this.addChild(this._background);
+    this._title = this._makeText(true, 16);
+    this._message = this._makeText(false, 16);
+    this.addChild(this._cells);
+    this._searchButton = this._addButton('\uD83D\uDD0D');
+    this._openButton = this._addButton('\u2713');
+    this._renameButton = this._addButton('\u270E');
+    this._duplicateButton = this._addButton('\u29C9');
+    this._deleteButton = this._addButton('\uD83D\uDDD1');
+    this._closeButton = this._addButton('\u2715');
+    this.visible = false;
+  }
+  private _background:PIXI.Graphics = new PIXI.Graphics();
+  private _title:PIXI.Text;
+  private _message:PIXI.Text;
+  private _cells:PIXI.Container = new PIXI.Container();
+  private _buttons:Button[] = [ ];
+  private _searchButton:Button;
+  private _openButton:Button;
+  private _renameButton:Button;
+  private _duplicateButton:Button;
+  private _deleteButton:Button;
+  private _closeButton:Button;
+
+  // called when a board from the library replaces the one being edited
+  public onOpen():void { }
+  // called when the panel is shown or hidden
+  public onShowChange():void { }
+
+  public get width():number { return(this._width); }
+  public set width(v:number) {
+    if (v === this._width) return;
+    this._width = v;
+    this._draw();
+  }
+  private _width:number = 0;
+
+  public get height():number { return(this._height); }
+  public set height(v:number) {
+    if (v === this._height) return;
+    this._height = v;
+    this._draw();
+  }
+  private _height:number = 0;
+
+  // SHOWING ******************************************************************
+
+  public get isShown():boolean { return(this.visible); }
+  public set isShown(v:boolean) {
+    if (v === this.visible) return;
+    this.visible = v;
+    if (v) this.refresh();
+    else Renderer.needsUpdate();
+    this.onShowChange();
+  }
+
+  public toggle():void {
+    this.isShown = ! this.isShown;
+  }
+
+  // get the boards matching the search again
+  public refresh():void {
+    this.library.list(this._query).then((entries:LibraryEntry[]) => {
+      this._entries = entries;
+      if (! entries.some((entry) => entry.name === this._selected)) {
+        this._selected = null;
+      }
+      this._draw();
+    }).catch((e:Error) => this._showError(e));
+  }
+  private _entries:LibraryEntry[] = [ ];
+  private _query:string = '';
+
+  // the name of the selected board
+  public get selected():string { return(this._selected); }
+  public set selected(v:string) {
+    if (v === this._selected) return;
+    this._selected = v;
+    this._draw();
+  }
+  private _selected:string = null;
+
+  // BOARDS *******************************************************************
+
+  // save the board being edited under a name the user picks
+  public saveBoard():void {
+    this._askName('Save the board as:', this._boardName, (name:string) => {
+      this.library.get(name).then((existing:LibraryEntry) => {
+        if (existing) {
+          this.dialogPanel.confirm('Replace the board named "'+name+
+            '" in the library?', () => this._save(name));
+        }
+        else this._save(name);
+      }).catch((e:Error) => this._showError(e));
+    });
+  }
+  // the name the board being edited was last saved or opened as
+  private _boardName:string = '';
+
+  protected _save(name:string):void {
+    // the picture is made now, since the board can change before the user
+    //  answers a question about replacing a saved board
+    this.library.save({ name: name,
+      json: JSONBoardFormat.write(this.board),
+      thumbnail: this.board.makeThumbnail(THUMBNAIL_SIZE),
+      modified: Date.now() }).then(() => {
+        this._boardName = name;
+        this._selected = name;
+        if (this.isShown) this.refresh();
+      }).catch((e:Error) => this._showError(e));
+  }
+  // replace the board being edited with the selected one
+  public openSelected():void {
+    const name = this.selected;
+    if (! name) return;
+    this.library.get(name).then((entry:LibraryEntry) => {
+      if (! entry) return;
+      this.board.challenge = null;
+      if (! JSONBoardFormat.read(this.board, entry.json)) {
+        this.dialogPanel.showMessage('The board named "'+name+
+          '" couldn\'t be read.');
+        return;
+      }
+      this._boardName = name;
+      this.isShown = false;
+      this.onOpen();
+    }).catch((e:Error) => this._showError(e));
+  }
+
+  public renameSelected():void {
+    const oldName = this.selected;
+    if (! oldName) return;
+    this._askName('Rename the board to:', oldName, (newName:string) => {
+      if (newName === oldName) return;
+      this.library.rename(oldName, newName).then((renamed:boolean) => {
+        if (! renamed) {
+          this.dialogPanel.showMessage('There\'s already a board named "'+
+            newName+'" in the library.');
+          return;
+        }
+        if (this._boardName === oldName) this._boardName = newName;
+        this._selected = newName;
+        this.refresh();
+      }).catch((e:Error) => this._showError(e));
+    });
+  }
+
+  public duplicateSelected():void {
+    const name = this.selected;
+    if (! name) return;
+    this.library.duplicate(name).then((copyName:string) => {
+      if (copyName) this._selected = copyName;
+      this.refresh();
+    }).catch((e:Error) => this._showError(e));
+  }
+
+  public deleteSelected():void {
+    const name = this.selected;
+    if (! name) return;
+    this.dialogPanel.confirm('Delete the board named "'+name+
+      '" from the library?', () => {
+        this.library.remove(name).then(() => {
+          this._selected = null;
+          this.refresh();
+        }).catch((e:Error) => this._showError(e));
+      });
+  }
+
+  // only show boards with names containing text the user enters
+  public search():void {
+    this.dialogPanel.askText('Show boards with names containing:',
+      this._query, (query:string) => {
+        this._query = query.trim();
+        this.refresh();
+      });
+  }
+
+  // ask for a name, calling back with it unless it's blank
+  protected _askName(message:string, name:string,
+                     callback:(name:string) => void):void {
+    this.dialogPanel.askText(message, name, (result:string) => {
+      result = result.trim();
+      if (result) callback(result);
+    });
+  }
+
+  protected _showError(e:Error):void {
+    this.dialogPanel.showMessage('The library isn\'t available: '+
+      (e ? e.message : 'unknown error'));
+  }
+
+  // DRAWING ******************************************************************
+
+  protected _makeText(bold:boolean, fontSize:number):PIXI.Text {
+    const text = new PIXI.Text('',
+      { fontFamily : 'sans-serif', fontWeight: bold ? 'bold' : 'normal',
+        fontSize: fontSize, fill: htmlColor(Colors.BUTTON_TEXT) });
+    this.addChild(text);
+    return(text);
+  }
+
+  protected _addButton(label:string):Button {
+    const button = new TextButton(label);
+    button.size = BUTTON_SIZE;
+    button.addListener('click', () => this._onButtonClick(button));
+    button.addListener('tap', () => this._onButtonClick(button));
+    this._buttons.push(button);
+    this.addChild(button);
+    return(button);
+  }
+
+  protected _onButtonClick(button:Button):void {
+    if (button === this._searchButton) this.search();
+    else if (button === this._openButton) this.openSelected();
+    else if (button === this._renameButton) this.renameSelected();
+    else if (button === this._duplicateButton) this.duplicateSelected();
+    else if (button === this._deleteButton) this.deleteSelected();
+    else if (button === this._closeButton) this.isShown = false;
+  }
+
+  protected _draw():void {
+    if (! this.visible) return;
+    const m:number = 8;
+    this.hitArea = new PIXI.Rectangle(0, 0, this.width, this.height);
+    this._background.clear();
+    this._background.beginFill(Colors.BACKGROUND);
+    this._background.drawRect(0, 0, this.width, this.height);
+    this._background.endFill();
+    this._background.beginFill(Colors.OUTPUT_BACK, Alphas.OUTPUT_BACK);
+    this._background.drawRect(0, 0, this.width, this.height);
+    this._background.endFill();
+    // put the buttons in a row along the top
+    let x:number = m + (BUTTON_SIZE / 2);
+    for (const button of this._buttons) {
+      button.x = x;
+      button.y = m + (BUTTON_SIZE / 2);
+      x += BUTTON_SIZE + m;
+    }
+    for (const button of [ this._openButton, this._renameButton,
+                           this._duplicateButton, this._deleteButton ]) {
+      button.isEnabled = this.selected ? true : false;
+    }
+    this._title.text = this._query.length > 0 ?
+      'Library: boards named like "'+this._query+'"' : 'Library';
+    this._title.x = x - (BUTTON_SIZE / 2);
+    this._title.y = m + ((BUTTON_SIZE - this._title.height) / 2);
+    this._drawCells(m, m + BUTTON_SIZE + m);
+    Renderer.needsUpdate();
+  }
+
+  // lay out a picture and name for each board that fits in the panel
+  protected _drawCells(left:number, top:number):void {
+    for (const cell of this._cells.removeChildren()) {
+      cell.destroy({ children: true, texture: true, baseTexture: true });
+    }
+    const m:number = 8;
+    const nameHeight:number = 20;
+    const cellWidth = CELL_SIZE + m;
+    const cellHeight = CELL_SIZE + nameHeight + m;
+    // the margin after the last cell is the panel's margin
+    const columns = Math.max(1, Math.floor((this.width - left) / cellWidth));
+    const rows = Math.max(0, Math.floor((this.height - top) / cellHeight));
+    let shown = Math.min(this._entries.length, columns * rows);
+    // leave space to say how many boards are left out
+    if ((shown < this._entries.length) && (shown > 0)) shown--;
+    this._entries.slice(0, shown).forEach((entry:LibraryEntry, i:number) => {
+      const cell = this._makeCell(entry, nameHeight);
+      cell.x = left + ((i % columns) * cellWidth);
+      cell.y = top + (Math.floor(i / columns) * cellHeight);
+      this._cells.addChild(cell);
+    });
+    this._message.visible = (shown < this._entries.length) ||
+      (this._entries.length === 0);
+    if (this._entries.length === 0) {
+      this._message.text = this._query.length > 0 ?
+        'No boards match the search.' :
+        'No boards saved yet. Save one with the library button in the '+
+        'board drawer.';
+    }
+    else {
+      this._message.text = '...and '+(this._entries.length - shown)+' more';
+    }
+    this._message.x = left + ((shown % columns) * cellWidth);
+    this._message.y = top + (Math.floor(shown / columns) * cellHeight);
+  }
+
+  protected _makeCell(entry:LibraryEntry, nameHeight:number):PIXI.Container {
+    const cell = new PIXI.Container();
+    const selected = entry.name === this.selected;
+    const frame = new PIXI.Graphics();
+    frame.beginFill(selected ? Colors.HIGHLIGHT : Colors.BUTTON_BACK,
+      selected ? Alphas.BUTTON_DOWN : Alphas.BUTTON_NORMAL);
+    frame.drawRect(0, 0, CELL_SIZE, CELL_SIZE + nameHeight);
+    frame.endFill();
+    cell.addChild(frame);
+    if (entry.thumbnail) {
+      const picture = new PIXI.Sprite(PIXI.Texture.fromImage(entry.thumbnail));
+      picture.anchor.set(0.5, 0.5);
+      picture.x = picture.y = CELL_SIZE / 2;
+      const fit = () => {
+        const s = (CELL_SIZE - 4) / Math.max(picture.texture.width,
+          picture.texture.height, 1);
+        picture.scale.set(s, s);
+        Renderer.needsUpdate();
+      };
+      if (picture.texture.baseTexture.hasLoaded) fit();
+      else picture.texture.baseTexture.once('loaded', fit);
+      cell.addChild(picture);
+    }
+    const name = new PIXI.Text(entry.name,
+      { fontFamily : 'sans-serif', fontWeight: selected ? 'bold' : 'normal',
+        fontSize: 12, fill: htmlColor(Colors.BUTTON_TEXT) });
+    // shorten long names to fit under the picture
+    let text = entry.name;
+    while ((name.width > CELL_SIZE - 4) && (text.length > 1)) {
+      text = text.substring(0, text.length - 1);
+      name.text = text+'\u2026';
+    }
+    name.x = (CELL_SIZE - name.width) / 2;
+    name.y = CELL_SIZE + ((nameHeight - name.height) / 2);
+    cell.addChild(name);
+    // click to select a board and click again to open it
+    cell.interactive = true;
+    cell.cursor = 'pointer';
+    const onClick = () => {
+      if (this.selected === entry.name) this.openSelected();
+      else this.selected = entry.name;
+    };
+    cell.addListener('click', onClick);
+    cell.addListener('tap', onClick);
+    return(cell);
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,71 @@
+import * as PIXI from 'pixi.js';
+
+import { OutputRecorder, OutputBall } from 'board/recorder';
+import { Colors, Alphas, htmlColor, colorFromHSL } from './config';
+import { Renderer } from 'renderer';
+
+// a strip that shows the balls that have reached the output of the board
+export class OutputPanel extends PIXI.Container {
+
+  constructor(public readonly recorder:OutputRecorder) {
+    super();
+    this.addChild(this._background);
+    this.addChild(this._balls);
+    this._text = new PIXI.Text('',
+      { fontFamily : 'sans-serif', fontWeight: 'bold', fontSize: 16,
+        fill: htmlColor(Colors.BUTTON_TEXT) });
+    this._text.anchor.set(0, 0.5);
+    this.addChild(this._text);
+    this.recorder.onChange = () => this._draw();
+    this._draw();
+  }
+  private _background:PIXI.Graphics = new PIXI.Graphics();
+  private _balls:PIXI.Graphics = new PIXI.Graphics();
+  private _text:PIXI.Text;
+
+  public get width():number { return(this._width); }
+  public set width(v:number) {
+    if (v === this._width) return;
+    this._width = v;
+    this._draw();
+  }
+  private _width:number = 0;
+
+  public get height():number { return(this._height); }
+  public set height(v:number) {
+    if (v === this._height) return;
+    this._height = v;
+    this._draw();
+  }
+  private _height:number = 32;
+
+  protected _draw():void {
+    const output:OutputBall[] = this.recorder.output;
+    // only take up space when there's something to show
+    this.visible = output.length > 0;
+    const h = this.height;
+    const radius = Math.floor(h * 0.3);
+    const spacing = Math.floor(h * 0.75);
+    this._background.clear();
+    this._background.beginFill(Colors.OUTPUT_BACK, Alphas.OUTPUT_BACK);
+    this._background.drawRect(0, 0, this.width, h);
+    this._background.endFill();
+    // show the total on the left
+    this._text.text = output.length.toString();
+    this._text.x = spacing / 2;
+    this._text.y = h / 2;
+    const left = this._text.x + this._text.width + spacing;
+    // show as many of the most recent balls as will fit
+    const fit = Math.max(0, Math.floor((this.width - left) / spacing));
+    const first = Math.max(0, output.length - fit);
+    const g = this._balls;
+    g.clear();
+    for (let i:number = first; i < output.length; i++) {
+      g.beginFill(colorFromHSL(output[i].hue / 360, 1, 0.53));
+      g.drawCircle(left + ((i - first) * spacing) + (spacing / 2), h / 2, radius);
+      g.endFill();
+    }
+    Renderer.needsUpdate();
+  }
+
+}
\ No newline at end of file
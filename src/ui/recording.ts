@@ -0,0 +1,164 @@
+import * as PIXI from 'pixi.js';
+
+import { Board } from 'board/board';
+import { GIFEncoder } from 'util/gif';
+import { downloadURL } from 'util/file';
+import { Renderer } from 'renderer';
+
+export const enum RecordingFormat { GIF, WEBM }
+
+export const enum RecordingRegion {
+  // the part of the screen showing the board
+  BOARD,
+  // the selected part of the board, or the whole view if nothing is selected
+  SELECTION,
+  // everything in the window, including toolbars
+  WINDOW
+}
+
+// the range of frame rates a recording can have
+export const MIN_RECORDING_FRAME_RATE:number = 1;
+export const MAX_RECORDING_FRAME_RATE:number = 60;
+
+// GIF frames are kept in memory until the recording stops, so limit their
+//  size and number
+const MAX_GIF_SIZE:number = 640;
+const MAX_GIF_FRAMES:number = 1200;
+
+// captures what the renderer draws while the simulation runs and encodes it
+//  as an animated GIF or a WebM video in the browser, so it can be saved
+//  without sending anything to a server
+export class ScreenRecorder {
+
+  constructor(public readonly board:Board) { }
+
+  // called when recording stops, including when it stops by itself
+  public onStop():void { }
+
+  public get isRecording():boolean { return(this._canvas !== null); }
+
+  // whether the browser can make videos
+  public static get canRecordVideo():boolean {
+    const w = window as any;
+    return(((w.MediaRecorder) &&
+            (typeof (HTMLCanvasElement.prototype as any).captureStream ===
+               'function') &&
+            (w.MediaRecorder.isTypeSupported('video/webm'))) ? true : false);
+  }
+
+  // start capturing the given region of the screen, returning whether
+  //  recording started
+  public start(format:RecordingFormat, frameRate:number,
+               region:RecordingRegion):boolean {
+    if (this.isRecording) this.stop();
+    if ((format === RecordingFormat.WEBM) &&
+        (! ScreenRecorder.canRecordVideo)) return(false);
+    // the area to capture is fixed for the whole recording so every frame
+    //  has the same size
+    const view = Renderer.instance.view;
+    if (region === RecordingRegion.WINDOW) {
+      this._area = new PIXI.Rectangle(0, 0, Renderer.instance.width,
+        Renderer.instance.height);
+    }
+    else {
+      this._area = this.board.screenRect(
+        region === RecordingRegion.SELECTION ? this.board.selection : null);
+    }
+    if (! ((this._area.width >= 1) && (this._area.height >= 1))) return(false);
+    // the renderer's size is in screen units, but its canvas can have more
+    //  pixels on high resolution displays
+    const resolution = view.width / Renderer.instance.width;
+    this._area.x *= resolution;
+    this._area.y *= resolution;
+    this._area.width *= resolution;
+    this._area.height *= resolution;
+    let scale:number = 1;
+    if (format === RecordingFormat.GIF) {
+      scale = Math.min(1,
+        MAX_GIF_SIZE / Math.max(this._area.width, this._area.height));
+    }
+    this._canvas = document.createElement('canvas');
+    this._canvas.width = Math.max(1, Math.round(this._area.width * scale));
+    this._canvas.height = Math.max(1, Math.round(this._area.height * scale));
+    this._context = this._canvas.getContext('2d');
+    this._interval = 1000 / Math.min(Math.max(MIN_RECORDING_FRAME_RATE,
+      frameRate), MAX_RECORDING_FRAME_RATE);
+    if (format === RecordingFormat.GIF) {
+      this._gif = new GIFEncoder(this._canvas.width, this._canvas.height);
+    }
+    else {
+      this._chunks = [ ];
+      this._video = new (window as any).MediaRecorder(
+        (this._canvas as any).captureStream(1000 / this._interval),
+        { mimeType: 'video/webm' });
+      this._video.ondataavailable = (e:any) => {
+        if ((e.data) && (e.data.size > 0)) this._chunks.push(e.data);
+      };
+      this._video.start();
+    }
+    this._nextFrameTime = 0;
+    this.update();
+    return(true);
+  }
+  private _canvas:HTMLCanvasElement = null;
+  private _context:CanvasRenderingContext2D = null;
+  private _area:PIXI.Rectangle;
+  private _interval:number;
+  private _nextFrameTime:number;
+  private _gif:GIFEncoder = null;
+  private _video:any = null;
+  private _chunks:Blob[] = [ ];
+
+  // stop capturing and download what was recorded
+  public stop():void {
+    if (! this.isRecording) return;
+    if (this._gif) {
+      this._download(this._gif.finish(), 'board.gif');
+      this._gif = null;
+    }
+    if (this._video) {
+      const video = this._video;
+      // the last data arrives after the recorder stops
+      video.onstop = () => {
+        this._download(new Blob(this._chunks, { type: 'video/webm' }),
+          'board.webm');
+        this._chunks = [ ];
+      };
+      video.stop();
+      this._video = null;
+    }
+    this._canvas = null;
+    this._context = null;
+    this.onStop();
+  }
+
+  // capture a frame if one is due, which should be called after each
+  //  update of the simulation
+  public update():void {
+    if (! this.isRecording) return;
+    const now = performance.now();
+    if (now < this._nextFrameTime) return;
+    // skip frames that were missed rather than trying to catch up
+    this._nextFrameTime = Math.max(this._nextFrameTime + this._interval,
+      now + (this._interval / 2));
+    // WebGL canvases are cleared after being shown, so draw the frame and
+    //  copy it before that can happen
+    Renderer.instance.render(Renderer.stage);
+    const area = this._area;
+    this._context.drawImage(Renderer.instance.view,
+      area.x, area.y, area.width, area.height,
+      0, 0, this._canvas.width, this._canvas.height);
+    if (this._gif) {
+      this._gif.addFrame(this._context.getImageData(0, 0,
+        this._canvas.width, this._canvas.height).data, this._interval);
+      if (this._gif.frameCount >= MAX_GIF_FRAMES) this.stop();
+    }
+  }
+
+  protected _download(blob:Blob, filename:string):void {
+    const url = URL.createObjectURL(blob);
+    downloadURL(url, filename);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,74 @@
+import * as PIXI from 'pixi.js';
+
+import { RegisterSet } from 'board/registers';
+import { Colors, Alphas, htmlColor } from './config';
+import { Renderer } from 'renderer';
+
+// a box showing the current value of each register in binary, decimal,
+//  and hex, which sits against the left edge of the board
+export class RegisterPanel extends PIXI.Container {
+
+  constructor(public readonly registers:RegisterSet) {
+    super();
+    this.addChild(this._background);
+    this._title = this._makeText(true, 'sans-serif');
+    this._title.text = 'Registers';
+    this._rows = this._makeText(false, 'monospace');
+    this.registers.onValuesChange = () => this._draw();
+    this._draw();
+  }
+  private _background:PIXI.Graphics = new PIXI.Graphics();
+  private _title:PIXI.Text;
+  private _rows:PIXI.Text;
+
+  // the size depends on how much text there is
+  public get width():number { return(this._width); }
+  private _width:number = 0;
+  public get height():number { return(this._height); }
+  private _height:number = 0;
+
+  protected _makeText(bold:boolean, fontFamily:string):PIXI.Text {
+    const text = new PIXI.Text('',
+      { fontFamily : fontFamily, fontWeight: bold ? 'bold' : 'normal',
+        fontSize: 16, fill: htmlColor(Colors.BUTTON_TEXT) });
+    this.addChild(text);
+    return(text);
+  }
+
+  protected _draw():void {
+    const registers = this.registers.registers;
+    this.visible = registers.length > 0;
+    if (! this.visible) return;
+    const m:number = 8;
+    // line up the columns of values
+    const pad = (s:string, n:number) => {
+      while (s.length < n) s += ' ';
+      return(s);
+    };
+    const columns:string[][] = registers.map((register) => {
+      const value = this.registers.valueOf(register);
+      const n = register.bits.length;
+      return([ register.name, RegisterSet.formatBinary(value, n),
+               value.toString(), RegisterSet.formatHex(value, n) ]);
+    });
+    const widths:number[] = [ 0, 0, 0, 0 ];
+    for (const row of columns) {
+      row.forEach((s:string, i:number) => {
+        widths[i] = Math.max(widths[i], s.length);
+      });
+    }
+    this._rows.text = columns.map((row) =>
+      row.map((s:string, i:number) => pad(s, widths[i])).join('  ')).join('\n');
+    this._title.x = this._rows.x = m;
+    this._title.y = m;
+    this._rows.y = this._title.y + this._title.height + (m / 2);
+    this._width = Math.max(this._title.width, this._rows.width) + (2 * m);
+    this._height = this._rows.y + this._rows.height + m;
+    this._background.clear();
+    this._background.beginFill(Colors.OUTPUT_BACK, Alphas.OUTPUT_BACK);
+    this._background.drawRect(0, 0, this._width, this._height);
+    this._background.endFill();
+    Renderer.needsUpdate();
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,123 @@
+import * as PIXI from 'pixi.js';
+
+import { Timeline } from 'board/timeline';
+import { Colors, Alphas } from './config';
+import { Renderer } from 'renderer';
+
+// a scrubber that shows the snapshots taken during a run and lets the
+//  user go back to any of them
+export class TimelinePanel extends PIXI.Container {
+
+  constructor(public readonly timeline:Timeline) {
+    super();
+    this.addChild(this._background);
+    this.addChild(this._track);
+    this.interactive = true;
+    this.cursor = 'pointer';
+    this.addListener('mousedown', this._onScrubStart.bind(this));
+    this.addListener('mousemove', this._onScrub.bind(this));
+    this.addListener('mouseup', this._onScrubEnd.bind(this));
+    this.addListener('mouseupoutside', this._onScrubEnd.bind(this));
+    this.addListener('touchstart', this._onScrubStart.bind(this));
+    this.addListener('touchmove', this._onScrub.bind(this));
+    this.addListener('touchend', this._onScrubEnd.bind(this));
+    this.addListener('touchendoutside', this._onScrubEnd.bind(this));
+    this.timeline.onChange = () => this._draw();
+    this._draw();
+  }
+  private _background:PIXI.Graphics = new PIXI.Graphics();
+  private _track:PIXI.Graphics = new PIXI.Graphics();
+
+  public get width():number { return(this._width); }
+  public set width(v:number) {
+    if (v === this._width) return;
+    this._width = v;
+    this._draw();
+  }
+  private _width:number = 0;
+
+  public get height():number { return(this._height); }
+  public set height(v:number) {
+    if (v === this._height) return;
+    this._height = v;
+    this._draw();
+  }
+  private _height:number = 24;
+
+  // the horizontal extent of the track
+  protected get _left():number { return(this.height / 2); }
+  protected get _right():number { return(this.width - (this.height / 2)); }
+
+  // get the horizontal position of the snapshot at the given index
+  protected _xForIndex(index:number):number {
+    const first = this.timeline.snapshot(0).time;
+    const last = this.timeline.snapshot(this.timeline.length - 1).time;
+    const time = this.timeline.snapshot(index).time;
+    if (! (last > first)) return(this._left);
+    return(this._left +
+      ((this._right - this._left) * (time - first) / (last - first)));
+  }
+
+  // get the index of the snapshot closest to the given horizontal position
+  protected _indexForX(x:number):number {
+    let closest:number = -1;
+    let minDistance:number = Infinity;
+    for (let i:number = 0; i < this.timeline.length; i++) {
+      const d = Math.abs(this._xForIndex(i) - x);
+      if (d < minDistance) {
+        closest = i;
+        minDistance = d;
+      }
+    }
+    return(closest);
+  }
+
+  protected _draw():void {
+    // only take up space when there's more than one moment to go back to
+    this.visible = this.timeline.length > 1;
+    if (! this.visible) return;
+    const h = this.height;
+    this._background.clear();
+    this._background.beginFill(Colors.OUTPUT_BACK, Alphas.OUTPUT_BACK);
+    this._background.drawRect(0, 0, this.width, h);
+    this._background.endFill();
+    const g = this._track;
+    g.clear();
+    g.lineStyle(2, Colors.BUTTON_TEXT, 0.5);
+    g.moveTo(this._left, h / 2);
+    g.lineTo(this._right, h / 2);
+    // mark the moments when balls were released
+    g.lineStyle(2, Colors.BUTTON_TEXT, 0.75);
+    for (let i:number = 0; i < this.timeline.length; i++) {
+      if (! this.timeline.snapshot(i).release) continue;
+      const x = this._xForIndex(i);
+      g.moveTo(x, h * 0.25);
+      g.lineTo(x, h * 0.75);
+    }
+    // show the current position
+    if (this.timeline.position >= 0) {
+      g.lineStyle(0);
+      g.beginFill(Colors.HIGHLIGHT);
+      g.drawCircle(this._xForIndex(this.timeline.position), h / 2, h / 4);
+      g.endFill();
+    }
+    Renderer.needsUpdate();
+  }
+
+  private _onScrubStart(e:PIXI.interaction.InteractionEvent):void {
+    this._scrubbing = true;
+    this._onScrub(e);
+  }
+  private _onScrub(e:PIXI.interaction.InteractionEvent):void {
+    if (! this._scrubbing) return;
+    const index = this._indexForX(e.data.getLocalPosition(this).x);
+    if ((index >= 0) && (index !== this.timeline.position)) {
+      this.timeline.seek(index);
+    }
+  }
+  private _onScrubEnd(e:PIXI.interaction.InteractionEvent):void {
+    this._scrubbing = false;
+  }
+  private _scrubbing:boolean = false;
+
+}
\ No newline at end of file
@@ -3,9 +3,10 @@ import * as PIXI from 'pixi.js';
 import { Part } from 'parts/part';
 import { Board, ToolType } from 'board/board';
 import { PartType } from 'parts/factory';
-import { Button, PartButton, SpriteButton, ButtonBar } from './button';
+import { Button, PartButton, SpriteButton, TextButton, ButtonBar } from './button';
 import { Delays } from './config';
 import { Renderer } from 'renderer';
+import { Inventory } from 'board/inventory';
 
 export class Toolbar extends ButtonBar {
 
@@ -19,6 +20,21 @@ export class Toolbar extends ButtonBar {
     this._eraserButton = new PartButton(
       this.board.partFactory.make(PartType.PARTLOC));
     this.addButton(this._eraserButton);
+    // add a button to select areas of the board
+    this._selectButton = new TextButton('\u2B1A');
+    this.addButton(this._selectButton);
+    // add a button to lock and unlock parts
+    this._lockButton = new TextButton('\uD83D\uDD12');
+    this.addButton(this._lockButton);
+    // add a button to set breakpoints on parts
+    this._breakpointButton = new TextButton('\u25C9');
+    this.addButton(this._breakpointButton);
+    // add a button to mark bits as inputs and outputs of a truth table
+    this._truthTableButton = new TextButton('\u229E');
+    this.addButton(this._truthTableButton);
+    // add a button to pick the bits of a register
+    this._registerButton = new TextButton('\u2263');
+    this.addButton(this._registerButton);
     // add buttons for parts
     for (let i:number = PartType.TOOLBOX_MIN; i <= PartType.TOOLBOX_MAX; i++) {
       const part = board.partFactory.make(i);
@@ -30,6 +46,11 @@ export class Toolbar extends ButtonBar {
   }
   private _eraserButton:PartButton;
   private _handButton:Button;
+  private _selectButton:Button;
+  private _lockButton:Button;
+  private _breakpointButton:Button;
+  private _truthTableButton:Button;
+  private _registerButton:Button;
 
   protected onButtonClick(button:Button):void {
     if (button === this._handButton) {
@@ -40,6 +61,26 @@ export class Toolbar extends ButtonBar {
       this.board.tool = ToolType.ERASER;
       this.board.partPrototype = null;
     }
+    else if (button === this._selectButton) {
+      this.board.tool = ToolType.SELECT;
+      this.board.partPrototype = null;
+    }
+    else if (button === this._lockButton) {
+      this.board.tool = ToolType.LOCK;
+      this.board.partPrototype = null;
+    }
+    else if (button === this._breakpointButton) {
+      this.board.tool = ToolType.BREAKPOINT;
+      this.board.partPrototype = null;
+    }
+    else if (button === this._truthTableButton) {
+      this.board.tool = ToolType.TRUTH_TABLE;
+      this.board.partPrototype = null;
+    }
+    else if (button === this._registerButton) {
+      this.board.tool = ToolType.REGISTER;
+      this.board.partPrototype = null;
+    }
     else if (button instanceof PartButton) {
       const newPart:Part = button.part;
       if ((this.board.partPrototype) &&
@@ -63,6 +104,22 @@ export class Toolbar extends ButtonBar {
         button.isToggled = (this.board.tool === ToolType.ERASER);
         this._eraserButton.schematic = this.board.schematicView;
       }
+      else if (button === this._selectButton) {
+        button.isToggled = (this.board.tool === ToolType.SELECT);
+      }
+      else if (button === this._lockButton) {
+        button.isToggled = (this.board.tool === ToolType.LOCK);
+        button.isEnabled = ! this.board.challenge;
+      }
+      else if (button === this._breakpointButton) {
+        button.isToggled = (this.board.tool === ToolType.BREAKPOINT);
+      }
+      else if (button === this._truthTableButton) {
+        button.isToggled = (this.board.tool === ToolType.TRUTH_TABLE);
+      }
+      else if (button === this._registerButton) {
+        button.isToggled = (this.board.tool === ToolType.REGISTER);
+      }
       else if (button instanceof PartButton) {
         button.isToggled = ((this.board.tool === ToolType.PART) && 
                             (this.board.partPrototype) &&
@@ -73,4 +130,21 @@ export class Toolbar extends ButtonBar {
     Renderer.needsUpdate();
   }
 
+  // show how many of each part are left when the supply is limited
+  public updateCounts():void {
+    const inventory = this.board.inventory;
+    if ((inventory === this._countedInventory) &&
+        (this.board.changeCounter === this._countedChangeCounter)) return;
+    this._countedInventory = inventory;
+    this._countedChangeCounter = this.board.changeCounter;
+    for (const button of this._buttons) {
+      if ((! (button instanceof PartButton)) || 
+          (button === this._eraserButton)) continue;
+      button.count = inventory ? 
+        inventory.remaining(this.board, button.part.type) : Infinity;
+    }
+  }
+  private _countedInventory:Inventory = null;
+  private _countedChangeCounter:number = -1;
+
 }
\ No newline at end of file
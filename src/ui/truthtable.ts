@@ -0,0 +1,97 @@
+import * as PIXI from 'pixi.js';
+
+import { TruthTable, TruthTableRow } from 'board/truthtable';
+import { Colors, Alphas, htmlColor } from './config';
+import { Renderer } from 'renderer';
+
+// the most rows to show at once, since a table with many inputs is better
+//  read from the CSV file
+const MAX_ROWS_SHOWN:number = 32;
+
+// a box showing the rows of a truth table, which sits against the right
+//  edge of the board and closes when clicked, which also stops a table
+//  that's still being made
+export class TruthTablePanel extends PIXI.Container {
+
+  constructor(public readonly table:TruthTable) {
+    super();
+    this.addChild(this._background);
+    this._title = this._makeText(true, 'sans-serif');
+    this._rows = this._makeText(false, 'monospace');
+    this.interactive = true;
+    this.cursor = 'pointer';
+    this.addListener('click', () => this.table.clear());
+    this.addListener('tap', () => this.table.clear());
+    this.table.onChange = () => this._draw();
+    this._draw();
+  }
+  private _background:PIXI.Graphics = new PIXI.Graphics();
+  private _title:PIXI.Text;
+  private _rows:PIXI.Text;
+
+  // the horizontal position of the right edge of the panel
+  public get right():number { return(this._right); }
+  public set right(v:number) {
+    if (v === this._right) return;
+    this._right = v;
+    this._draw();
+  }
+  private _right:number = 0;
+
+  // the size depends on how much text there is
+  public get width():number { return(this._width); }
+  private _width:number = 0;
+  public get height():number { return(this._height); }
+  private _height:number = 0;
+
+  protected _makeText(bold:boolean, fontFamily:string):PIXI.Text {
+    const text = new PIXI.Text('',
+      { fontFamily : fontFamily, fontWeight: bold ? 'bold' : 'normal',
+        fontSize: 16, fill: htmlColor(Colors.BUTTON_TEXT) });
+    this.addChild(text);
+    return(text);
+  }
+
+  protected _describeRow(row:TruthTableRow):string {
+    const bits = (values:boolean[]) =>
+      values.map((v:boolean) => v ? '1' : '0').join('');
+    let s = bits(row.inputs)+' \u2192 '+bits(row.outputs);
+    if (row.balls.length > 0) s += '  '+row.balls.join(', ');
+    if (! row.finished) s += '  (didn\'t finish)';
+    return(s);
+  }
+
+  protected _draw():void {
+    const rows = this.table.rows;
+    this.visible = (rows.length > 0) || (this.table.isRunning);
+    if (! this.visible) return;
+    this._title.text = this.table.isRunning ? 
+      'Truth table ('+rows.length+' of '+this.table.rowCount+' rows)' :
+      'Truth table';
+    const m:number = 8;
+    const lines:string[] = [
+      'in  '+this.table.inputNames.join(' '),
+      'out '+this.table.outputNames.join(' '),
+      ''
+    ];
+    for (const row of rows.slice(0, MAX_ROWS_SHOWN)) {
+      lines.push(this._describeRow(row));
+    }
+    if (rows.length > MAX_ROWS_SHOWN) {
+      lines.push('...and '+(rows.length - MAX_ROWS_SHOWN)+' more rows');
+    }
+    this._rows.text = lines.join('\n');
+    this._title.x = this._rows.x = m;
+    this._title.y = m;
+    this._rows.y = this._title.y + this._title.height + (m / 2);
+    this._width = Math.max(this._title.width, this._rows.width) + (2 * m);
+    this._height = this._rows.y + this._rows.height + m;
+    this.x = this.right - this._width;
+    this._background.clear();
+    this._background.beginFill(Colors.OUTPUT_BACK, Alphas.OUTPUT_BACK);
+    this._background.drawRect(0, 0, this._width, this._height);
+    this._background.endFill();
+    Renderer.needsUpdate();
+  }
+
+}
\ No newline at end of file
@@ -0,0 +1,38 @@
+// the characters of the URL-safe base64 alphabet, which can go in a URL
+//  without being escaped
+const ALPHABET:string =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// encode bytes as URL-safe base64 without padding
+export function encodeBase64URL(bytes:number[]):string {
+  let s:string = '';
+  for (let i:number = 0; i < bytes.length; i += 3) {
+    const n = ((bytes[i] & 0xFF) << 16) |
+      (((i + 1 < bytes.length) ? bytes[i + 1] & 0xFF : 0) << 8) |
+      ((i + 2 < bytes.length) ? bytes[i + 2] & 0xFF : 0);
+    s += ALPHABET.charAt((n >> 18) & 0x3F) + ALPHABET.charAt((n >> 12) & 0x3F);
+    if (i + 1 < bytes.length) s += ALPHABET.charAt((n >> 6) & 0x3F);
+    if (i + 2 < bytes.length) s += ALPHABET.charAt(n & 0x3F);
+  }
+  return(s);
+}
+
+// decode URL-safe base64 with or without padding, returning null if the
+//  text isn't valid
+export function decodeBase64URL(s:string):number[] {
+  s = s.replace(/=+$/, '');
+  if (s.length % 4 === 1) return(null);
+  const bytes:number[] = [ ];
+  let n:number = 0, bits:number = 0;
+  for (let i:number = 0; i < s.length; i++) {
+    const value = ALPHABET.indexOf(s.charAt(i));
+    if (value < 0) return(null);
+    n = ((n << 6) | value) & 0xFFFFFF;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((n >> bits) & 0xFF);
+    }
+  }
+  return(bytes);
+}
\ No newline at end of file
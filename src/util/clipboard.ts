@@ -0,0 +1,43 @@
+// put the given text on the system clipboard
+export function copyText(text:string):void {
+  const clipboard = (navigator as any).clipboard;
+  if ((clipboard) && (clipboard.writeText)) {
+    clipboard.writeText(text).catch((e:any) => {
+      console.warn(e);
+      copyTextWithSelection(text);
+    });
+  }
+  else copyTextWithSelection(text);
+}
+
+// copy text by selecting it in a temporary text area, which works in
+//  browsers that don't support the asynchronous clipboard API
+function copyTextWithSelection(text:string):void {
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  try {
+    document.execCommand('copy');
+  }
+  catch (e) {
+    console.warn(e);
+  }
+  document.body.removeChild(textarea);
+}
+
+// get text from the system clipboard, calling the fallback instead if the
+//  browser won't let us read the clipboard directly
+export function pasteText(callback:(text:string) => void, 
+                          fallback:() => void):void {
+  const clipboard = (navigator as any).clipboard;
+  if ((clipboard) && (clipboard.readText)) {
+    clipboard.readText().then(callback, (e:any) => {
+      console.warn(e);
+      fallback();
+    });
+  }
+  else fallback();
+}
\ No newline at end of file
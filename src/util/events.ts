@@ -0,0 +1,55 @@
+// a function that's called with the details of an event
+export type EventListener<T> = (event:T) => void;
+
+// lets any number of listeners subscribe to named events, where the type
+//  parameter maps each event name to the type of its details
+export class EventEmitter<EventMap> {
+
+  // call the listener whenever the named event happens, returning a
+  //  function that unsubscribes it
+  public on<K extends keyof EventMap>(type:K,
+      listener:EventListener<EventMap[K]>):() => void {
+    let listeners = this._listeners.get(type);
+    if (! listeners) {
+      listeners = new Set();
+      this._listeners.set(type, listeners);
+    }
+    listeners.add(listener);
+    return(() => this.off(type, listener));
+  }
+
+  // call the listener the next time the named event happens
+  public once<K extends keyof EventMap>(type:K,
+      listener:EventListener<EventMap[K]>):() => void {
+    const off = this.on(type, (event:EventMap[K]) => {
+      off();
+      listener(event);
+    });
+    return(off);
+  }
+
+  // stop calling the listener when the named event happens
+  public off<K extends keyof EventMap>(type:K,
+      listener:EventListener<EventMap[K]>):void {
+    const listeners = this._listeners.get(type);
+    if (! listeners) return;
+    listeners.delete(listener);
+    if (! (listeners.size > 0)) this._listeners.delete(type);
+  }
+
+  // whether anything is listening for the named event, which lets callers
+  //  skip work that's only needed to emit it
+  public hasListeners<K extends keyof EventMap>(type:K):boolean {
+    return(this._listeners.has(type));
+  }
+
+  // call all listeners for the named event
+  public emit<K extends keyof EventMap>(type:K, event:EventMap[K]):void {
+    const listeners = this._listeners.get(type);
+    if (! listeners) return;
+    // copy the listeners so they can unsubscribe while being called
+    for (const listener of Array.from(listeners)) listener(event);
+  }
+  private _listeners:Map<keyof EventMap,Set<EventListener<any>>> = new Map();
+
+}
\ No newline at end of file
@@ -0,0 +1,48 @@
+// save the resource at the given URL as a file with the given name
+export function downloadURL(url:string, filename:string):void {
+  const a = document.createElement('a');
+  a.setAttribute('href', url);
+  a.setAttribute('download', filename);
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+}
+
+// save the given text as a file with the given name
+export function downloadText(text:string, filename:string,
+                             mimeType:string='text/plain'):void {
+  const url = URL.createObjectURL(new Blob([ text ], { type: mimeType }));
+  downloadURL(url, filename);
+  // give the browser a chance to start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// save the picture on a canvas as a PNG file with the given name, which
+//  avoids making a data URL that can be too big for some browsers
+export function downloadCanvas(canvas:HTMLCanvasElement, filename:string):void {
+  canvas.toBlob((blob:Blob) => {
+    const url = URL.createObjectURL(blob);
+    downloadURL(url, filename);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }, 'image/png');
+}
+
+// let the user pick a file of the given type(s), and pass its contents to
+//  the callback as text or as a data URL
+export function uploadFile(accept:string, asText:boolean,
+                           callback:(data:string) => void):void {
+  const input = document.createElement('input');
+  input.setAttribute('type', 'file');
+  input.setAttribute('accept', accept);
+  input.onchange = () => {
+    if (! (input.files.length > 0)) return;
+    const file = input.files[0];
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      callback((e.target as any).result);
+    };
+    if (asText) reader.readAsText(file);
+    else reader.readAsDataURL(file);
+  };
+  input.click();
+}
\ No newline at end of file
@@ -0,0 +1,165 @@
+// the number of levels of red, green and blue in the fixed palette, which
+//  makes 252 colors including pure black and white
+const RED_LEVELS:number = 6;
+const GREEN_LEVELS:number = 7;
+const BLUE_LEVELS:number = 6;
+
+// the largest code LZW compression can use in a GIF
+const MAX_CODE:number = 4095;
+
+// encodes frames of RGBA pixels into an animated GIF that loops forever,
+//  using a fixed palette so frames can be encoded as they come in without
+//  keeping them all in memory
+export class GIFEncoder {
+
+  constructor(public readonly width:number, public readonly height:number) {
+    this._writeHeader();
+  }
+  private _bytes:number[] = [ ];
+  private _chunks:Uint8Array[] = [ ];
+
+  // the number of frames added so far
+  public get frameCount():number { return(this._frameCount); }
+  private _frameCount:number = 0;
+
+  // add a frame to show for the given number of milliseconds, where the
+  //  pixels are in the format of ImageData
+  public addFrame(pixels:Uint8ClampedArray, duration:number):void {
+    const bytes = this._bytes;
+    // graphic control extension with the frame's delay in hundredths of
+    //  a second
+    const delay = Math.max(2, Math.round(duration / 10));
+    bytes.push(0x21, 0xF9, 0x04, 0x00, delay & 0xFF, (delay >> 8) & 0xFF,
+      0x00, 0x00);
+    // image descriptor covering the whole image
+    bytes.push(0x2C, 0, 0, 0, 0);
+    this._writeShort(this.width);
+    this._writeShort(this.height);
+    bytes.push(0x00);
+    this._writeImageData(this._indexPixels(pixels));
+    this._frameCount++;
+    this._flush();
+  }
+
+  // finish the file and get its contents
+  public finish():Blob {
+    this._bytes.push(0x3B);
+    this._flush();
+    return(new Blob(this._chunks, { type: 'image/gif' }));
+  }
+
+  protected _writeHeader():void {
+    const bytes = this._bytes;
+    for (const c of 'GIF89a') bytes.push(c.charCodeAt(0));
+    this._writeShort(this.width);
+    this._writeShort(this.height);
+    // a global color table with 256 entries
+    bytes.push(0xF7, 0x00, 0x00);
+    for (let i:number = 0; i < 256; i++) {
+      bytes.push(...GIFEncoder._colorForIndex(i));
+    }
+    // loop forever
+    bytes.push(0x21, 0xFF, 0x0B);
+    for (const c of 'NETSCAPE2.0') bytes.push(c.charCodeAt(0));
+    bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+  }
+
+  protected _writeShort(n:number):void {
+    this._bytes.push(n & 0xFF, (n >> 8) & 0xFF);
+  }
+
+  // move written bytes into a compact array
+  protected _flush():void {
+    this._chunks.push(new Uint8Array(this._bytes));
+    this._bytes = [ ];
+  }
+
+  // get the palette color at an index
+  protected static _colorForIndex(i:number):number[] {
+    if (i >= RED_LEVELS * GREEN_LEVELS * BLUE_LEVELS) return([ 0, 0, 0 ]);
+    const b = i % BLUE_LEVELS;
+    const g = Math.floor(i / BLUE_LEVELS) % GREEN_LEVELS;
+    const r = Math.floor(i / (BLUE_LEVELS * GREEN_LEVELS));
+    return([ Math.round((r * 255) / (RED_LEVELS - 1)),
+             Math.round((g * 255) / (GREEN_LEVELS - 1)),
+             Math.round((b * 255) / (BLUE_LEVELS - 1)) ]);
+  }
+
+  // map each pixel to the closest color in the palette
+  protected _indexPixels(pixels:Uint8ClampedArray):Uint8Array {
+    const indices = new Uint8Array(this.width * this.height);
+    const rs = (RED_LEVELS - 1) / 255;
+    const gs = (GREEN_LEVELS - 1) / 255;
+    const bs = (BLUE_LEVELS - 1) / 255;
+    for (let i:number = 0, p:number = 0; i < indices.length; i++, p += 4) {
+      indices[i] =
+        (Math.round(pixels[p] * rs) * GREEN_LEVELS * BLUE_LEVELS) +
+        (Math.round(pixels[p + 1] * gs) * BLUE_LEVELS) +
+        Math.round(pixels[p + 2] * bs);
+    }
+    return(indices);
+  }
+
+  // compress palette indices with LZW and write them in sub-blocks
+  protected _writeImageData(indices:Uint8Array):void {
+    const minCodeSize:number = 8;
+    const clearCode:number = 1 << minCodeSize;
+    const endCode:number = clearCode + 1;
+    const bytes = this._bytes;
+    bytes.push(minCodeSize);
+    // pack codes into bytes from the least significant bit
+    let block:number[] = [ ];
+    let buffer:number = 0, bufferBits:number = 0;
+    let codeSize:number = minCodeSize + 1;
+    const writeCode = (code:number) => {
+      buffer |= code << bufferBits;
+      bufferBits += codeSize;
+      while (bufferBits >= 8) {
+        block.push(buffer & 0xFF);
+        buffer >>= 8;
+        bufferBits -= 8;
+        if (block.length === 255) {
+          bytes.push(255, ...block);
+          block = [ ];
+        }
+      }
+    };
+    // map each string in the table to its code by the code of its prefix
+    //  and the index it ends with
+    let table:Map<number,number> = new Map();
+    let nextCode:number = endCode + 1;
+    writeCode(clearCode);
+    let prefix:number = indices.length > 0 ? indices[0] : 0;
+    for (let i:number = 1; i < indices.length; i++) {
+      const k = indices[i];
+      const key = (prefix << 8) | k;
+      const code = table.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+      writeCode(prefix);
+      if (nextCode > MAX_CODE) {
+        // start over when the table is full
+        writeCode(clearCode);
+        table = new Map();
+        nextCode = endCode + 1;
+        codeSize = minCodeSize + 1;
+      }
+      else {
+        table.set(key, nextCode);
+        // the decoder adds its entry one code later, so the size grows
+        //  once the code just added no longer fits
+        if (nextCode === (1 << codeSize)) codeSize++;
+        nextCode++;
+      }
+      prefix = k;
+    }
+    writeCode(prefix);
+    writeCode(endCode);
+    if (bufferBits > 0) block.push(buffer & 0xFF);
+    if (block.length > 0) bytes.push(block.length, ...block);
+    bytes.push(0x00);
+  }
+
+}
\ No newline at end of file